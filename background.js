@@ -3,135 +3,72 @@
  * Handles context menu, message passing, and database operations
  */
 
-// Database constants
-const DB_NAME = 'MozhiiNoteDB';
-const DB_VERSION = 1;
-const STORE_NAME = 'notes';
+import * as db from './utils/database.js';
+import * as search from './utils/search.js';
+import * as backup from './utils/backup.js';
+import * as clippings from './utils/clippings.js';
+import * as notebooks from './utils/notebooks.js';
+import * as palette from './utils/palette.js';
+import * as webAnnotation from './utils/webannotation.js';
+import { buildHistory, versionBefore } from './utils/history.js';
+import { renderMarkdown, renderVault } from './utils/markdown.js';
+import { createZip, toBase64 } from './utils/zip.js';
+import { detectLanguage } from './utils/language.js';
+import { normalizeTag, normalizeTags, isTagOrDescendant } from './utils/tags.js';
+import { generateUUID } from './utils/uuid.js';
 
 // ============================================
-// DATABASE FUNCTIONS
+// NOTE OPERATIONS
 // ============================================
 
-/**
- * Opens or creates the database
- * @returns {Promise<IDBDatabase>}
- */
-function openDatabase() {
-  return new Promise((resolve, reject) => {
-    const request = indexedDB.open(DB_NAME, DB_VERSION);
-    
-    request.onerror = () => {
-      console.error('Failed to open database:', request.error);
-      reject(request.error);
-    };
-    
-    request.onsuccess = () => {
-      resolve(request.result);
-    };
-    
-    request.onupgradeneeded = (event) => {
-      const db = event.target.result;
-      
-      if (!db.objectStoreNames.contains(STORE_NAME)) {
-        const objectStore = db.createObjectStore(STORE_NAME, { keyPath: 'id' });
-        objectStore.createIndex('timestamp', 'timestamp', { unique: false });
-        objectStore.createIndex('url', 'url', { unique: false });
-        objectStore.createIndex('tags', 'tags', { unique: false, multiEntry: true });
-        console.log('Database schema created successfully');
-      }
-    };
-  });
-}
-
-/**
- * Initializes the database
- */
-async function initDatabase() {
-  try {
-    const db = await openDatabase();
-    db.close();
-    console.log('Mozhii Note database initialized');
-  } catch (error) {
-    console.error('Failed to initialize database:', error);
-  }
-}
-
-/**
- * Generates a UUID v4
- * @returns {string}
- */
-function generateUUID() {
-  if (typeof crypto !== 'undefined' && crypto.randomUUID) {
-    return crypto.randomUUID();
-  }
-  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, (c) => {
-    const r = Math.random() * 16 | 0;
-    const v = c === 'x' ? r : (r & 0x3 | 0x8);
-    return v.toString(16);
-  });
-}
-
 /**
  * Saves a note to IndexedDB
  * @param {Object} noteData - The note data
  * @param {number} tabId - The tab ID for notifications
+ * @returns {Promise<string>} The new note ID
  */
 async function saveNote(noteData, tabId) {
+  // Add metadata
+  noteData.id = generateUUID();
+  noteData.timestamp = new Date().toISOString();
+  noteData.tags = normalizeTags(noteData.tags);
+  noteData.comment = noteData.comment || '';
+  // Notes saved without a chosen color get the first one in the palette
+  noteData.highlightColor = noteData.highlightColor || (await palette.getPalette())[0].color;
+  if (!noteData.language) {
+    const { language, confidence } = detectLanguage(noteData.text);
+    noteData.language = language;
+    noteData.languageConfidence = confidence;
+  }
+  noteData.isManual = noteData.isManual || false;
+  if (!noteData.notebookId) delete noteData.notebookId;
+
   try {
-    const db = await openDatabase();
-    const transaction = db.transaction([STORE_NAME], 'readwrite');
-    const store = transaction.objectStore(STORE_NAME);
-    
-    // Add metadata
-    noteData.id = generateUUID();
-    noteData.timestamp = new Date().toISOString();
-    noteData.tags = noteData.tags || [];
-    noteData.comment = noteData.comment || '';
-    noteData.highlightColor = noteData.highlightColor || '#FFEB3B';
-    noteData.language = noteData.language || detectLanguage(noteData.text);
-    noteData.isManual = noteData.isManual || false;
-    
-    const request = store.add(noteData);
-    
-    return new Promise((resolve, reject) => {
-      request.onsuccess = () => {
-        // Show success notification only for non-manual notes (manual notes show toast)
-        if (!noteData.isManual) {
-// Skip browser notification for web saves - we'll show toast instead
-        }
-        
-        // Send message to content script to apply highlight (only for web notes)
-        if (tabId && !noteData.isManual) {
-          chrome.tabs.sendMessage(tabId, {
-            action: 'highlightSaved',
-            noteId: noteData.id
-          }).catch(() => {
-            // Tab might have been closed or doesn't have content script
-          });
-        }
-        
-        resolve(noteData.id);
-      };
-      
-      request.onerror = () => {
-        console.error('Failed to save note:', request.error);
-        chrome.notifications.create({
-          type: 'basic',
-          iconUrl: 'icons/icon48.png',
-          title: 'Mozhii Note',
-          message: 'Failed to save note. Please try again.'
-        });
-        reject(request.error);
-      };
-      
-      transaction.oncomplete = () => {
-        db.close();
-      };
-    });
+    await db.saveNote(noteData);
   } catch (error) {
-    console.error('Error in saveNote:', error);
+    chrome.notifications.create({
+      type: 'basic',
+      iconUrl: 'icons/icon48.png',
+      title: 'Mozhii Note',
+      message: 'Failed to save note. Please try again.'
+    });
     throw error;
   }
+
+  await syncSearchIndex(search.indexNotes([noteData]));
+
+  // Send message to content script to apply highlight (only for web notes)
+  if (tabId && !noteData.isManual) {
+    chrome.tabs.sendMessage(tabId, {
+      action: 'highlightSaved',
+      noteId: noteData.id,
+      highlightColor: noteData.highlightColor
+    }).catch(() => {
+      // Tab might have been closed or doesn't have content script
+    });
+  }
+
+  return noteData.id;
 }
 
 /**
@@ -142,10 +79,10 @@ async function saveNote(noteData, tabId) {
 async function saveNoteWithNotification(noteData, tabId) {
   try {
     const noteId = await saveNote(noteData, tabId);
-    
+
     // Get the saved note with full data
-    const savedNote = await getNoteById(noteId);
-    
+    const savedNote = await db.getNoteById(noteId);
+
     // Send message to content script to show toast and side notification
     if (tabId) {
       chrome.tabs.sendMessage(tabId, {
@@ -161,7 +98,7 @@ async function saveNoteWithNotification(noteData, tabId) {
         });
       });
     }
-    
+
     return noteId;
   } catch (error) {
     console.error('Error in saveNoteWithNotification:', error);
@@ -170,209 +107,625 @@ async function saveNoteWithNotification(noteData, tabId) {
 }
 
 /**
- * Gets all notes from the database
- * @returns {Promise<Array>}
+ * Keeps the search index in step with a note write. A failed index update
+ * never fails the write; the index is rebuilt on the next search instead.
+ * @param {Promise<void>} update - The pending index update
+ * @returns {Promise<void>}
  */
-async function getAllNotes() {
-  try {
-    const db = await openDatabase();
-    
-    return new Promise((resolve, reject) => {
-      const transaction = db.transaction([STORE_NAME], 'readonly');
-      const store = transaction.objectStore(STORE_NAME);
-      const request = store.getAll();
-      
-      request.onsuccess = () => {
-        const notes = request.result.sort((a, b) => 
-          new Date(b.timestamp) - new Date(a.timestamp)
-        );
-        resolve(notes);
-      };
-      
-      request.onerror = () => {
-        reject(request.error);
-      };
-      
-      transaction.oncomplete = () => {
-        db.close();
-      };
-    });
-  } catch (error) {
-    console.error('Error getting notes:', error);
-    return [];
-  }
+function syncSearchIndex(update) {
+  return update.catch((error) => {
+    console.error('Failed to update search index:', error);
+    return search.invalidateIndex().catch(() => {});
+  });
 }
 
 /**
- * Gets notes for a specific URL
- * @param {string} url - The page URL
- * @returns {Promise<Array>}
+ * Updates notes, stamping them as changed, and their search index entries.
+ * A note in no notebook has no notebookId field; callers may pass null to
+ * take a note out of its notebook.
+ * @param {Array<Object>} notes - The notes with updated data
+ * @returns {Promise<void>}
  */
-async function getNotesByUrl(url) {
-  try {
-    const db = await openDatabase();
-    
-    return new Promise((resolve, reject) => {
-      const transaction = db.transaction([STORE_NAME], 'readonly');
-      const store = transaction.objectStore(STORE_NAME);
-      const index = store.index('url');
-      const request = index.getAll(url);
-      
-      request.onsuccess = () => {
-        resolve(request.result);
-      };
-      
-      request.onerror = () => {
-        reject(request.error);
-      };
-      
-      transaction.oncomplete = () => {
-        db.close();
-      };
-    });
-  } catch (error) {
-    console.error('Error getting notes by URL:', error);
-    return [];
+async function updateNotes(notes) {
+  const updatedAt = new Date().toISOString();
+  notes.forEach(note => {
+    note.updatedAt = updatedAt;
+    note.tags = normalizeTags(note.tags);
+    if (!note.notebookId) delete note.notebookId;
+  });
+  
+  await db.updateNotes(notes);
+  
+  // Trashed notes stay out of search until they're restored
+  await syncSearchIndex(search.indexNotes(notes.filter(note => !note.deletedAt)));
+}
+
+/**
+ * Applies changes to a stored note. Fields left out of the changes keep
+ * their stored values, and editing a manual note's text re-detects its
+ * language.
+ * @param {Object} changes - The note id plus the fields to change
+ * @returns {Promise<Object>} The updated note
+ * @throws {Error} If the note doesn't exist
+ */
+async function editNote(changes) {
+  const stored = await db.getNoteById(changes.id);
+  if (!stored) {
+    throw new Error('Note not found');
+  }
+  
+  const note = { ...stored, ...changes };
+  if (note.text !== stored.text) {
+    const { language, confidence } = detectLanguage(note.text);
+    note.language = language;
+    note.languageConfidence = confidence;
   }
+  
+  await updateNotes([note]);
+  return note;
 }
 
 /**
- * Gets a note by ID
+ * Restores a note to how it was just before one of its revisions. The
+ * restore is itself an update, so it shows up in the history and can be
+ * undone the same way.
  * @param {string} noteId - The note ID
- * @returns {Promise<Object|null>}
+ * @param {number} revisionId - The revision to go back to
+ * @returns {Promise<Object>} The restored note
+ * @throws {Error} If the note or revision doesn't exist
  */
-async function getNoteById(noteId) {
-  try {
-    const db = await openDatabase();
-    
-    return new Promise((resolve, reject) => {
-      const transaction = db.transaction([STORE_NAME], 'readonly');
-      const store = transaction.objectStore(STORE_NAME);
-      const request = store.get(noteId);
-      
-      request.onsuccess = () => {
-        resolve(request.result || null);
-      };
-      
-      request.onerror = () => {
-        reject(request.error);
-      };
-      
-      transaction.oncomplete = () => {
-        db.close();
-      };
-    });
-  } catch (error) {
-    console.error('Error getting note:', error);
-    return null;
+async function restoreRevision(noteId, revisionId) {
+  const note = await db.getNoteById(noteId);
+  if (!note) {
+    throw new Error('Note not found');
+  }
+  
+  const version = versionBefore(note, await db.getRevisions(noteId), revisionId);
+  if (!version) {
+    throw new Error('Revision not found');
   }
+  
+  return editNote({ id: noteId, ...version });
 }
 
 /**
- * Updates a note
- * @param {Object} noteData - The updated note data
+ * Sends a message about each web note to every open tab showing its page
+ * @param {Array<Object>} notes - The notes
+ * @param {function(Object): Object} buildMessage - Makes the message for a note
  * @returns {Promise<void>}
  */
-async function updateNote(noteData) {
-  try {
-    const db = await openDatabase();
-    
-    return new Promise((resolve, reject) => {
-      const transaction = db.transaction([STORE_NAME], 'readwrite');
-      const store = transaction.objectStore(STORE_NAME);
-      const request = store.put(noteData);
-      
-      request.onsuccess = () => {
-        resolve();
-      };
-      
-      request.onerror = () => {
-        reject(request.error);
-      };
-      
-      transaction.oncomplete = () => {
-        db.close();
-      };
+async function messageTabsShowing(notes, buildMessage) {
+  const notesByUrl = new Map();
+  notes.forEach(note => {
+    if (note.isManual || !note.url) return;
+    if (!notesByUrl.has(note.url)) notesByUrl.set(note.url, []);
+    notesByUrl.get(note.url).push(note);
+  });
+  if (notesByUrl.size === 0) return;
+  
+  const tabs = await chrome.tabs.query({});
+  tabs.forEach(tab => {
+    (notesByUrl.get(tab.url) || []).forEach(note => {
+      chrome.tabs.sendMessage(tab.id, buildMessage(note)).catch(() => {});
     });
-  } catch (error) {
-    console.error('Error updating note:', error);
-    throw error;
+  });
+}
+
+/**
+ * Redraws the highlights of notes in every open tab showing their page,
+ * so edits made in the popup appear without a reload
+ * @param {Array<Object>} notes - The changed notes
+ * @returns {Promise<void>}
+ */
+async function refreshHighlights(notes) {
+  await messageTabsShowing(notes, note => ({ action: 'refreshHighlight', noteData: note }));
+}
+
+/**
+ * Permanently deletes notes and their search index entries
+ * @param {Array<string>} noteIds - The note IDs
+ * @returns {Promise<void>}
+ */
+async function deleteNotes(noteIds) {
+  await db.deleteNotes(noteIds);
+  await syncSearchIndex(search.removeNotes(noteIds));
+}
+
+// ============================================
+// TRASH
+// ============================================
+
+const TRASH_ALARM = 'purge-trash';
+
+// How often the alarm checks for expired trash
+const TRASH_CHECK_MINUTES = 12 * 60;
+
+// Days a note stays in the trash; 0 keeps trashed notes until emptied
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+/**
+ * Moves notes to the trash: they leave search and every open page, but
+ * can be restored until the trash is emptied or they expire
+ * @param {Array<string>} noteIds - The note IDs
+ * @returns {Promise<void>}
+ */
+async function trashNotes(noteIds) {
+  const deletedAt = new Date().toISOString();
+  const notes = (await db.getNotesByIds(noteIds)).filter(note => !note.deletedAt);
+  if (notes.length === 0) return;
+  
+  notes.forEach(note => {
+    note.deletedAt = deletedAt;
+  });
+  
+  await db.updateNotes(notes);
+  await syncSearchIndex(search.removeNotes(notes.map(note => note.id)));
+  await messageTabsShowing(notes, note => ({ action: 'removeHighlight', noteId: note.id }));
+}
+
+/**
+ * Takes notes back out of the trash
+ * @param {Array<string>} noteIds - The note IDs
+ * @returns {Promise<void>}
+ */
+async function restoreNotes(noteIds) {
+  const notes = (await db.getNotesByIds(noteIds)).filter(note => note.deletedAt);
+  if (notes.length === 0) return;
+  
+  notes.forEach(note => {
+    delete note.deletedAt;
+  });
+  
+  await db.updateNotes(notes);
+  await syncSearchIndex(search.indexNotes(notes));
+  await refreshHighlights(notes);
+}
+
+/**
+ * Reads how many days trashed notes are kept
+ * @returns {Promise<number>}
+ */
+async function getTrashRetentionDays() {
+  const { trashRetentionDays } = await chrome.storage.local.get('trashRetentionDays');
+  return Number.isInteger(trashRetentionDays) ? trashRetentionDays : DEFAULT_TRASH_RETENTION_DAYS;
+}
+
+/**
+ * Permanently deletes notes that have been in the trash longer than the
+ * retention period
+ * @returns {Promise<number>} How many notes were deleted
+ */
+async function purgeExpiredTrash() {
+  const days = await getTrashRetentionDays();
+  if (days === 0) return 0;
+  
+  const cutoff = Date.now() - days * 24 * 60 * 60 * 1000;
+  const expired = (await db.getTrashedNotes())
+    .filter(note => new Date(note.deletedAt).getTime() < cutoff)
+    .map(note => note.id);
+  
+  if (expired.length > 0) {
+    await deleteNotes(expired);
+    console.log(`Purged ${expired.length} expired note(s) from the trash`);
   }
+  return expired.length;
 }
 
 /**
- * Deletes a note
- * @param {string} noteId - The note ID to delete
+ * Schedules the periodic trash purge (replacing any existing schedule)
+ */
+function scheduleTrashPurge() {
+  chrome.alarms.create(TRASH_ALARM, {
+    delayInMinutes: 1,
+    periodInMinutes: TRASH_CHECK_MINUTES
+  });
+}
+
+// ============================================
+// TAGS
+// ============================================
+
+// chrome.storage.local key holding each tag's color
+const TAG_COLORS_KEY = 'tagColors';
+
+/**
+ * Reads the colors assigned to tags
+ * @returns {Promise<Object<string, string>>} Color by tag
+ */
+async function getTagColors() {
+  const { [TAG_COLORS_KEY]: colors } = await chrome.storage.local.get(TAG_COLORS_KEY);
+  return colors || {};
+}
+
+/**
+ * Lists every tag, in tree order, with how many notes use it and its color
+ * @returns {Promise<Array<{tag: string, count: number, total: number, color: string|null}>>}
+ *   count is the notes tagged exactly with the tag, total also counts
+ *   notes with a tag nested under it
+ */
+async function getTagStats() {
+  const colors = await getTagColors();
+  return (await db.getTagCounts()).map(stat => ({ ...stat, color: colors[stat.tag] || null }));
+}
+
+/**
+ * Assigns a color to a tag, or removes it
+ * @param {string} tag - The tag
+ * @param {string|null} color - A hex color, or null for none
  * @returns {Promise<void>}
  */
-async function deleteNote(noteId) {
-  try {
-    const db = await openDatabase();
-    
-    return new Promise((resolve, reject) => {
-      const transaction = db.transaction([STORE_NAME], 'readwrite');
-      const store = transaction.objectStore(STORE_NAME);
-      const request = store.delete(noteId);
-      
-      request.onsuccess = () => {
-        resolve();
-      };
-      
-      request.onerror = () => {
-        reject(request.error);
-      };
-      
-      transaction.oncomplete = () => {
-        db.close();
-      };
+async function setTagColor(tag, color) {
+  if (color && !/^#[0-9a-f]{6}$/i.test(color)) {
+    throw new Error('Invalid color');
+  }
+  
+  const colors = await getTagColors();
+  if (color) {
+    colors[normalizeTag(tag)] = color;
+  } else {
+    delete colors[normalizeTag(tag)];
+  }
+  await chrome.storage.local.set({ [TAG_COLORS_KEY]: colors });
+}
+
+/**
+ * Renames a tag on every note that has it, trashed ones included. Tags
+ * nested under it move along ("project/x" becomes "work/x" when "project"
+ * is renamed "work"). Renaming to a tag that already exists merges the two.
+ * @param {string} from - The current tag
+ * @param {string} to - The new name
+ * @returns {Promise<{tag: string, count: number, merged: boolean}>} The
+ *   normalised new name, how many notes changed, and whether the name was
+ *   already in use
+ * @throws {Error} If the new name is empty
+ */
+async function renameTag(from, to) {
+  const oldTag = normalizeTag(from);
+  const newTag = normalizeTag(to);
+  if (!newTag) {
+    throw new Error('Tag name can\'t be empty');
+  }
+  if (oldTag === newTag) {
+    return { tag: newTag, count: 0, merged: false };
+  }
+  
+  const options = { includeTrashed: true, includeDescendants: true };
+  const merged = (await db.getNotesByTag(newTag, options)).length > 0;
+  const notes = await db.getNotesByTag(oldTag, options);
+  const rename = tag => isTagOrDescendant(tag, oldTag) ? newTag + tag.slice(oldTag.length) : tag;
+  notes.forEach(note => {
+    note.tags = note.tags.map(rename);
+  });
+  
+  if (notes.length > 0) {
+    await updateNotes(notes);
+  }
+  
+  // Colors follow their tags, unless merging into a tag with its own
+  const colors = await getTagColors();
+  const moved = Object.keys(colors).filter(tag => isTagOrDescendant(tag, oldTag));
+  if (moved.length > 0) {
+    const movedColors = moved.map(tag => [rename(tag), colors[tag]]);
+    moved.forEach(tag => delete colors[tag]);
+    movedColors.forEach(([tag, color]) => {
+      colors[tag] = colors[tag] || color;
     });
-  } catch (error) {
-    console.error('Error deleting note:', error);
-    throw error;
+    await chrome.storage.local.set({ [TAG_COLORS_KEY]: colors });
   }
+  
+  return { tag: newTag, count: notes.length, merged };
 }
 
 /**
- * Gets all unique tags
- * @returns {Promise<Array<string>>}
+ * Removes a tag, and the tags nested under it, from every note that has
+ * them, trashed ones included
+ * @param {string} tag - The tag
+ * @returns {Promise<number>} How many notes changed
  */
-async function getAllTags() {
-  const notes = await getAllNotes();
-  const tagSet = new Set();
+async function deleteTag(tag) {
+  const oldTag = normalizeTag(tag);
+  const notes = await db.getNotesByTag(oldTag, { includeTrashed: true, includeDescendants: true });
+  notes.forEach(note => {
+    note.tags = note.tags.filter(existing => !isTagOrDescendant(existing, oldTag));
+  });
+  
+  if (notes.length > 0) {
+    await updateNotes(notes);
+  }
   
+  const colors = await getTagColors();
+  Object.keys(colors)
+    .filter(existing => isTagOrDescendant(existing, oldTag))
+    .forEach(existing => delete colors[existing]);
+  await chrome.storage.local.set({ [TAG_COLORS_KEY]: colors });
+  
+  return notes.length;
+}
+
+// ============================================
+// NOTEBOOKS
+// ============================================
+
+/**
+ * Lists every notebook, in list order, with how many notes it holds
+ * @returns {Promise<Array<Object>>} Notebooks with a noteCount
+ */
+async function getNotebooks() {
+  const [list, notes] = await Promise.all([notebooks.getNotebooks(), db.getAllNotes()]);
+  const counts = new Map();
+  notes.forEach(note => {
+    if (note.notebookId) counts.set(note.notebookId, (counts.get(note.notebookId) || 0) + 1);
+  });
+  return list.map(notebook => ({ ...notebook, noteCount: counts.get(notebook.id) || 0 }));
+}
+
+/**
+ * Deletes a notebook. Its notes, trashed ones included, are kept and
+ * simply no longer belong to a notebook.
+ * @param {string} notebookId - The notebook ID
+ * @returns {Promise<number>} How many notes were taken out of it
+ */
+async function deleteNotebook(notebookId) {
+  const notes = await db.getNotesByNotebook(notebookId, { includeTrashed: true });
   notes.forEach(note => {
-    if (note.tags && Array.isArray(note.tags)) {
-      note.tags.forEach(tag => tagSet.add(tag));
+    delete note.notebookId;
+  });
+  
+  if (notes.length > 0) {
+    await updateNotes(notes);
+  }
+  await notebooks.deleteNotebook(notebookId);
+  return notes.length;
+}
+
+// ============================================
+// BULK ACTIONS
+// ============================================
+
+/**
+ * Changes the tags, highlight color and/or notebook of many notes in one
+ * write
+ * @param {Array<string>} noteIds - The note IDs
+ * @param {Object} changes
+ * @param {Array<string>} [changes.addTags] - Tags to add where missing
+ * @param {Array<string>} [changes.removeTags] - Tags to remove
+ * @param {string} [changes.highlightColor] - New highlight color
+ * @param {string|null} [changes.notebookId] - Notebook to move the notes
+ *   to, or null to take them out of their notebook
+ * @returns {Promise<number>} How many notes changed
+ */
+async function bulkEditNotes(noteIds, { addTags = [], removeTags = [], highlightColor, notebookId } = {}) {
+  const toAdd = normalizeTags(addTags);
+  const toRemove = new Set(normalizeTags(removeTags));
+  const moving = notebookId !== undefined;
+  
+  const changed = [];
+  (await db.getNotesByIds(noteIds)).forEach(note => {
+    const currentTags = note.tags || [];
+    const tags = [...new Set([...currentTags.filter(tag => !toRemove.has(tag)), ...toAdd])];
+    const color = highlightColor || note.highlightColor;
+    const notebook = moving ? notebookId || undefined : note.notebookId;
+    
+    if (tags.length === currentTags.length && tags.every(tag => currentTags.includes(tag)) &&
+        color === note.highlightColor && notebook === (note.notebookId || undefined)) {
+      return;
     }
+    
+    const updated = { ...note, tags, highlightColor: color };
+    if (notebook) {
+      updated.notebookId = notebook;
+    } else {
+      delete updated.notebookId;
+    }
+    changed.push(updated);
   });
   
-  return Array.from(tagSet).sort();
+  if (changed.length > 0) {
+    await updateNotes(changed);
+    if (highlightColor) {
+      await refreshHighlights(changed);
+    }
+  }
+  return changed.length;
 }
 
 /**
- * Simple language detection based on character sets
- * @param {string} text - The text to analyze
- * @returns {string} Language code
+ * Combines notes into one new manual note and moves the originals to the
+ * trash. Texts are kept in the given order; when the notes come from
+ * different sources, each passage is followed by where it came from.
+ * @param {Array<string>} noteIds - The note IDs, in the order to merge
+ * @returns {Promise<string>} The new note's ID
+ * @throws {Error} If fewer than two of the notes exist
  */
-function detectLanguage(text) {
-  // Basic detection based on character ranges
-  const patterns = {
-    ja: /[\u3040-\u309F\u30A0-\u30FF]/,  // Japanese
-    zh: /[\u4E00-\u9FFF]/,                // Chinese
-    ko: /[\uAC00-\uD7AF]/,                // Korean
-    ar: /[\u0600-\u06FF]/,                // Arabic
-    he: /[\u0590-\u05FF]/,                // Hebrew
-    th: /[\u0E00-\u0E7F]/,                // Thai
-    ru: /[\u0400-\u04FF]/,                // Russian/Cyrillic
-  };
+async function mergeNotes(noteIds) {
+  const byId = new Map((await db.getNotesByIds(noteIds)).map(note => [note.id, note]));
+  const notes = noteIds.map(id => byId.get(id)).filter(Boolean);
+  if (notes.length < 2) {
+    throw new Error('Select at least two notes to merge');
+  }
   
-  for (const [lang, pattern] of Object.entries(patterns)) {
-    if (pattern.test(text)) {
-      return lang;
+  const sourceOf = note => note.isManual
+    ? { label: note.source || note.title || '', url: note.sourceUrl || '' }
+    : { label: note.title || note.url || '', url: note.url || '' };
+  const sources = notes.map(sourceOf);
+  const sameSource = sources.every(source =>
+    source.label === sources[0].label && source.url === sources[0].url
+  );
+  
+  const text = notes.map((note, index) => {
+    const passage = note.text.trim();
+    if (sameSource) return passage;
+    const { label, url } = sources[index];
+    const citation = [label, url && url !== label ? url : ''].filter(Boolean).join(', ');
+    return citation ? `${passage}\n— ${citation}` : passage;
+  }).join('\n\n');
+  
+  const mergedId = await saveNote({
+    text,
+    comment: notes.map(note => (note.comment || '').trim()).filter(Boolean).join('\n\n'),
+    tags: [...new Set(notes.flatMap(note => note.tags || []))],
+    highlightColor: notes[0].highlightColor,
+    isManual: true,
+    source: sameSource ? sources[0].label : `Merged from ${notes.length} notes`,
+    sourceUrl: sameSource ? sources[0].url : '',
+    // Stays in the notebook when every note was in the same one
+    notebookId: notes.every(note => note.notebookId === notes[0].notebookId) ? notes[0].notebookId : undefined
+  });
+  
+  await trashNotes(notes.map(note => note.id));
+  return mergedId;
+}
+
+/**
+ * Undoes a merge: deletes the merged note for good and takes the originals
+ * back out of the trash
+ * @param {string} mergedId - The merged note's ID
+ * @param {Array<string>} noteIds - The original note IDs
+ * @returns {Promise<void>}
+ */
+async function unmergeNotes(mergedId, noteIds) {
+  await deleteNotes([mergedId]);
+  await restoreNotes(noteIds);
+}
+
+/**
+ * Imports a CrazyNote export or a Web Annotation (Hypothesis) file and
+ * indexes the notes it added or replaced. Notes that arrive in the trash
+ * are kept out of the index, as trashNotes does.
+ * @param {string} json - File contents
+ * @param {string} conflict - 'newer', 'both' or 'skip'
+ * @returns {Promise<Object>} Summary of imported/updated/skipped/failed notes
+ */
+async function importNotes(json, conflict) {
+  const annotations = webAnnotation.parseAnnotationFile(json);
+  const { report, notes } = annotations
+    ? await webAnnotation.importAnnotations(annotations, conflict)
+    : await backup.importNotes(json, conflict);
+  
+  const live = notes.filter(note => !note.deletedAt);
+  const trashed = notes.filter(note => note.deletedAt);
+  if (live.length > 0) {
+    await syncSearchIndex(search.indexNotes(live));
+  }
+  if (trashed.length > 0) {
+    await syncSearchIndex(search.removeNotes(trashed.map(note => note.id)));
+  }
+  return report;
+}
+
+/**
+ * Imports a Kindle, Kobo or CSV highlights file as manual notes
+ * @param {string} text - File contents
+ * @param {string} fileName - Name of the chosen file
+ * @returns {Promise<Object>} Import report
+ */
+async function importClippings(text, fileName) {
+  const { report, notes } = await clippings.importClippings(text, fileName);
+  if (notes.length > 0) {
+    await syncSearchIndex(search.indexNotes(notes));
+  }
+  return report;
+}
+
+// How often a still-resolving note refreshes its lastResolvedAt
+const RESOLVED_REFRESH_MS = 60 * 60 * 1000;
+
+// Fields captured by the content script that locate a note on its page
+const ANCHOR_FIELDS = [
+  'text', 'url', 'title', 'scrollY', 'scrollX', 'elementPath', 'startOffset',
+  'endOffset', 'textInParentOffset', 'viewportWidth', 'viewportHeight',
+  'documentHeight', 'parentTagName', 'selectors'
+];
+
+/**
+ * Records how each note resolved on its page, as reported by the content
+ * script. Skips writes when nothing meaningful changed.
+ * @param {Array<{noteId: string, status: string, confidence: number}>} reports
+ *   status is 'resolved', 'drifted' or 'orphaned'
+ * @returns {Promise<void>}
+ */
+async function recordAnchorStatus(reports) {
+  const now = new Date();
+  const notes = await db.getNotesByIds(reports.map(report => report.noteId));
+  const notesById = new Map(notes.map(note => [note.id, note]));
+  const changed = [];
+  
+  for (const report of reports) {
+    const note = notesById.get(report.noteId);
+    if (!note) continue;
+    
+    const isResolved = report.status !== 'orphaned';
+    const isStale = !note.lastResolvedAt ||
+      now - new Date(note.lastResolvedAt) > RESOLVED_REFRESH_MS;
+    
+    if (note.anchorStatus === report.status &&
+        note.anchorConfidence === report.confidence &&
+        !(isResolved && isStale)) {
+      continue;
     }
+    
+    note.anchorStatus = report.status;
+    note.anchorConfidence = report.confidence;
+    if (isResolved) {
+      note.lastResolvedAt = now.toISOString();
+    }
+    changed.push(note);
+  }
+  
+  if (changed.length > 0) {
+    await db.updateNotes(changed);
   }
+}
+
+/**
+ * Re-attaches an orphaned note to a new selection on its page
+ * @param {string} noteId - The note ID
+ * @param {Object} context - Capture data from the content script
+ * @returns {Promise<Object|null>} The updated note
+ */
+async function reattachNote(noteId, context) {
+  const note = await db.getNoteById(noteId);
+  if (!note) return null;
+  
+  ANCHOR_FIELDS.forEach(field => {
+    if (context[field] !== undefined) {
+      note[field] = context[field];
+    }
+  });
+  
+  note.anchorStatus = 'resolved';
+  note.anchorConfidence = 1;
+  note.lastResolvedAt = new Date().toISOString();
+  const { language, confidence } = detectLanguage(note.text);
+  note.language = language;
+  note.languageConfidence = confidence;
+  
+  await updateNotes([note]);
+  return note;
+}
+
+/**
+ * Turns a web note that no longer resolves into a manual note, keeping
+ * the page it came from as its source, and takes it off that page in
+ * any open tab
+ * @param {string} noteId - The note ID
+ * @returns {Promise<Object|null>} The updated note
+ */
+async function convertToManualNote(noteId) {
+  const note = await db.getNoteById(noteId);
+  if (!note) return null;
+  
+  const webNote = { ...note };
+  note.isManual = true;
+  note.source = note.title || note.url;
+  note.sourceUrl = note.url;
+  note.url = '';
+  delete note.anchorStatus;
+  delete note.anchorConfidence;
   
-  return 'en'; // Default to English
+  await updateNotes([note]);
+  await messageTabsShowing([webNote], ({ id }) => ({ action: 'removeHighlight', noteId: id }));
+  return note;
 }
 
 // ============================================
@@ -384,11 +737,35 @@ function detectLanguage(text) {
  * @param {Object} noteData - The note with location data
  */
 function jumpToNote(noteData) {
+  openNoteInTab(noteData, {
+    action: 'restoreNote',
+    noteData: noteData
+  });
+}
+
+/**
+ * Opens a note's page and asks the content script to let the user pick
+ * new text for it
+ * @param {Object} noteData - The orphaned note
+ */
+function startReattach(noteData) {
+  openNoteInTab(noteData, {
+    action: 'startReattach',
+    noteData: noteData
+  });
+}
+
+/**
+ * Shows a note's page in the active tab, then messages its content script
+ * @param {Object} noteData - The note with location data
+ * @param {Object} message - Message for the content script once the page is ready
+ */
+function openNoteInTab(noteData, message) {
   chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
     if (!tabs || tabs.length === 0) {
       // Open in new tab if no active tab
       chrome.tabs.create({ url: noteData.url }, (tab) => {
-        waitForTabLoad(tab.id, noteData);
+        waitForTabLoad(tab.id, message);
       });
       return;
     }
@@ -406,38 +783,32 @@ function jumpToNote(noteData) {
     };
     
     if (normalizeUrl(currentTab.url) === normalizeUrl(noteData.url)) {
-      // Same page, just restore position
-      chrome.tabs.sendMessage(currentTab.id, {
-        action: 'restoreNote',
-        noteData: noteData
-      }).catch((error) => {
+      // Same page, message it directly
+      chrome.tabs.sendMessage(currentTab.id, message).catch((error) => {
         console.error('Failed to send restore message:', error);
       });
     } else {
       // Navigate to the URL first
       chrome.tabs.update(currentTab.id, { url: noteData.url }, () => {
-        waitForTabLoad(currentTab.id, noteData);
+        waitForTabLoad(currentTab.id, message);
       });
     }
   });
 }
 
 /**
- * Waits for a tab to finish loading, then restores the note
+ * Waits for a tab to finish loading, then messages its content script
  * @param {number} tabId - The tab ID
- * @param {Object} noteData - The note data
+ * @param {Object} message - The message to send
  */
-function waitForTabLoad(tabId, noteData) {
+function waitForTabLoad(tabId, message) {
   const listener = (updatedTabId, info) => {
     if (updatedTabId === tabId && info.status === 'complete') {
       chrome.tabs.onUpdated.removeListener(listener);
       
       // Small delay to ensure content script is ready
       setTimeout(() => {
-        chrome.tabs.sendMessage(tabId, {
-          action: 'restoreNote',
-          noteData: noteData
-        }).catch((error) => {
+        chrome.tabs.sendMessage(tabId, message).catch((error) => {
           console.error('Failed to send restore message after load:', error);
         });
       }, 500);
@@ -467,8 +838,21 @@ chrome.runtime.onInstalled.addListener((details) => {
     contexts: ['selection']
   });
   
-  // Initialize database
-  initDatabase();
+  // Initialize database (errors are logged by the database module)
+  db.initDatabase()
+    .then(() => search.ensureIndex())
+    .catch(() => {});
+  
+  scheduleTrashPurge();
+});
+
+// Browser startup: alarms don't always survive a restart
+chrome.runtime.onStartup.addListener(scheduleTrashPurge);
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === TRASH_ALARM) {
+    purgeExpiredTrash().catch(error => console.error('Failed to purge trash:', error));
+  }
 });
 
 // Helper function to check if content script is ready
@@ -508,12 +892,44 @@ chrome.contextMenus.onClicked.addListener(async (info, tab) => {
 chrome.commands.onCommand.addListener(async (command, tab) => {
   if (command === 'save-note' && tab) {
     await triggerCapture(tab);
+  } else if (command === 'toggle-sidebar' && tab) {
+    await toggleSidebar(tab);
   }
 });
 
+/**
+ * Checks whether a page is one extensions can't run on
+ * (chrome://, edge://, about:, other extensions' pages)
+ * @param {string} url - The page URL
+ * @returns {boolean}
+ */
+function isRestrictedUrl(url) {
+  return !url || url.startsWith('chrome://') || url.startsWith('edge://') || url.startsWith('about:') || url.startsWith('chrome-extension://');
+}
+
+/**
+ * Shows or hides the notes sidebar in a tab
+ * @param {Object} tab - The tab
+ */
+async function toggleSidebar(tab) {
+  if (isRestrictedUrl(tab.url) || !(await ensureContentScriptReady(tab.id))) {
+    chrome.notifications.create({
+      type: 'basic',
+      iconUrl: 'icons/icon48.png',
+      title: 'CrazyNote',
+      message: 'The notes sidebar is not available on this page.'
+    });
+    return;
+  }
+  
+  chrome.tabs.sendMessage(tab.id, { action: 'toggleSidebar' }).catch(() => {
+    // Tab closed or navigated away meanwhile
+  });
+}
+
 async function triggerCapture(tab) {
   // Check for restricted URLs (chrome://, edge://, about:, etc.)
-  if (!tab.url || tab.url.startsWith('chrome://') || tab.url.startsWith('edge://') || tab.url.startsWith('about:') || tab.url.startsWith('chrome-extension://')) {
+  if (isRestrictedUrl(tab.url)) {
     chrome.notifications.create({
       type: 'basic',
       iconUrl: 'icons/icon48.png',
@@ -560,28 +976,185 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     try {
       switch (message.action) {
         case 'getNotes':
-          return await getAllNotes();
+          return await db.getAllNotes();
           
         case 'getNotesByUrl':
-          return await getNotesByUrl(message.url);
+          return await db.getNotesByUrl(message.url);
           
         case 'getNoteById':
-          return await getNoteById(message.noteId);
+          return await db.getNoteById(message.noteId);
           
         case 'saveNote':
           const noteId = await saveNote(message.noteData, sender.tab?.id);
           return { success: true, noteId };
           
+        case 'saveSelectedNote':
+          // Saved from the page's selection toolbar: confirm as the menu does
+          const selectedNoteId = await saveNoteWithNotification(message.noteData, sender.tab?.id);
+          return { success: true, noteId: selectedNoteId };
+          
         case 'updateNote':
-          await updateNote(message.noteData);
-          return { success: true };
+          const editedNote = await editNote(message.noteData);
+          await refreshHighlights([editedNote]);
+          return { success: true, note: editedNote };
+          
+        case 'getNoteHistory':
+          const historyNote = await db.getNoteById(message.noteId);
+          if (!historyNote) throw new Error('Note not found');
+          return {
+            success: true,
+            history: buildHistory(historyNote, await db.getRevisions(message.noteId))
+          };
+          
+        case 'restoreRevision':
+          const restoredNote = await restoreRevision(message.noteId, message.revisionId);
+          await refreshHighlights([restoredNote]);
+          return { success: true, note: restoredNote };
           
         case 'deleteNote':
-          await deleteNote(message.noteId);
+          await trashNotes([message.noteId]);
           return { success: true };
           
+        case 'deleteNotes':
+          await trashNotes(message.noteIds);
+          return { success: true };
+          
+        case 'bulkEditNotes':
+          const bulkChanged = await bulkEditNotes(message.noteIds, message.changes);
+          return { success: true, count: bulkChanged };
+          
+        case 'mergeNotes':
+          const mergedId = await mergeNotes(message.noteIds);
+          return { success: true, noteId: mergedId };
+          
+        case 'unmergeNotes':
+          await unmergeNotes(message.mergedId, message.noteIds);
+          return { success: true };
+          
+        case 'getTrash':
+          return {
+            success: true,
+            notes: await db.getTrashedNotes(),
+            retentionDays: await getTrashRetentionDays()
+          };
+          
+        case 'restoreNotes':
+          await restoreNotes(message.noteIds);
+          return { success: true };
+          
+        case 'purgeNotes':
+          // Only notes already in the trash can be deleted for good
+          const purgeable = (await db.getNotesByIds(message.noteIds)).filter(note => note.deletedAt);
+          await deleteNotes(purgeable.map(note => note.id));
+          return { success: true };
+          
+        case 'emptyTrash':
+          const trashed = await db.getTrashedNotes();
+          await deleteNotes(trashed.map(note => note.id));
+          return { success: true, count: trashed.length };
+          
+        case 'setTrashRetention':
+          if (!Number.isInteger(message.days) || message.days < 0) {
+            throw new Error('Invalid retention period');
+          }
+          await chrome.storage.local.set({ trashRetentionDays: message.days });
+          await purgeExpiredTrash();
+          return { success: true };
+          
+        case 'searchNotes':
+          return await search.searchNotes(message.query, { notebookId: message.notebookId });
+          
+        case 'reportAnchorStatus':
+          await recordAnchorStatus(message.reports);
+          return { success: true };
+          
+        case 'startReattach':
+          startReattach(message.noteData);
+          return { success: true };
+          
+        case 'reattachNote':
+          const reattached = await reattachNote(message.noteId, message.context);
+          return reattached ? { success: true, noteData: reattached } : { error: 'Note not found' };
+          
+        case 'convertToManualNote':
+          const converted = await convertToManualNote(message.noteId);
+          return converted ? { success: true } : { error: 'Note not found' };
+          
         case 'getAllTags':
-          return await getAllTags();
+          return await db.getAllTags();
+          
+        case 'getTagStats':
+          return { success: true, tags: await getTagStats() };
+          
+        case 'getNoteIdsByTag':
+          const taggedNotes = await db.getNotesByTag(normalizeTag(message.tag), { includeDescendants: true });
+          return { success: true, noteIds: taggedNotes.map(note => note.id) };
+          
+        case 'renameTag':
+          const renamed = await renameTag(message.from, message.to);
+          return { success: true, ...renamed };
+          
+        case 'deleteTag':
+          const untagged = await deleteTag(message.tag);
+          return { success: true, count: untagged };
+          
+        case 'setTagColor':
+          await setTagColor(message.tag, message.color);
+          return { success: true };
+          
+        case 'getPalette':
+          return { success: true, palette: await palette.getPalette() };
+          
+        case 'savePalette':
+          return { success: true, palette: await palette.savePalette(message.palette) };
+          
+        case 'resetPalette':
+          return { success: true, palette: await palette.resetPalette() };
+          
+        case 'getNotebooks':
+          return { success: true, notebooks: await getNotebooks() };
+          
+        case 'saveNotebook':
+          const notebook = await notebooks.saveNotebook(message.notebook);
+          return { success: true, notebook };
+          
+        case 'deleteNotebook':
+          const unfiled = await deleteNotebook(message.notebookId);
+          return { success: true, count: unfiled };
+          
+        case 'reorderNotebooks':
+          await notebooks.reorderNotebooks(message.notebookIds);
+          return { success: true };
+          
+        case 'exportNotes':
+          return { success: true, data: await backup.exportNotes() };
+          
+        case 'exportMarkdown':
+          const markdownNotes = await db.getNotesByIds(message.noteIds);
+          const markdownMeanings = palette.colorMeanings(await palette.getPalette());
+          return {
+            success: true,
+            data: renderMarkdown(markdownNotes, { scope: message.scope, meanings: markdownMeanings })
+          };
+          
+        case 'exportVault':
+          // Zip bytes don't survive messaging, so they travel as base64
+          const vaultNotes = await db.getNotesByIds(message.noteIds);
+          const vaultMeanings = palette.colorMeanings(await palette.getPalette());
+          const vault = renderVault(vaultNotes, { folder: message.folder, meanings: vaultMeanings });
+          return { success: true, data: toBase64(createZip(vault)) };
+          
+        case 'exportAnnotations':
+          const annotatedNotes = await db.getNotesByIds(message.noteIds);
+          return { success: true, data: webAnnotation.exportAnnotations(annotatedNotes) };
+          
+        case 'importNotes':
+          const report = await importNotes(message.data, message.conflict);
+          return { success: true, report };
+          
+        case 'importClippings':
+          const clippingsReport = await importClippings(message.data, message.fileName);
+          return { success: true, report: clippingsReport };
           
         case 'jumpToNote':
           jumpToNote(message.noteData);
@@ -604,19 +1177,6 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
             focused: true
           });
           return { success: true };
-
-        case 'updateNote':
-          // Handle update and ensure the UI refreshes
-          await updateNote(message.noteData);
-          
-          // If we have an active tab, refresh highlights to show any changes (like comments)
-          if (sender.tab) {
-             chrome.tabs.sendMessage(sender.tab.id, {
-               action: 'highlightSaved',
-               noteId: message.noteData.id
-             }).catch(() => {});
-          }
-          return { success: true };
           
         default:
           console.warn('Unknown action:', message.action);
@@ -635,7 +1195,9 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 // Handle service worker startup
 self.addEventListener('activate', () => {
   console.log('Mozhii Note service worker activated');
-  initDatabase();
+  db.initDatabase()
+    .then(() => search.ensureIndex())
+    .catch(() => {});
 });
 
 console.log('Mozhii Note background script loaded');
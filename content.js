@@ -85,6 +85,557 @@
     }
   }
   
+  // ============================================
+  // TEXT ANCHORING
+  // ============================================
+  
+  // Characters of surrounding text stored as prefix/suffix context
+  const QUOTE_CONTEXT_LENGTH = 32;
+  
+  // Upper bound on quote occurrences considered when resolving a note
+  const MAX_QUOTE_CANDIDATES = 500;
+  
+  // Fuzzy re-anchoring: longest quote compared, characters searched either
+  // side of where the surviving prefix/suffix puts the passage, or of the
+  // stored position when the context is gone too, and the lowest
+  // similarity accepted. The search costs quote length x window length,
+  // so the windows stay small.
+  const MAX_FUZZY_PATTERN = 512;
+  const FUZZY_CONTEXT_RADIUS = 256;
+  const FUZZY_SEARCH_RADIUS = 2000;
+  const MIN_FUZZY_SIMILARITY = 0.75;
+  
+  // Shortest prefix or suffix (ignoring spaces) trusted to locate a passage
+  const MIN_CONTEXT_CHARS = 8;
+  
+  // Elements whose text is never part of the readable page
+  const IGNORED_TEXT_PARENTS = ['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEXTAREA', 'TEMPLATE'];
+  
+  // Our own injected UI must not shift text positions
+  const OWN_UI_SELECTOR = '.mozhii-modal, .mozhii-toast, .mozhii-side-notification, .mozhii-reattach-bar';
+  
+  // chrome.storage.local key remembering the notebook last saved into
+  const LAST_NOTEBOOK_KEY = 'lastNotebookId';
+  
+  /**
+   * Builds a flat view of the page text. Selectors are stored as offsets
+   * into this text so they survive changes to the surrounding markup.
+   * @returns {{text: string, nodes: Array<{node: Text, start: number}>}}
+   */
+  function buildTextIndex() {
+    const nodes = [];
+    let text = '';
+    
+    const walker = document.createTreeWalker(
+      document.body,
+      NodeFilter.SHOW_TEXT,
+      {
+        acceptNode: function(node) {
+          const parent = node.parentElement;
+          if (!parent || IGNORED_TEXT_PARENTS.includes(parent.tagName)) {
+            return NodeFilter.FILTER_REJECT;
+          }
+          if (parent.closest(OWN_UI_SELECTOR)) {
+            return NodeFilter.FILTER_REJECT;
+          }
+          return NodeFilter.FILTER_ACCEPT;
+        }
+      }
+    );
+    
+    let node;
+    while ((node = walker.nextNode())) {
+      nodes.push({ node, start: text.length });
+      text += node.data;
+    }
+    
+    return { text, nodes };
+  }
+  
+  /**
+   * Converts a DOM boundary point into an offset in the text index
+   * @param {Object} index - Result of buildTextIndex()
+   * @param {Node} container - Boundary container
+   * @param {number} offset - Boundary offset within the container
+   * @returns {number}
+   */
+  function textOffsetOf(index, container, offset) {
+    if (container.nodeType === Node.TEXT_NODE) {
+      const entry = index.nodes.find(e => e.node === container);
+      if (entry) {
+        return entry.start + offset;
+      }
+      // Unindexed text (e.g. inside a script): use the point before it
+      offset = Array.prototype.indexOf.call(container.parentNode.childNodes, container);
+      container = container.parentNode;
+    }
+    
+    const boundary = document.createRange();
+    boundary.setStart(container, offset);
+    boundary.collapse(true);
+    
+    // First indexed text node at or after the boundary (nodes are in document order)
+    let low = 0;
+    let high = index.nodes.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (boundary.comparePoint(index.nodes[mid].node, 0) < 0) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+    
+    return low < index.nodes.length ? index.nodes[low].start : index.text.length;
+  }
+  
+  /**
+   * Converts a text index offset back into a DOM boundary point
+   * @param {Object} index - Result of buildTextIndex()
+   * @param {number} offset - Offset in the index text
+   * @param {boolean} isEnd - Prefer the end of a node over the start of the next
+   * @returns {{node: Text, offset: number}|null}
+   */
+  function domPointAt(index, offset, isEnd) {
+    let low = 0;
+    let high = index.nodes.length - 1;
+    
+    while (low <= high) {
+      const mid = (low + high) >> 1;
+      const entry = index.nodes[mid];
+      const end = entry.start + entry.node.data.length;
+      
+      if (isEnd ? offset <= entry.start : offset < entry.start) {
+        high = mid - 1;
+      } else if (isEnd ? offset > end : offset >= end) {
+        low = mid + 1;
+      } else {
+        return { node: entry.node, offset: offset - entry.start };
+      }
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Creates a DOM range covering a span of the text index
+   * @param {Object} index - Result of buildTextIndex()
+   * @param {number} start - Start offset
+   * @param {number} end - End offset
+   * @returns {Range|null}
+   */
+  function rangeFromTextPosition(index, start, end) {
+    const startPoint = domPointAt(index, start, false);
+    const endPoint = domPointAt(index, end, true);
+    
+    if (!startPoint || !endPoint) {
+      return null;
+    }
+    
+    const range = document.createRange();
+    range.setStart(startPoint.node, startPoint.offset);
+    range.setEnd(endPoint.node, endPoint.offset);
+    return range;
+  }
+  
+  /**
+   * Describes a text index offset as an element XPath plus a character
+   * offset into that element's text
+   * @param {Object} index - Result of buildTextIndex()
+   * @param {number} offset - Offset in the index text
+   * @param {boolean} isEnd - Whether this is the end of a range
+   * @returns {{xpath: string, offset: number}|null}
+   */
+  function describeTextOffset(index, offset, isEnd) {
+    const point = domPointAt(index, offset, isEnd);
+    if (!point) return null;
+    
+    const element = point.node.parentElement;
+    const elementStart = textOffsetOf(index, element, 0);
+    
+    return {
+      xpath: getXPath(element),
+      offset: offset - elementStart
+    };
+  }
+  
+  /**
+   * Builds the W3C-style selector set for a range: a quote with context,
+   * a global text position and an XPath range
+   * @param {Range} range - The selected range
+   * @returns {Array<Object>} Selectors (empty if the range has no text)
+   */
+  function describeRange(range) {
+    const index = buildTextIndex();
+    let start = textOffsetOf(index, range.startContainer, range.startOffset);
+    let end = textOffsetOf(index, range.endContainer, range.endOffset);
+    
+    // Match the trimmed selection text
+    while (start < end && /\s/.test(index.text[start])) start++;
+    while (end > start && /\s/.test(index.text[end - 1])) end--;
+    
+    if (start >= end) {
+      return [];
+    }
+    
+    const selectors = [
+      {
+        type: 'TextQuoteSelector',
+        exact: index.text.slice(start, end),
+        prefix: index.text.slice(Math.max(0, start - QUOTE_CONTEXT_LENGTH), start),
+        suffix: index.text.slice(end, end + QUOTE_CONTEXT_LENGTH)
+      },
+      {
+        type: 'TextPositionSelector',
+        start: start,
+        end: end
+      }
+    ];
+    
+    const startPath = describeTextOffset(index, start, false);
+    const endPath = describeTextOffset(index, end, true);
+    
+    if (startPath && endPath && startPath.xpath && endPath.xpath) {
+      selectors.push({
+        type: 'RangeSelector',
+        startContainer: startPath.xpath,
+        startOffset: startPath.offset,
+        endContainer: endPath.xpath,
+        endOffset: endPath.offset
+      });
+    }
+    
+    return selectors;
+  }
+  
+  /**
+   * Resolves a RangeSelector to a text index span
+   * @param {Object} index - Result of buildTextIndex()
+   * @param {Object} selector - The RangeSelector
+   * @returns {{start: number, end: number}|null}
+   */
+  function resolveRangeSelector(index, selector) {
+    const startElement = getElementByXPath(selector.startContainer);
+    const endElement = getElementByXPath(selector.endContainer);
+    
+    if (!startElement || !endElement) {
+      return null;
+    }
+    
+    const start = textOffsetOf(index, startElement, 0) + selector.startOffset;
+    const end = textOffsetOf(index, endElement, 0) + selector.endOffset;
+    const endLimit = textOffsetOf(index, endElement, endElement.childNodes.length);
+    
+    if (start >= end || end > endLimit) {
+      return null;
+    }
+    
+    return { start, end };
+  }
+  
+  /**
+   * Counts how many characters two strings share at their ends
+   * @param {string} a
+   * @param {string} b
+   * @param {boolean} fromEnd - Compare trailing characters instead of leading
+   * @returns {number}
+   */
+  function sharedLength(a, b, fromEnd) {
+    const max = Math.min(a.length, b.length);
+    let count = 0;
+    while (count < max) {
+      const charA = fromEnd ? a[a.length - 1 - count] : a[count];
+      const charB = fromEnd ? b[b.length - 1 - count] : b[count];
+      if (charA !== charB) break;
+      count++;
+    }
+    return count;
+  }
+  
+  /**
+   * Returns the selectors stored on a note. Notes saved before selectors
+   * existed get a context-free quote built from their text.
+   * @param {Object} noteData
+   * @returns {Array<Object>}
+   */
+  function getNoteSelectors(noteData) {
+    if (Array.isArray(noteData.selectors) && noteData.selectors.length > 0) {
+      return noteData.selectors;
+    }
+    if (!noteData.text) {
+      return [];
+    }
+    return [{ type: 'TextQuoteSelector', exact: noteData.text, prefix: '', suffix: '' }];
+  }
+  
+  /**
+   * Finds the best matching span in the page for a note. Every selector
+   * contributes candidates, and each candidate is scored on how well it
+   * agrees with the quote context, the stored position and the XPath range.
+   * When the exact quote is gone and fuzzy matching is allowed, falls back
+   * to approximate matching.
+   * @param {Object} noteData - The note data
+   * @param {Object} [index] - Prebuilt text index
+   * @param {Object} [options]
+   * @param {boolean} [options.fuzzy=false] - Whether to fall back to
+   *   approximate matching
+   * @returns {{start: number, end: number, score: number, confidence: number, drifted: boolean}|null}
+   */
+  function resolveNoteAnchor(noteData, index = buildTextIndex(), { fuzzy = false } = {}) {
+    const selectors = getNoteSelectors(noteData);
+    const quote = selectors.find(s => s.type === 'TextQuoteSelector');
+    const position = selectors.find(s => s.type === 'TextPositionSelector');
+    const rangeSelector = selectors.find(s => s.type === 'RangeSelector');
+    
+    const candidates = new Map();
+    const addCandidate = (start, end) => {
+      if (start < 0 || end > index.text.length || start >= end) return;
+      if (quote && index.text.slice(start, end) !== quote.exact) return;
+      candidates.set(start, { start, end });
+    };
+    
+    if (position) {
+      addCandidate(position.start, position.end);
+    }
+    
+    const rangeSpan = rangeSelector ? resolveRangeSelector(index, rangeSelector) : null;
+    if (rangeSpan) {
+      addCandidate(rangeSpan.start, rangeSpan.end);
+    }
+    
+    if (quote && quote.exact) {
+      let from = index.text.indexOf(quote.exact);
+      while (from !== -1 && candidates.size < MAX_QUOTE_CANDIDATES) {
+        addCandidate(from, from + quote.exact.length);
+        from = index.text.indexOf(quote.exact, from + 1);
+      }
+    }
+    
+    if (candidates.size === 0) {
+      return fuzzy ? resolveFuzzyAnchor(noteData, index, quote, position) : null;
+    }
+    
+    // Legacy notes only have an element path; prefer matches inside it
+    let legacySpan = null;
+    if (!rangeSelector && noteData.elementPath) {
+      const element = getElementByXPath(noteData.elementPath);
+      if (element) {
+        legacySpan = {
+          start: textOffsetOf(index, element, 0),
+          end: textOffsetOf(index, element, element.childNodes.length)
+        };
+      }
+    }
+    
+    let best = null;
+    
+    for (const candidate of candidates.values()) {
+      let score = 0;
+      
+      if (quote && quote.prefix) {
+        const before = index.text.slice(Math.max(0, candidate.start - quote.prefix.length), candidate.start);
+        score += 2 * sharedLength(before, quote.prefix, true) / quote.prefix.length;
+      }
+      
+      if (quote && quote.suffix) {
+        const after = index.text.slice(candidate.end, candidate.end + quote.suffix.length);
+        score += 2 * sharedLength(after, quote.suffix, false) / quote.suffix.length;
+      }
+      
+      if (position) {
+        score += 1 / (1 + Math.abs(candidate.start - position.start) / 50);
+      }
+      
+      if (rangeSpan && rangeSpan.start === candidate.start && rangeSpan.end === candidate.end) {
+        score += 1;
+      }
+      
+      if (legacySpan && candidate.start >= legacySpan.start && candidate.end <= legacySpan.end) {
+        score += 1;
+      }
+      
+      if (!best || score > best.score) {
+        best = { start: candidate.start, end: candidate.end, score, confidence: 1, drifted: false };
+      }
+    }
+    
+    return best;
+  }
+  
+  /**
+   * Estimates where a note's text should be in the text index, using the
+   * stored text position or, failing that, the saved scroll position
+   * @param {Object} noteData - The note data
+   * @param {Object} index - Result of buildTextIndex()
+   * @param {Object} [position] - The note's TextPositionSelector
+   * @returns {number}
+   */
+  function estimateTextOffset(noteData, index, position) {
+    if (position) {
+      return Math.min(position.start, index.text.length);
+    }
+    
+    if (noteData.scrollY && noteData.documentHeight) {
+      const ratio = Math.min(1, noteData.scrollY / noteData.documentHeight);
+      return Math.round(index.text.length * ratio);
+    }
+    
+    return 0;
+  }
+  
+  /**
+   * Estimates where a note's passage starts from the text that surrounded
+   * it, which often survives edits to the passage itself
+   * @param {Object} index - Result of buildTextIndex()
+   * @param {Object} quote - The note's TextQuoteSelector
+   * @param {number} expected - Offset used to choose between occurrences
+   * @returns {number} The likely start offset, or -1 if the context is gone
+   */
+  function estimateOffsetFromContext(index, quote, expected) {
+    const offsets = [];
+    const collect = (context, toStart) => {
+      if (context.replace(/\s/g, '').length < MIN_CONTEXT_CHARS) return;
+      
+      let from = index.text.indexOf(context);
+      while (from !== -1 && offsets.length < MAX_QUOTE_CANDIDATES) {
+        offsets.push(toStart(from));
+        from = index.text.indexOf(context, from + 1);
+      }
+    };
+    
+    const prefix = quote.prefix || '';
+    const suffix = quote.suffix || '';
+    collect(prefix, (found) => found + prefix.length);
+    collect(suffix, (found) => found - quote.exact.length);
+    
+    if (offsets.length === 0) return -1;
+    return offsets.reduce((best, offset) =>
+      Math.abs(offset - expected) < Math.abs(best - expected) ? offset : best
+    );
+  }
+  
+  /**
+   * Approximate substring search (Sellers' edit-distance algorithm).
+   * Finds the span of text with the fewest edits from the pattern,
+   * preferring matches closer to the expected offset on ties.
+   * @param {string} text - Text to search
+   * @param {string} pattern - Pattern to look for
+   * @param {number} expected - Preferred match start within text
+   * @returns {{start: number, end: number, distance: number}|null}
+   */
+  function approximateSearch(text, pattern, expected) {
+    const m = pattern.length;
+    if (m === 0 || text.length === 0) return null;
+    
+    // Column j holds the cheapest edit cost of pattern[0..i] ending at text[j],
+    // plus the text offset where that alignment started
+    let prevCost = new Array(m + 1);
+    let prevStart = new Array(m + 1).fill(0);
+    let curCost = new Array(m + 1);
+    let curStart = new Array(m + 1);
+    for (let i = 0; i <= m; i++) prevCost[i] = i;
+    
+    let best = null;
+    
+    for (let j = 1; j <= text.length; j++) {
+      curCost[0] = 0;
+      curStart[0] = j;
+      const char = text[j - 1];
+      
+      for (let i = 1; i <= m; i++) {
+        let cost = prevCost[i - 1] + (pattern[i - 1] === char ? 0 : 1);
+        let start = prevStart[i - 1];
+        
+        if (prevCost[i] + 1 < cost) {
+          cost = prevCost[i] + 1;
+          start = prevStart[i];
+        }
+        if (curCost[i - 1] + 1 < cost) {
+          cost = curCost[i - 1] + 1;
+          start = curStart[i - 1];
+        }
+        
+        curCost[i] = cost;
+        curStart[i] = start;
+      }
+      
+      const distance = curCost[m];
+      const start = curStart[m];
+      if (!best || distance < best.distance ||
+          (distance === best.distance && Math.abs(start - expected) < Math.abs(best.start - expected))) {
+        best = { start, end: j, distance };
+      }
+      
+      [prevCost, curCost] = [curCost, prevCost];
+      [prevStart, curStart] = [curStart, prevStart];
+    }
+    
+    return best;
+  }
+  
+  /**
+   * Re-anchors a note whose exact text is no longer on the page by finding
+   * the closest passage near where it used to be
+   * @param {Object} noteData - The note data
+   * @param {Object} index - Result of buildTextIndex()
+   * @param {Object} [quote] - The note's TextQuoteSelector
+   * @param {Object} [position] - The note's TextPositionSelector
+   * @returns {{start: number, end: number, score: number, confidence: number, drifted: boolean}|null}
+   */
+  function resolveFuzzyAnchor(noteData, index, quote, position) {
+    const exact = quote ? quote.exact : noteData.text;
+    if (!exact || exact.length > MAX_FUZZY_PATTERN) {
+      return null;
+    }
+    
+    const expected = estimateTextOffset(noteData, index, position);
+    const fromContext = quote ? estimateOffsetFromContext(index, quote, expected) : -1;
+    
+    // Search next to the surviving context first, then around the position
+    const searchAround = (center, radius) => {
+      const windowStart = Math.max(0, center - radius);
+      const windowEnd = Math.min(index.text.length, center + exact.length + radius);
+      const match = approximateSearch(index.text.slice(windowStart, windowEnd), exact, center - windowStart);
+      if (!match || 1 - match.distance / exact.length < MIN_FUZZY_SIMILARITY) {
+        return null;
+      }
+      return { start: windowStart + match.start, end: windowStart + match.end, distance: match.distance };
+    };
+    
+    const match = (fromContext !== -1 && searchAround(fromContext, FUZZY_CONTEXT_RADIUS)) ||
+      searchAround(expected, FUZZY_SEARCH_RADIUS);
+    if (!match) {
+      return null;
+    }
+    
+    const similarity = 1 - match.distance / exact.length;
+    let start = match.start;
+    let end = match.end;
+    while (start < end && /\s/.test(index.text[start])) start++;
+    while (end > start && /\s/.test(index.text[end - 1])) end--;
+    if (start >= end) {
+      return null;
+    }
+    
+    // Surrounding context that still agrees raises confidence
+    let confidence = similarity;
+    if (quote && (quote.prefix || quote.suffix)) {
+      const contextLength = (quote.prefix || '').length + (quote.suffix || '').length;
+      const before = index.text.slice(Math.max(0, start - (quote.prefix || '').length), start);
+      const after = index.text.slice(end, end + (quote.suffix || '').length);
+      const shared = sharedLength(before, quote.prefix || '', true) + sharedLength(after, quote.suffix || '', false);
+      confidence = 0.8 * similarity + 0.2 * (shared / contextLength);
+    }
+    
+    return {
+      start,
+      end,
+      score: confidence,
+      confidence: Math.round(confidence * 100) / 100,
+      drifted: true
+    };
+  }
+  
   // ============================================
   // NOTE CAPTURE
   // ============================================
@@ -129,7 +680,8 @@
       viewportWidth: window.innerWidth,
       viewportHeight: window.innerHeight,
       documentHeight: document.documentElement.scrollHeight,
-      parentTagName: element.tagName?.toLowerCase() || 'unknown'
+      parentTagName: element.tagName?.toLowerCase() || 'unknown',
+      selectors: describeRange(range)
     };
   }
   
@@ -137,6 +689,50 @@
   // HIGHLIGHTING
   // ============================================
   
+  // Palette offered until the user's own has loaded (see utils/palette.js)
+  const DEFAULT_PALETTE = [
+    { color: '#FFEB3B', name: 'Yellow', meaning: '' },
+    { color: '#A5D6A7', name: 'Green', meaning: '' },
+    { color: '#90CAF9', name: 'Blue', meaning: '' },
+    { color: '#F48FB1', name: 'Pink', meaning: '' },
+    { color: '#FFCC80', name: 'Orange', meaning: '' },
+    { color: '#CE93D8', name: 'Purple', meaning: '' }
+  ];
+  
+  /**
+   * Gets the user's highlight palette. Fetched each time, so changes made
+   * in the popup apply without reloading the page.
+   * @returns {Promise<Array<{color: string, name: string, meaning: string}>>}
+   */
+  async function loadPalette() {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'getPalette' });
+      if (response?.success && response.palette.length > 0) return response.palette;
+    } catch (error) {
+      // Fall back to the default palette
+    }
+    return DEFAULT_PALETTE;
+  }
+  
+  /**
+   * Describes a palette color, with its meaning when it has one
+   * @param {Object} entry - A palette entry
+   * @returns {string} e.g. "Green: key fact"
+   */
+  function paletteLabel(entry) {
+    return entry.meaning ? `${entry.name}: ${entry.meaning}` : entry.name;
+  }
+  
+  /**
+   * Checks whether two hex colors are the same
+   * @param {string} a - A color
+   * @param {string} b - Another color
+   * @returns {boolean}
+   */
+  function sameColor(a, b) {
+    return (a || '').toLowerCase() === (b || '').toLowerCase();
+  }
+  
   /**
    * Creates a highlight span element
    * @param {string} noteId - The note ID
@@ -165,106 +761,130 @@
     }
     
     try {
-      const range = selection.getRangeAt(0);
-      
-      // Check if range crosses element boundaries (causes DOMException)
-      if (range.startContainer !== range.endContainer) {
-        // For complex selections, just clear selection without highlighting
-        selection.removeAllRanges();
-        return false;
-      }
-      
-      const span = createHighlightSpan(noteId, color);
-      
       // Clone the range to avoid modifying the original
-      const newRange = range.cloneRange();
+      const range = selection.getRangeAt(0).cloneRange();
       
-      // Wrap the selected content
-      newRange.surroundContents(span);
+      const highlight = highlightRange(range, { id: noteId, highlightColor: color });
       
       // Clear the selection
       selection.removeAllRanges();
       
-      return true;
+      return highlight !== null;
     } catch (error) {
       console.error('Error applying highlight:', error);
-      // Fallback: try to highlight using text content matching
       return false;
     }
   }
   
   /**
-   * Applies a highlight using stored note data
+   * Applies a highlight using stored note data. Only exact matches are
+   * tried at first; the page may still be rendering the passage, so
+   * approximate matching waits until the retries have run out.
    * @param {Object} noteData - The note data with location info
+   * @param {Object} [index] - Prebuilt text index
    * @returns {HTMLElement|null} The highlight element or null
    */
-  function applyHighlightFromData(noteData) {
+  function applyHighlightFromData(noteData, index) {
     // Check if highlight already exists
     const existing = document.querySelector(`[data-note-id="${noteData.id}"]`);
     if (existing) {
       return existing;
     }
     
-    // Strategy 1: Try XPath first
-    let element = getElementByXPath(noteData.elementPath);
+    const highlight = anchorAndHighlight(noteData, { index });
     
-    // Strategy 2: If XPath fails, search the entire document for the text
-    if (!element) {
-      element = findElementContainingText(noteData.text);
+    // If not found, try a delayed search (for dynamic content)
+    if (!highlight) {
+      scheduleHighlightRetry(noteData);
     }
     
-    // Strategy 3: If still not found, try a delayed search (for dynamic content)
-    if (!element) {
-      // Schedule a retry for dynamic pages
-      scheduleHighlightRetry(noteData);
+    return highlight;
+  }
+  
+  /**
+   * Resolves a note's selectors against the current page and highlights
+   * the best match. A highlight changes the page's text nodes, so a
+   * prebuilt index can't be reused once this returns a highlight.
+   * @param {Object} noteData - The note data
+   * @param {Object} [options]
+   * @param {Object} [options.index] - Prebuilt text index
+   * @param {boolean} [options.fuzzy=false] - Whether to fall back to
+   *   approximate matching
+   * @returns {HTMLElement|null}
+   */
+  function anchorAndHighlight(noteData, { index = buildTextIndex(), fuzzy = false } = {}) {
+    try {
+      const anchor = resolveNoteAnchor(noteData, index, { fuzzy });
+      if (!anchor) {
+        return null;
+      }
+      
+      const range = rangeFromTextPosition(index, anchor.start, anchor.end);
+      const highlight = range ? highlightRange(range, noteData) : null;
+      
+      if (highlight) {
+        if (anchor.drifted) {
+          getHighlightSpans(noteData.id).forEach(span => span.classList.add('mozhii-highlight-drifted'));
+        }
+        reportAnchorStatus(noteData, anchor.drifted ? 'drifted' : 'resolved', anchor.confidence);
+      }
+      
+      return highlight;
+    } catch (error) {
+      console.error('Error applying highlight from data:', error);
       return null;
     }
+  }
+  
+  // Anchor results waiting to be sent to the background in one batch
+  const pendingAnchorReports = new Map();
+  let anchorReportTimer = null;
+  
+  /**
+   * Queues how a note resolved on this page so the background can persist
+   * it (and the popup can list orphaned notes)
+   * @param {Object} noteData - The note data
+   * @param {string} status - 'resolved', 'drifted' or 'orphaned'
+   * @param {number} confidence - 1 for an exact match, 0 when orphaned
+   */
+  function reportAnchorStatus(noteData, status, confidence) {
+    if (!noteData.id) return;
+    
+    noteData.anchorStatus = status;
+    noteData.anchorConfidence = confidence;
+    pendingAnchorReports.set(noteData.id, { noteId: noteData.id, status, confidence });
     
-    return tryApplyHighlight(element, noteData);
+    clearTimeout(anchorReportTimer);
+    anchorReportTimer = setTimeout(flushAnchorReports, 1000);
+    
+    // A note that turned up late moves into place in the sidebar
+    renderSidebar();
   }
   
   /**
-   * Searches the document for an element containing the exact text
-   * @param {string} text - The text to find
-   * @returns {Element|null}
+   * Sends queued anchor results to the background
    */
-  function findElementContainingText(text) {
-    if (!text || text.length < 3) return null;
+  function flushAnchorReports() {
+    if (pendingAnchorReports.size === 0 || !isExtensionContextValid()) {
+      return;
+    }
     
-    const walker = document.createTreeWalker(
-      document.body,
-      NodeFilter.SHOW_TEXT,
-      {
-        acceptNode: function(node) {
-          // Skip hidden elements and scripts
-          const parent = node.parentElement;
-          if (!parent) return NodeFilter.FILTER_REJECT;
-          
-          const style = window.getComputedStyle(parent);
-          if (style.display === 'none' || style.visibility === 'hidden') {
-            return NodeFilter.FILTER_REJECT;
-          }
-          
-          if (['SCRIPT', 'STYLE', 'NOSCRIPT'].includes(parent.tagName)) {
-            return NodeFilter.FILTER_REJECT;
-          }
-          
-          // Check if this node contains the text
-          if (node.textContent && node.textContent.includes(text)) {
-            return NodeFilter.FILTER_ACCEPT;
-          }
-          
-          return NodeFilter.FILTER_SKIP;
-        }
-      }
-    );
+    const reports = Array.from(pendingAnchorReports.values());
+    pendingAnchorReports.clear();
     
-    const node = walker.nextNode();
-    return node ? node.parentElement : null;
+    chrome.runtime.sendMessage({
+      action: 'reportAnchorStatus',
+      reports: reports
+    }).catch(() => {
+      // Background may be restarting; we'll report again on next load
+    });
   }
   
   /**
-   * Schedules a retry for highlighting on dynamic pages
+   * Schedules a retry for highlighting on dynamic pages. Retries look for
+   * exact matches only; once they run out, approximate matching is tried
+   * once, unless the dynamic content observer is still watching for the
+   * note (it tries approximate matching when it stops).
    * @param {Object} noteData
    */
   function scheduleHighlightRetry(noteData) {
@@ -278,81 +898,113 @@
       window[retryKey] = retryCount + 1;
       
       setTimeout(() => {
-        const element = findElementContainingText(noteData.text);
-        if (element) {
-          tryApplyHighlight(element, noteData);
+        // The dynamic content observer may have found it meanwhile
+        if (getHighlightSpans(noteData.id).length > 0 || anchorAndHighlight(noteData)) {
+          delete window[retryKey];
+          return;
+        }
+        
+        if (window[retryKey] === maxRetries) {
           delete window[retryKey];
+          const observed = highlightObserver && pendingHighlights.some(n => n.id === noteData.id);
+          if (!observed) {
+            anchorAndHighlight(noteData, { fuzzy: true });
+          }
+          return;
         }
+        
+        scheduleHighlightRetry(noteData);
       }, 1000 * (retryCount + 1)); // Exponential backoff: 1s, 2s, 3s
     }
   }
   
+  // Containers where a stray span around whitespace would be invalid markup
+  const NO_WRAP_PARENTS = ['TABLE', 'THEAD', 'TBODY', 'TFOOT', 'TR', 'UL', 'OL', 'DL', 'SELECT'];
+  
   /**
-   * Attempts to apply highlight to an element
-   * @param {Element} element 
-   * @param {Object} noteData 
-   * @returns {HTMLElement|null}
+   * Lists the text nodes a range touches, in document order
+   * @param {Range} range
+   * @returns {Array<Text>}
    */
-  function tryApplyHighlight(element, noteData) {
-    try {
-      // Try to find the exact text in the element
-      const walker = document.createTreeWalker(
-        element,
-        NodeFilter.SHOW_TEXT,
-        null,
-        false
-      );
-      
-      let node;
-      let currentOffset = 0;
-      
-      while ((node = walker.nextNode())) {
-        const nodeText = node.textContent;
-        const textIndex = nodeText.indexOf(noteData.text);
-        
-        if (textIndex !== -1) {
-          // Found the text in this node
-          const range = document.createRange();
-          range.setStart(node, textIndex);
-          range.setEnd(node, textIndex + noteData.text.length);
-          
-          const span = createHighlightSpan(noteData.id, noteData.highlightColor);
-          
-          try {
-            range.surroundContents(span);
-            return span;
-          } catch (e) {
-            // If surroundContents fails (e.g., crosses element boundaries)
-            // Try a simpler approach
-            try {
-              const contents = range.extractContents();
-              span.appendChild(contents);
-              range.insertNode(span);
-              return span;
-            } catch (e2) {
-              // Last resort: just mark the parent element
-              console.warn('Complex highlight structure, skipping:', noteData.id);
-              return null;
-            }
+  function getRangeTextNodes(range) {
+    const root = range.commonAncestorContainer;
+    
+    if (root.nodeType === Node.TEXT_NODE) {
+      return [root];
+    }
+    
+    const nodes = [];
+    const walker = document.createTreeWalker(
+      root,
+      NodeFilter.SHOW_TEXT,
+      {
+        acceptNode: function(node) {
+          const parent = node.parentElement;
+          if (!parent || IGNORED_TEXT_PARENTS.includes(parent.tagName)) {
+            return NodeFilter.FILTER_REJECT;
           }
+          return range.intersectsNode(node) ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_REJECT;
         }
-        
-        currentOffset += nodeText.length;
       }
-      
-      // Fallback: Search all text nodes for partial match
-      const allText = element.textContent || '';
-      if (allText.includes(noteData.text)) {
-        // The text exists but is split across nodes
-        // For now, silently skip - the text is there but highlighting is complex
-        return null;
+    );
+    
+    let node;
+    while ((node = walker.nextNode())) {
+      nodes.push(node);
+    }
+    
+    return nodes;
+  }
+  
+  /**
+   * Highlights a range by wrapping each text node segment in its own span.
+   * All spans share the note's data-note-id, so a highlight can cross
+   * element boundaries without restructuring the page.
+   * @param {Range} range - The range to highlight
+   * @param {Object} noteData - The note data
+   * @returns {HTMLElement|null} The first highlight span
+   */
+  function highlightRange(range, noteData) {
+    // Work out every segment before touching the DOM, since splitting
+    // text nodes moves the range boundaries
+    const segments = getRangeTextNodes(range).map(node => ({
+      node,
+      start: node === range.startContainer ? range.startOffset : 0,
+      end: node === range.endContainer ? range.endOffset : node.data.length
+    })).filter(({ node, start, end }) => {
+      if (start >= end) return false;
+      const isBlank = node.data.slice(start, end).trim().length === 0;
+      return !(isBlank && NO_WRAP_PARENTS.includes(node.parentElement.tagName));
+    });
+    
+    const spans = segments.map(({ node, start, end }) => {
+      let target = node;
+      if (end < target.data.length) {
+        target.splitText(end);
+      }
+      if (start > 0) {
+        target = target.splitText(start);
       }
       
-      return null;
-    } catch (error) {
-      console.error('Error applying highlight from data:', error);
-      return null;
-    }
+      const span = createHighlightSpan(noteData.id, noteData.highlightColor);
+      target.parentNode.insertBefore(span, target);
+      span.appendChild(target);
+      return span;
+    });
+    
+    // One tab stop per highlight, however many spans it has
+    if (spans[0]) spans[0].tabIndex = 0;
+    
+    return spans[0] || null;
+  }
+  
+  /**
+   * Gets every span that makes up a note's highlight
+   * @param {string} noteId - The note ID
+   * @returns {Array<HTMLElement>}
+   */
+  function getHighlightSpans(noteId) {
+    return Array.from(document.querySelectorAll(`.mozhii-highlight[data-note-id="${noteId}"]`));
   }
   
   /**
@@ -360,21 +1012,58 @@
    * @param {string} noteId - The note ID
    */
   function removeHighlight(noteId) {
-    const highlight = document.querySelector(`[data-note-id="${noteId}"]`);
-    if (highlight) {
+    const parents = new Set();
+    if (cardAnchor?.dataset.noteId === noteId) hideHighlightCard();
+    
+    getHighlightSpans(noteId).forEach(highlight => {
       const parent = highlight.parentNode;
       while (highlight.firstChild) {
         parent.insertBefore(highlight.firstChild, highlight);
       }
       parent.removeChild(highlight);
-      parent.normalize(); // Merge adjacent text nodes
+      parents.add(parent);
+    });
+    
+    // Merge adjacent text nodes
+    parents.forEach(parent => parent.normalize());
+  }
+  
+  /**
+   * Brings a highlight in line with an edited note: recolors it, or
+   * highlights the note if it isn't on the page yet
+   * @param {Object} noteData - The updated note data
+   */
+  function refreshHighlight(noteData) {
+    const spans = getHighlightSpans(noteData.id);
+    
+    if (spans.length === 0) {
+      applyHighlightFromData(noteData);
+      return;
     }
+    
+    spans.forEach(span => {
+      span.style.setProperty('--highlight-color', noteData.highlightColor || '#FFEB3B');
+    });
   }
   
   // ============================================
   // CONTEXT RESTORATION
   // ============================================
   
+  /**
+   * Briefly pulses every span of a note's highlight to draw the eye to it
+   * @param {string} noteId - The note ID
+   */
+  function pulseHighlight(noteId) {
+    const spans = getHighlightSpans(noteId);
+    spans.forEach(span => span.classList.add('mozhii-pulse'));
+    
+    // Remove pulse after animation completes
+    setTimeout(() => {
+      spans.forEach(span => span.classList.remove('mozhii-pulse'));
+    }, 2500);
+  }
+  
   /**
    * Restores a note's context (scrolls and highlights)
    * @param {Object} noteData - The note data
@@ -398,13 +1087,11 @@
           inline: 'nearest'
         });
         
-        // Add pulse animation
-        highlight.classList.add('mozhii-pulse');
+        pulseHighlight(noteData.id);
         
-        // Remove pulse after animation completes
-        setTimeout(() => {
-          highlight.classList.remove('mozhii-pulse');
-        }, 2500);
+        if (highlight.classList.contains('mozhii-highlight-drifted')) {
+          showToast('This page has changed since you saved the note. Showing the closest match.');
+        }
       } else {
         // Couldn't find the exact text, show a notification
         showToast('Could not locate the exact text. It may have been modified.');
@@ -452,11 +1139,15 @@
       if (response && Array.isArray(response)) {
         pendingHighlights = [...response];
         
+        // One text index serves every note until a highlight changes the page
+        let index = null;
         response.forEach(note => {
-          const result = applyHighlightFromData(note);
+          index = index || buildTextIndex();
+          const result = applyHighlightFromData(note, index);
           if (result) {
             // Remove from pending
             pendingHighlights = pendingHighlights.filter(n => n.id !== note.id);
+            index = null;
           }
         });
         
@@ -485,232 +1176,1731 @@
         }
         return; // Silently exit
       }
-      // Only log unexpected errors
-      console.error('Error loading page highlights:', error);
+      // Only log unexpected errors
+      console.error('Error loading page highlights:', error);
+    }
+  }
+  
+  /**
+   * Sets up a MutationObserver for dynamic pages (ChatGPT, LinkedIn, etc.)
+   */
+  function setupDynamicContentObserver() {
+    if (highlightObserver) return; // Already observing
+    
+    let debounceTimer = null;
+    
+    highlightObserver = new MutationObserver((mutations) => {
+      // Debounce to avoid excessive processing
+      if (debounceTimer) clearTimeout(debounceTimer);
+      
+      debounceTimer = setTimeout(() => {
+        if (pendingHighlights.length === 0) {
+          highlightObserver.disconnect();
+          highlightObserver = null;
+          return;
+        }
+        
+        // Try to apply pending highlights, exact matches only: the page is
+        // still changing. One text index serves the whole batch until a
+        // highlight changes the page.
+        const stillPending = [];
+        let index = null;
+        
+        for (const note of pendingHighlights) {
+          const existing = document.querySelector(`[data-note-id="${note.id}"]`);
+          if (existing) continue;
+          
+          index = index || buildTextIndex();
+          if (anchorAndHighlight(note, { index })) {
+            index = null;
+          } else {
+            stillPending.push(note);
+          }
+        }
+        
+        pendingHighlights = stillPending;
+        
+        // Stop observing if all highlights are applied
+        if (pendingHighlights.length === 0 && highlightObserver) {
+          highlightObserver.disconnect();
+          highlightObserver = null;
+        }
+      }, 500);
+    });
+    
+    highlightObserver.observe(document.body, {
+      childList: true,
+      subtree: true
+    });
+    
+    // Auto-disconnect after 30 seconds to prevent memory issues.
+    // Approximate matching gets one try then; anything it can't place
+    // either is reported as orphaned.
+    const observer = highlightObserver;
+    setTimeout(() => {
+      if (highlightObserver !== observer) return;
+      
+      highlightObserver.disconnect();
+      highlightObserver = null;
+      
+      // A few notes per idle slice, so the page stays responsive
+      const remaining = pendingHighlights;
+      pendingHighlights = [];
+      
+      const placeRemaining = (deadline) => {
+        let index = null;
+        do {
+          const note = remaining.shift();
+          if (!note || getHighlightSpans(note.id).length > 0) continue;
+          
+          index = index || buildTextIndex();
+          if (anchorAndHighlight(note, { index, fuzzy: true })) {
+            index = null;
+          } else {
+            reportAnchorStatus(note, 'orphaned', 0);
+          }
+        } while (remaining.length > 0 && deadline.timeRemaining() > 0);
+        
+        if (remaining.length > 0) {
+          whenIdle(placeRemaining);
+        }
+      };
+      whenIdle(placeRemaining);
+    }, 30000);
+  }
+  
+  /**
+   * Runs a task once the page is idle, or on the next turn of the event
+   * loop where idle callbacks aren't available
+   * @param {function({timeRemaining: function(): number}): void} task
+   */
+  function whenIdle(task) {
+    if (typeof window.requestIdleCallback === 'function') {
+      window.requestIdleCallback(task, { timeout: 1000 });
+    } else {
+      setTimeout(() => task({ timeRemaining: () => 0 }), 0);
+    }
+  }
+  
+  // ============================================
+  // UI HELPERS
+  // ============================================
+  
+  /**
+   * Shows a toast notification
+   * @param {string} message - The message to display
+   * @param {number} [duration=3000] - Duration in milliseconds
+   */
+  function showToast(message, duration = 3000) {
+    // Remove existing toast
+    const existingToast = document.getElementById('mozhii-toast');
+    if (existingToast) {
+      existingToast.remove();
+    }
+    
+    const toast = document.createElement('div');
+    toast.id = 'mozhii-toast';
+    toast.className = 'mozhii-toast';
+    toast.textContent = message;
+    
+    document.body.appendChild(toast);
+    
+    // Trigger animation
+    requestAnimationFrame(() => {
+      toast.classList.add('mozhii-toast-visible');
+    });
+    
+    // Remove after duration
+    setTimeout(() => {
+      toast.classList.remove('mozhii-toast-visible');
+      setTimeout(() => {
+        toast.remove();
+      }, 300);
+    }, duration);
+  }
+  
+  /**
+   * Shows an annotation modal for adding comments/tags
+   * @param {Object} noteData - The initial note data
+   * @returns {Promise<Object>} Updated note data with user input
+   */
+  function showAnnotationModal(noteData) {
+    return new Promise((resolve) => {
+      // Remove existing modal
+      const existingModal = document.getElementById('mozhii-modal');
+      if (existingModal) {
+        existingModal.remove();
+      }
+      
+      const modal = document.createElement('div');
+      modal.id = 'mozhii-modal';
+      modal.className = 'mozhii-modal';
+      modal.innerHTML = `
+        <div class="mozhii-modal-content">
+          <div class="mozhii-modal-header">
+            <h3>📝 Add Note Details</h3>
+            <button class="mozhii-modal-close" title="Close">&times;</button>
+          </div>
+          <div class="mozhii-modal-body">
+            <div class="mozhii-modal-preview">
+              <strong>Selected text:</strong>
+              <p>"${noteData.text.length > 100 ? noteData.text.substring(0, 100) + '...' : noteData.text}"</p>
+            </div>
+            <div class="mozhii-modal-field">
+              <label for="mozhii-comment">Comment (optional):</label>
+              <textarea id="mozhii-comment" placeholder="Add your thoughts..."></textarea>
+            </div>
+            <div class="mozhii-modal-field">
+              <label for="mozhii-tags">Tags (comma-separated):</label>
+              <input type="text" id="mozhii-tags" placeholder="e.g., important, research, to-review">
+              <div class="mozhii-tag-suggestions">
+                <span class="mozhii-tag-suggestion" data-tag="Important">Important</span>
+                <span class="mozhii-tag-suggestion" data-tag="Research">Research</span>
+                <span class="mozhii-tag-suggestion" data-tag="To Review">To Review</span>
+                <span class="mozhii-tag-suggestion" data-tag="Question">Question</span>
+              </div>
+            </div>
+            <div class="mozhii-modal-field">
+              <label id="mozhii-colors-label">Highlight color:</label>
+              <div class="mozhii-colors" role="radiogroup" aria-labelledby="mozhii-colors-label"></div>
+              <div class="mozhii-color-meaning"></div>
+            </div>
+            <div class="mozhii-modal-field" style="display: none;">
+              <label for="mozhii-notebook">Save into notebook:</label>
+              <select id="mozhii-notebook"></select>
+            </div>
+          </div>
+          <div class="mozhii-modal-footer">
+            <button class="mozhii-btn mozhii-btn-secondary" id="mozhii-skip">Skip</button>
+            <button class="mozhii-btn mozhii-btn-primary" id="mozhii-save">Save Note</button>
+          </div>
+        </div>
+      `;
+      
+      document.body.appendChild(modal);
+      document.getElementById('mozhii-comment').value = noteData.comment || '';
+      document.getElementById('mozhii-tags').value = (noteData.tags || []).join(', ');
+      fillColorPicker(modal, noteData.highlightColor);
+      fillNotebookPicker(modal, noteData.notebookId);
+      
+      // Focus on comment field
+      setTimeout(() => {
+        document.getElementById('mozhii-comment')?.focus();
+      }, 100);
+      
+      // Event handlers
+      const closeModal = (withData = false) => {
+        if (withData) {
+          const comment = document.getElementById('mozhii-comment')?.value.trim() || '';
+          const tagsInput = document.getElementById('mozhii-tags')?.value || '';
+          const tags = tagsInput.split(',')
+            .map(t => t.trim())
+            .filter(t => t.length > 0);
+          
+          noteData.comment = comment;
+          noteData.tags = tags;
+          
+          const color = modal.querySelector('.mozhii-color-swatch[aria-checked="true"]')?.dataset.color;
+          if (color) noteData.highlightColor = color;
+          
+          const notebookSelect = document.getElementById('mozhii-notebook');
+          if (notebookSelect?.options.length > 0) {
+            // Notes in no notebook leave the field out
+            if (notebookSelect.value) {
+              noteData.notebookId = notebookSelect.value;
+            } else {
+              delete noteData.notebookId;
+            }
+            chrome.storage.local.set({ [LAST_NOTEBOOK_KEY]: notebookSelect.value });
+          }
+        }
+        
+        modal.classList.add('mozhii-modal-closing');
+        setTimeout(() => {
+          modal.remove();
+          resolve(noteData);
+        }, 200);
+      };
+      
+      // Close button
+      modal.querySelector('.mozhii-modal-close').addEventListener('click', () => {
+        closeModal(false);
+      });
+      
+      // Skip button
+      document.getElementById('mozhii-skip').addEventListener('click', () => {
+        closeModal(false);
+      });
+      
+      // Save button
+      document.getElementById('mozhii-save').addEventListener('click', () => {
+        closeModal(true);
+      });
+      
+      // Tag suggestions
+      modal.querySelectorAll('.mozhii-tag-suggestion').forEach(suggestion => {
+        suggestion.addEventListener('click', () => {
+          const tagsInput = document.getElementById('mozhii-tags');
+          const currentTags = tagsInput.value.trim();
+          const newTag = suggestion.dataset.tag;
+          
+          if (currentTags) {
+            if (!currentTags.toLowerCase().includes(newTag.toLowerCase())) {
+              tagsInput.value = currentTags + ', ' + newTag;
+            }
+          } else {
+            tagsInput.value = newTag;
+          }
+          
+          suggestion.classList.add('mozhii-tag-selected');
+        });
+      });
+      
+      // Close on escape or outside click
+      modal.addEventListener('click', (e) => {
+        if (e.target === modal) {
+          closeModal(false);
+        }
+      });
+      
+      document.addEventListener('keydown', function escHandler(e) {
+        if (e.key === 'Escape') {
+          document.removeEventListener('keydown', escHandler);
+          closeModal(false);
+        }
+      });
+    });
+  }
+  
+  /**
+   * Lets the user edit a saved note's comment, tags, color and notebook in
+   * the annotation modal, then saves the changes
+   * @param {Object} noteData - The saved note
+   */
+  async function editNoteDetails(noteData) {
+    const updated = await showAnnotationModal({ ...noteData });
+    if ((updated.comment || '') === (noteData.comment || '') &&
+        (updated.tags || []).join() === (noteData.tags || []).join() &&
+        (updated.notebookId || null) === (noteData.notebookId || null) &&
+        sameColor(updated.highlightColor, noteData.highlightColor)) {
+      return;
+    }
+    
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'updateNote',
+        noteData: {
+          id: noteData.id,
+          comment: updated.comment,
+          tags: updated.tags,
+          highlightColor: updated.highlightColor,
+          notebookId: updated.notebookId || null
+        }
+      });
+      if (!response?.success) throw new Error(response?.error || 'Update failed');
+      
+      refreshHighlight(response.note);
+      updateSidebarNote(noteData.id, response.note);
+      showToast('Note Updated!', 1500);
+    } catch (error) {
+      console.error('Error updating note:', error);
+      showToast('Could not update the note. Please try again.');
+    }
+  }
+  
+  /**
+   * Fills the annotation modal's color picker with the user's palette,
+   * selecting the note's color (or the palette's first)
+   * @param {HTMLElement} modal - The annotation modal
+   * @param {string} [color] - The note's highlight color
+   */
+  async function fillColorPicker(modal, color) {
+    const palette = await loadPalette();
+    const group = modal.querySelector('.mozhii-colors');
+    const meaning = modal.querySelector('.mozhii-color-meaning');
+    if (!group) return;
+    
+    const select = (swatch) => {
+      group.querySelectorAll('.mozhii-color-swatch').forEach(other => {
+        other.setAttribute('aria-checked', String(other === swatch));
+        other.tabIndex = other === swatch ? 0 : -1;
+      });
+      const entry = palette.find(candidate => sameColor(candidate.color, swatch.dataset.color));
+      meaning.textContent = entry?.meaning || '';
+    };
+    
+    // A color that's no longer in the palette stays available for the note
+    const entries = color && !palette.some(entry => sameColor(entry.color, color))
+      ? [...palette, { color, name: color, meaning: '' }]
+      : palette;
+    
+    group.replaceChildren(...entries.map(entry => {
+      const swatch = document.createElement('button');
+      swatch.type = 'button';
+      swatch.className = 'mozhii-color-swatch';
+      swatch.setAttribute('role', 'radio');
+      swatch.dataset.color = entry.color;
+      swatch.title = paletteLabel(entry);
+      swatch.setAttribute('aria-label', paletteLabel(entry));
+      swatch.style.background = entry.color;
+      swatch.addEventListener('click', () => select(swatch));
+      return swatch;
+    }));
+    
+    // Arrow keys move between colors, as in any radio group
+    group.addEventListener('keydown', (e) => {
+      const swatches = [...group.querySelectorAll('.mozhii-color-swatch')];
+      const index = swatches.indexOf(document.activeElement);
+      const step = { ArrowRight: 1, ArrowDown: 1, ArrowLeft: -1, ArrowUp: -1 }[e.key];
+      if (index === -1 || !step) return;
+      
+      e.preventDefault();
+      const next = swatches[(index + step + swatches.length) % swatches.length];
+      select(next);
+      next.focus();
+    });
+    
+    const swatches = [...group.querySelectorAll('.mozhii-color-swatch')];
+    select(swatches.find(swatch => sameColor(swatch.dataset.color, color)) || swatches[0]);
+  }
+  
+  /**
+   * Fills the annotation modal's notebook picker and shows it, once the
+   * user has created a notebook. The note's own notebook is preselected,
+   * otherwise the one last saved into.
+   * @param {HTMLElement} modal - The annotation modal
+   * @param {string} [notebookId] - The note's notebook
+   */
+  async function fillNotebookPicker(modal, notebookId) {
+    try {
+      const [response, stored] = await Promise.all([
+        chrome.runtime.sendMessage({ action: 'getNotebooks' }),
+        chrome.storage.local.get(LAST_NOTEBOOK_KEY)
+      ]);
+      if (!response?.success || response.notebooks.length === 0) return;
+      
+      const select = modal.querySelector('#mozhii-notebook');
+      const preferred = notebookId || stored[LAST_NOTEBOOK_KEY];
+      select.replaceChildren(
+        new Option('No notebook', ''),
+        ...response.notebooks.map(notebook => new Option(notebook.name, notebook.id))
+      );
+      select.value = response.notebooks.some(notebook => notebook.id === preferred) ? preferred : '';
+      select.closest('.mozhii-modal-field').style.display = '';
+    } catch (error) {
+      // The modal still works without notebooks
+      console.warn('Mozhii Note: Could not load notebooks', error);
+    }
+  }
+  
+  /**
+   * Shows a bar asking the user to select the passage an orphaned note
+   * belongs to, then re-anchors the note to that selection
+   * @param {Object} noteData - The orphaned note
+   */
+  function showReattachBar(noteData) {
+    document.querySelector('.mozhii-reattach-bar')?.remove();
+    
+    const bar = document.createElement('div');
+    bar.className = 'mozhii-reattach-bar';
+    bar.innerHTML = `
+      <div class="mozhii-reattach-message">
+        <strong>🔗 Re-attach note</strong>
+        <span>Select the passage this note belongs to, then click Attach.</span>
+        <em class="mozhii-reattach-quote"></em>
+      </div>
+      <button class="mozhii-btn mozhii-btn-secondary" data-action="cancel">Cancel</button>
+      <button class="mozhii-btn mozhii-btn-primary" data-action="attach">Attach</button>
+    `;
+    bar.querySelector('.mozhii-reattach-quote').textContent =
+      `"${noteData.text.length > 80 ? noteData.text.substring(0, 80) + '...' : noteData.text}"`;
+    
+    document.body.appendChild(bar);
+    
+    // Keep the page selection when the buttons are pressed
+    bar.addEventListener('mousedown', (e) => {
+      if (e.target.closest('button')) e.preventDefault();
+    });
+    
+    bar.querySelector('[data-action="cancel"]').addEventListener('click', () => {
+      bar.remove();
+    });
+    
+    bar.querySelector('[data-action="attach"]').addEventListener('click', async () => {
+      const context = captureNoteContext();
+      if (!context) {
+        showToast('Select some text on the page first');
+        return;
+      }
+      
+      try {
+        const response = await chrome.runtime.sendMessage({
+          action: 'reattachNote',
+          noteId: noteData.id,
+          context: context
+        });
+        
+        if (!response || !response.success) {
+          throw new Error(response?.error || 'Unknown error');
+        }
+        
+        removeHighlight(noteData.id);
+        applyHighlightToSelection(noteData.id, noteData.highlightColor);
+        pendingHighlights = pendingHighlights.filter(n => n.id !== noteData.id);
+        bar.remove();
+        showToast('🔗 Note re-attached');
+      } catch (error) {
+        console.error('Error re-attaching note:', error);
+        showToast('Could not re-attach the note. Please try again.');
+      }
+    });
+  }
+  
+  // ============================================
+  // PAGE SIDEBAR
+  // ============================================
+  
+  // Tag of the sidebar's host element. A custom element name keeps page
+  // rules such as "div { ... }" from matching it.
+  const SIDEBAR_TAG = 'mozhii-sidebar';
+  
+  // Longest quote shown for a note in the sidebar
+  const SIDEBAR_QUOTE_LENGTH = 160;
+  
+  // Our shadow-root UI (sidebar, hover cards) can't use content.css, and
+  // page styles can't reach it. These rules are shared by all of it.
+  const SHADOW_BASE_STYLES = `
+    :host {
+      all: initial;
+    }
+    
+    .btn {
+      padding: 4px 10px;
+      background: #f0f0f0;
+      border: none;
+      border-radius: 6px;
+      color: #333;
+      font: inherit;
+      font-size: 12px;
+      font-weight: 600;
+      cursor: pointer;
+    }
+    
+    .btn:hover {
+      background: #e0e0e0;
+    }
+    
+    .btn-primary {
+      background: #0B0377;
+      color: #fff;
+    }
+    
+    .btn-primary:hover {
+      background: #090260;
+    }
+    
+    button:focus-visible {
+      outline: 2px solid #0B0377;
+      outline-offset: 2px;
+    }
+  `;
+  
+  const SIDEBAR_STYLES = `
+    .sidebar {
+      position: fixed;
+      top: 0;
+      right: 0;
+      bottom: 0;
+      width: 320px;
+      display: flex;
+      flex-direction: column;
+      background: #fff;
+      color: #333;
+      border-left: 2px solid #0B0377;
+      box-shadow: -8px 0 32px rgba(0, 0, 0, 0.15);
+      font: 13px/1.5 -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;
+      z-index: 2147483646;
+      animation: slide-in 0.25s cubic-bezier(0.19, 1, 0.22, 1);
+    }
+    
+    @keyframes slide-in {
+      from { transform: translateX(100%); }
+      to { transform: translateX(0); }
+    }
+    
+    .sidebar.collapsed {
+      top: 40%;
+      bottom: auto;
+      width: auto;
+      border-left: none;
+      animation: none;
+    }
+    
+    .sidebar.collapsed > :not(.expand),
+    .sidebar:not(.collapsed) > .expand {
+      display: none;
+    }
+    
+    .expand {
+      padding: 10px 8px;
+      background: #0B0377;
+      color: #fff;
+      border: none;
+      cursor: pointer;
+      font: inherit;
+      font-weight: 600;
+      writing-mode: vertical-rl;
+    }
+    
+    header {
+      display: flex;
+      align-items: center;
+      gap: 8px;
+      padding: 14px 16px;
+      background: #f8f9fa;
+      border-bottom: 1px solid #eee;
+    }
+    
+    h2 {
+      flex: 1;
+      margin: 0;
+      font-size: 15px;
+      font-weight: 600;
+      color: #0B0377;
+    }
+    
+    .count {
+      font-size: 12px;
+      color: #666;
+    }
+    
+    .icon-btn {
+      width: 28px;
+      height: 28px;
+      padding: 0;
+      background: none;
+      border: none;
+      color: #999;
+      font-size: 18px;
+      cursor: pointer;
+    }
+    
+    .icon-btn:hover {
+      color: #333;
+    }
+    
+    ol {
+      flex: 1;
+      margin: 0;
+      padding: 12px;
+      overflow-y: auto;
+      list-style: none;
+    }
+    
+    li {
+      margin-bottom: 10px;
+      padding: 10px 12px;
+      background: #fff;
+      border: 1px solid #eee;
+      border-left: 4px solid var(--note-color, #FFEB3B);
+    }
+    
+    li.unresolved {
+      opacity: 0.55;
+      filter: grayscale(1);
+    }
+    
+    .quote {
+      display: block;
+      width: 100%;
+      padding: 0;
+      background: none;
+      border: none;
+      color: inherit;
+      font: inherit;
+      font-style: italic;
+      text-align: left;
+      cursor: pointer;
+    }
+    
+    li.unresolved .quote {
+      cursor: default;
+    }
+    
+    .quote:hover:not(:disabled),
+    .quote:focus-visible {
+      color: #0B0377;
+    }
+    
+    .status {
+      display: block;
+      margin-top: 4px;
+      font-size: 11px;
+      font-weight: 600;
+      color: #b26a00;
+    }
+    
+    li.unresolved .status {
+      color: #666;
+    }
+    
+    .comment {
+      margin-top: 6px;
+      white-space: pre-wrap;
+      word-break: break-word;
+    }
+    
+    .comment.empty {
+      color: #999;
+    }
+    
+    .actions {
+      display: flex;
+      justify-content: flex-end;
+      gap: 6px;
+      margin-top: 6px;
+    }
+    
+    textarea {
+      display: block;
+      box-sizing: border-box;
+      width: 100%;
+      min-height: 70px;
+      margin-top: 6px;
+      padding: 8px;
+      border: 1px solid #ddd;
+      font: inherit;
+      resize: vertical;
+    }
+    
+    textarea:focus {
+      outline: none;
+      border-color: #0B0377;
+    }
+    
+    .empty-list {
+      padding: 24px 16px;
+      color: #666;
+      text-align: center;
+    }
+    
+    @media (prefers-color-scheme: dark) {
+      .sidebar, li {
+        background: #1e1e1e;
+        color: #eee;
+      }
+      
+      header {
+        background: #2a2a2a;
+        border-color: #333;
+      }
+      
+      h2 {
+        color: #a9a4ff;
+      }
+      
+      li {
+        border-color: #333;
+      }
+    }
+  `;
+  
+  // Notes listed in the sidebar, or null while it is closed
+  let sidebarNotes = null;
+  
+  // What had focus before the sidebar opened, to return to on close
+  let focusBeforeSidebar = null;
+  
+  /**
+   * Returns the sidebar's shadow root, if it's open
+   * @returns {ShadowRoot|null}
+   */
+  function getSidebarRoot() {
+    return document.querySelector(SIDEBAR_TAG)?.shadowRoot || null;
+  }
+  
+  /**
+   * Shows the sidebar, or hides it if it's already shown
+   */
+  function toggleSidebar() {
+    if (getSidebarRoot()) {
+      closeSidebar();
+    } else {
+      openSidebar();
+    }
+  }
+  
+  /**
+   * Injects the sidebar and lists the notes saved on this page
+   */
+  async function openSidebar() {
+    if (getSidebarRoot()) return;
+    
+    const host = document.createElement(SIDEBAR_TAG);
+    const root = host.attachShadow({ mode: 'open' });
+    root.innerHTML = `
+      <style>${SHADOW_BASE_STYLES}${SIDEBAR_STYLES}</style>
+      <aside class="sidebar" role="complementary" aria-label="CrazyNote notes on this page">
+        <button class="expand" title="Show notes">📝 Notes</button>
+        <header>
+          <h2>📝 Notes on this page</h2>
+          <span class="count"></span>
+          <button class="icon-btn collapse" title="Collapse" aria-label="Collapse sidebar">⟩</button>
+          <button class="icon-btn close" title="Close (Esc)" aria-label="Close sidebar">&times;</button>
+        </header>
+        <ol></ol>
+      </aside>
+    `;
+    document.documentElement.appendChild(host);
+    
+    const sidebar = root.querySelector('.sidebar');
+    root.querySelector('.close').addEventListener('click', closeSidebar);
+    root.querySelector('.collapse').addEventListener('click', () => {
+      sidebar.classList.add('collapsed');
+      root.querySelector('.expand').focus();
+    });
+    root.querySelector('.expand').addEventListener('click', () => {
+      sidebar.classList.remove('collapsed');
+      root.querySelector('.close').focus();
+    });
+    sidebar.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && !e.target.closest('textarea')) {
+        e.stopPropagation();
+        closeSidebar();
+      }
+    });
+    
+    focusBeforeSidebar = document.activeElement;
+    root.querySelector('.close').focus();
+    
+    sidebarNotes = [];
+    await loadSidebarNotes();
+  }
+  
+  /**
+   * Removes the sidebar and gives focus back to the page
+   */
+  function closeSidebar() {
+    document.querySelector(SIDEBAR_TAG)?.remove();
+    sidebarNotes = null;
+    
+    focusBeforeSidebar?.focus?.();
+    focusBeforeSidebar = null;
+  }
+  
+  /**
+   * Fetches this page's notes and redraws the sidebar
+   */
+  async function loadSidebarNotes() {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'getNotesByUrl',
+        url: window.location.href
+      });
+      if (sidebarNotes === null) return;
+      
+      sidebarNotes = Array.isArray(response) ? response : [];
+      renderSidebar();
+    } catch (error) {
+      console.warn('Mozhii Note: Could not load notes for the sidebar', error);
+    }
+  }
+  
+  /**
+   * Adds, replaces or removes a note in the open sidebar
+   * @param {string} noteId - The note ID
+   * @param {Object|null} noteData - The note as it is now, or null if it's gone
+   */
+  function updateSidebarNote(noteId, noteData) {
+    if (sidebarNotes === null) return;
+    
+    sidebarNotes = sidebarNotes.filter(note => note.id !== noteId);
+    if (noteData) sidebarNotes.push(noteData);
+    renderSidebar();
+  }
+  
+  /**
+   * Orders notes as they appear on the page. Highlighted notes are placed
+   * by their highlight; notes that couldn't be found by where they were
+   * saved, or last if that isn't known.
+   * @param {Array<Object>} notes - The notes
+   * @returns {Array<{note: Object, spans: Array<HTMLElement>}>}
+   */
+  function sortNotesByPosition(notes) {
+    const index = buildTextIndex();
+    
+    return notes
+      .map(note => {
+        const spans = getHighlightSpans(note.id);
+        let position = Infinity;
+        
+        if (spans.length > 0) {
+          position = textOffsetOf(index, spans[0], 0);
+        } else {
+          const selector = getNoteSelectors(note).find(s => s.type === 'TextPositionSelector');
+          if (selector) position = selector.start;
+        }
+        
+        return { note, spans, position };
+      })
+      .sort((a, b) => (a.position - b.position) || (new Date(a.note.timestamp) - new Date(b.note.timestamp)));
+  }
+  
+  /**
+   * Redraws the sidebar's note list. Skipped while a comment is being
+   * edited, so typing isn't lost; saving redraws it.
+   */
+  function renderSidebar() {
+    const root = getSidebarRoot();
+    if (!root || sidebarNotes === null || root.querySelector('textarea')) return;
+    
+    const list = root.querySelector('ol');
+    const entries = sortNotesByPosition(sidebarNotes);
+    const missing = entries.filter(entry => entry.spans.length === 0).length;
+    
+    root.querySelector('.count').textContent = missing > 0
+      ? `${entries.length} · ${missing} not found`
+      : String(entries.length);
+    
+    if (entries.length === 0) {
+      list.innerHTML = '<li class="empty-list">No notes on this page yet. Select text and press Ctrl+M to save one.</li>';
+      return;
+    }
+    
+    list.replaceChildren(...entries.map(({ note, spans }) => createSidebarItem(note, spans)));
+  }
+  
+  /**
+   * Builds one note's entry in the sidebar
+   * @param {Object} note - The note
+   * @param {Array<HTMLElement>} spans - Its highlight spans on this page
+   * @returns {HTMLLIElement}
+   */
+  function createSidebarItem(note, spans) {
+    const item = document.createElement('li');
+    const found = spans.length > 0;
+    const drifted = found && spans[0].classList.contains('mozhii-highlight-drifted');
+    
+    item.dataset.noteId = note.id;
+    item.classList.toggle('unresolved', !found);
+    item.style.setProperty('--note-color', note.highlightColor || '#FFEB3B');
+    item.innerHTML = `
+      <button class="quote"></button>
+      <div class="comment"></div>
+      <div class="actions">
+        <button class="btn edit-comment">Edit comment</button>
+      </div>
+    `;
+    
+    const quote = item.querySelector('.quote');
+    quote.textContent = `"${note.text.length > SIDEBAR_QUOTE_LENGTH ? note.text.slice(0, SIDEBAR_QUOTE_LENGTH) + '…' : note.text}"`;
+    quote.title = found ? 'Scroll to this note' : 'This text could not be found on the page';
+    quote.addEventListener('click', () => scrollToSidebarNote(note.id));
+    
+    if (!found || drifted) {
+      const status = document.createElement('span');
+      status.className = 'status';
+      status.textContent = found ? 'Page changed · closest match' : 'Not found on this page';
+      quote.after(status);
+    }
+    
+    const comment = item.querySelector('.comment');
+    comment.textContent = note.comment || 'No comment';
+    comment.classList.toggle('empty', !note.comment);
+    
+    item.querySelector('.edit-comment').addEventListener('click', () => editSidebarComment(item, note));
+    
+    return item;
+  }
+  
+  /**
+   * Scrolls a note's highlight into view and pulses it
+   * @param {string} noteId - The note ID
+   */
+  function scrollToSidebarNote(noteId) {
+    const spans = getHighlightSpans(noteId);
+    if (spans.length === 0) {
+      showToast('Could not locate the exact text. It may have been modified.');
+      return;
+    }
+    
+    spans[0].scrollIntoView({ behavior: 'smooth', block: 'center', inline: 'nearest' });
+    pulseHighlight(noteId);
+  }
+  
+  /**
+   * Swaps a sidebar entry's comment for a text box. Ctrl+Enter saves and
+   * Escape cancels.
+   * @param {HTMLLIElement} item - The note's entry
+   * @param {Object} note - The note
+   */
+  function editSidebarComment(item, note) {
+    if (item.querySelector('textarea')) return;
+    
+    const textarea = document.createElement('textarea');
+    textarea.value = note.comment || '';
+    textarea.setAttribute('aria-label', 'Comment');
+    item.querySelector('.comment').replaceWith(textarea);
+    
+    const actions = item.querySelector('.actions');
+    actions.innerHTML = `
+      <button class="btn cancel">Cancel</button>
+      <button class="btn btn-primary save">Save</button>
+    `;
+    
+    const finish = () => {
+      getSidebarRoot()?.querySelector(`li[data-note-id="${note.id}"] .edit-comment`)?.focus();
+    };
+    const cancel = () => {
+      textarea.remove();
+      renderSidebar();
+      finish();
+    };
+    const save = async () => {
+      actions.querySelector('.save').disabled = true;
+      try {
+        const response = await chrome.runtime.sendMessage({
+          action: 'updateNote',
+          noteData: { id: note.id, comment: textarea.value.trim() }
+        });
+        if (!response?.success) throw new Error(response?.error || 'Update failed');
+        
+        textarea.remove();
+        updateSidebarNote(note.id, response.note);
+        finish();
+        showToast('Note Updated!', 1500);
+      } catch (error) {
+        console.error('Error updating note:', error);
+        showToast('Could not save the comment. Please try again.');
+        actions.querySelector('.save').disabled = false;
+      }
+    };
+    
+    actions.querySelector('.cancel').addEventListener('click', cancel);
+    actions.querySelector('.save').addEventListener('click', save);
+    textarea.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        e.stopPropagation();
+        cancel();
+      } else if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+        e.preventDefault();
+        save();
+      }
+    });
+    textarea.focus();
+  }
+  
+  // ============================================
+  // HIGHLIGHT HOVER CARDS
+  // ============================================
+  
+  // Tag of the hover card's host element (see SIDEBAR_TAG)
+  const CARD_TAG = 'mozhii-card';
+  
+  // How long the pointer rests on a highlight before its card shows, and
+  // how long the card stays after the pointer leaves
+  const CARD_SHOW_DELAY = 300;
+  const CARD_HIDE_DELAY = 250;
+  
+  // Card width, also used to keep it inside the viewport
+  const CARD_WIDTH = 280;
+  
+  const CARD_STYLES = `
+    .card {
+      position: absolute;
+      z-index: 2147483646;
+      box-sizing: border-box;
+      width: ${CARD_WIDTH}px;
+      padding: 12px 14px;
+      background: #fff;
+      color: #333;
+      border-top: 3px solid var(--note-color, #FFEB3B);
+      box-shadow: 0 8px 32px rgba(0, 0, 0, 0.2);
+      font: 13px/1.5 -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;
+      animation: fade-in 0.15s ease-out;
+    }
+    
+    @keyframes fade-in {
+      from { opacity: 0; transform: translateY(4px); }
+      to { opacity: 1; transform: translateY(0); }
+    }
+    
+    .comment {
+      max-height: 120px;
+      overflow-y: auto;
+      white-space: pre-wrap;
+      word-break: break-word;
+    }
+    
+    .comment.empty {
+      color: #999;
+    }
+    
+    .tags {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 4px;
+      margin-top: 8px;
+    }
+    
+    .tag {
+      padding: 1px 8px;
+      background: #f0f2f5;
+      border-radius: 10px;
+      font-size: 11px;
+      color: #555;
+    }
+    
+    .meta {
+      margin-top: 8px;
+      font-size: 11px;
+      color: #888;
+    }
+    
+    .colors {
+      display: flex;
+      gap: 6px;
+      margin-top: 10px;
+    }
+    
+    .swatch {
+      width: 20px;
+      height: 20px;
+      padding: 0;
+      border: 2px solid transparent;
+      border-radius: 50%;
+      cursor: pointer;
+    }
+    
+    .swatch[aria-checked="true"] {
+      border-color: #0B0377;
+    }
+    
+    .actions {
+      display: flex;
+      gap: 6px;
+      margin-top: 10px;
+    }
+    
+    .btn-danger:hover {
+      background: #fdecea;
+      color: #c62828;
+    }
+    
+    @media (prefers-color-scheme: dark) {
+      .card {
+        background: #1e1e1e;
+        color: #eee;
+      }
+      
+      .tag {
+        background: #333;
+        color: #ddd;
+      }
+    }
+  `;
+  
+  // The highlight span the card is shown for, and pending show/hide timers
+  let cardAnchor = null;
+  let cardShowTimer = null;
+  let cardHideTimer = null;
+  
+  // Highlight whose card was dismissed with Escape; focus returning to it
+  // doesn't reopen the card
+  let cardDismissedAnchor = null;
+  
+  /**
+   * Shows a highlight's card after the pointer has rested on it
+   * @param {HTMLElement} span - The highlight span
+   */
+  function scheduleHighlightCard(span) {
+    clearTimeout(cardHideTimer);
+    clearTimeout(cardShowTimer);
+    cardShowTimer = setTimeout(() => showHighlightCard(span), CARD_SHOW_DELAY);
+  }
+  
+  /**
+   * Hides the card shortly, unless the pointer or focus comes back to it
+   */
+  function scheduleHideHighlightCard() {
+    clearTimeout(cardShowTimer);
+    clearTimeout(cardHideTimer);
+    cardHideTimer = setTimeout(hideHighlightCard, CARD_HIDE_DELAY);
+  }
+  
+  /**
+   * Shows the card of the note a highlight belongs to: its comment, tags,
+   * when it was saved, and edit, color, copy and delete actions
+   * @param {HTMLElement} span - The highlight span
+   * @param {Object} [options]
+   * @param {boolean} [options.focus] - Move keyboard focus into the card
+   */
+  async function showHighlightCard(span, { focus = false } = {}) {
+    clearTimeout(cardShowTimer);
+    clearTimeout(cardHideTimer);
+    
+    // Not while the user is selecting text or filling in the note modal
+    const selection = window.getSelection();
+    if ((selection && !selection.isCollapsed) || document.getElementById('mozhii-modal')) {
+      return;
+    }
+    
+    const noteId = span.dataset.noteId;
+    if (cardAnchor?.dataset.noteId === noteId && document.querySelector(CARD_TAG)) {
+      if (focus) document.querySelector(CARD_TAG).shadowRoot.querySelector('button')?.focus();
+      return;
+    }
+    
+    hideHighlightCard();
+    cardAnchor = span;
+    
+    let note;
+    let palette;
+    try {
+      [note, palette] = await Promise.all([
+        chrome.runtime.sendMessage({ action: 'getNoteById', noteId }),
+        loadPalette()
+      ]);
+    } catch (error) {
+      return;
+    }
+    // The pointer moved on while the note loaded
+    if (cardAnchor !== span || !note || !span.isConnected) return;
+    
+    const host = document.createElement(CARD_TAG);
+    const root = host.attachShadow({ mode: 'open' });
+    root.innerHTML = `
+      <style>${SHADOW_BASE_STYLES}${CARD_STYLES}</style>
+      <div class="card" role="dialog" aria-label="CrazyNote note">
+        <div class="comment"></div>
+        <div class="tags"></div>
+        <div class="meta"></div>
+        <div class="colors" role="radiogroup" aria-label="Highlight color"></div>
+        <div class="actions">
+          <button class="btn" data-action="edit">Edit</button>
+          <button class="btn" data-action="copy">Copy</button>
+          <button class="btn btn-danger" data-action="delete">Delete</button>
+        </div>
+      </div>
+    `;
+    
+    const card = root.querySelector('.card');
+    const comment = root.querySelector('.comment');
+    comment.textContent = note.comment || 'No comment';
+    comment.classList.toggle('empty', !note.comment);
+    
+    const tags = root.querySelector('.tags');
+    (note.tags || []).forEach(tag => {
+      const pill = document.createElement('span');
+      pill.className = 'tag';
+      pill.textContent = tag;
+      tags.appendChild(pill);
+    });
+    if (!note.tags || note.tags.length === 0) tags.remove();
+    
+    const saved = `Saved ${new Date(note.timestamp).toLocaleDateString(undefined, {
+      year: 'numeric', month: 'short', day: 'numeric'
+    })}`;
+    
+    // Names and meanings are the user's own text, so the swatches are built
+    // as elements rather than markup
+    root.querySelector('.colors').replaceChildren(...palette.map(entry => {
+      const swatch = document.createElement('button');
+      swatch.className = 'swatch';
+      swatch.setAttribute('role', 'radio');
+      swatch.dataset.color = entry.color;
+      swatch.title = paletteLabel(entry);
+      swatch.setAttribute('aria-label', paletteLabel(entry));
+      swatch.style.background = entry.color;
+      return swatch;
+    }));
+    
+    const selectColor = (color) => {
+      card.style.setProperty('--note-color', color);
+      root.querySelectorAll('.swatch').forEach(swatch => {
+        swatch.setAttribute('aria-checked', String(sameColor(swatch.dataset.color, color)));
+      });
+      const meaning = palette.find(entry => sameColor(entry.color, color))?.meaning;
+      root.querySelector('.meta').textContent = meaning ? `${saved} · ${meaning}` : saved;
+    };
+    selectColor(note.highlightColor || '#FFEB3B');
+    
+    root.querySelectorAll('.swatch').forEach(swatch => {
+      swatch.addEventListener('click', () => {
+        selectColor(swatch.dataset.color);
+        recolorNote(note, swatch.dataset.color);
+      });
+    });
+    root.querySelector('[data-action="edit"]').addEventListener('click', () => {
+      hideHighlightCard();
+      editNoteDetails(note);
+    });
+    root.querySelector('[data-action="copy"]').addEventListener('click', () => copyNoteText(note));
+    root.querySelector('[data-action="delete"]').addEventListener('click', () => trashNoteFromCard(note));
+    
+    // Keep the card while the pointer or focus is on it
+    host.addEventListener('mouseenter', () => clearTimeout(cardHideTimer));
+    host.addEventListener('mouseleave', scheduleHideHighlightCard);
+    card.addEventListener('focusout', (e) => {
+      if (!card.contains(e.relatedTarget) && e.relatedTarget !== cardAnchor) {
+        scheduleHideHighlightCard();
+      }
+    });
+    card.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        e.stopPropagation();
+        const anchor = cardAnchor;
+        hideHighlightCard();
+        cardDismissedAnchor = anchor;
+        anchor?.focus();
+      }
+    });
+    
+    document.documentElement.appendChild(host);
+    positionHighlightCard(card, span);
+    
+    if (focus) root.querySelector('button').focus();
+  }
+  
+  /**
+   * Places the card below its highlight, or above it when there's no room
+   * below, keeping it inside the viewport horizontally
+   * @param {HTMLElement} card - The card
+   * @param {HTMLElement} span - The highlight span
+   */
+  function positionHighlightCard(card, span) {
+    const rect = span.getBoundingClientRect();
+    const gap = 8;
+    const fitsBelow = rect.bottom + gap + card.offsetHeight <= window.innerHeight;
+    const top = fitsBelow ? rect.bottom + gap : rect.top - gap - card.offsetHeight;
+    const left = Math.min(Math.max(rect.left, gap), window.innerWidth - CARD_WIDTH - gap);
+    
+    card.style.top = `${Math.max(top, gap) + window.scrollY}px`;
+    card.style.left = `${Math.max(left, gap) + window.scrollX}px`;
+  }
+  
+  /**
+   * Removes the card, if one is shown
+   */
+  function hideHighlightCard() {
+    clearTimeout(cardShowTimer);
+    clearTimeout(cardHideTimer);
+    document.querySelector(CARD_TAG)?.remove();
+    cardAnchor = null;
+  }
+  
+  /**
+   * Changes a note's highlight color
+   * @param {Object} note - The note
+   * @param {string} color - The new color
+   */
+  async function recolorNote(note, color) {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'updateNote',
+        noteData: { id: note.id, highlightColor: color }
+      });
+      if (!response?.success) throw new Error(response?.error || 'Update failed');
+      
+      note.highlightColor = color;
+      refreshHighlight(response.note);
+      updateSidebarNote(note.id, response.note);
+    } catch (error) {
+      console.error('Error changing highlight color:', error);
+      showToast('Could not change the color. Please try again.');
+    }
+  }
+  
+  /**
+   * Copies a note's text to the clipboard
+   * @param {Object} note - The note
+   */
+  async function copyNoteText(note) {
+    try {
+      await navigator.clipboard.writeText(note.text);
+      showToast('📋 Copied to clipboard', 1500);
+    } catch (error) {
+      showToast('Could not copy the text.');
+    }
+  }
+  
+  /**
+   * Moves a note to the trash and removes its highlight
+   * @param {Object} note - The note
+   */
+  async function trashNoteFromCard(note) {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'deleteNote', noteId: note.id });
+      if (!response?.success) throw new Error(response?.error || 'Delete failed');
+      
+      hideHighlightCard();
+      removeHighlight(note.id);
+      updateSidebarNote(note.id, null);
+      showToast('🗑️ Note moved to trash. Restore it from the popup.', 2500);
+    } catch (error) {
+      console.error('Error deleting note:', error);
+      showToast('Could not delete the note. Please try again.');
+    }
+  }
+  
+  /**
+   * Hooks hover cards up to every highlight on the page, present or
+   * future: hovering or focusing a highlight shows its card, and Enter on
+   * a focused highlight moves into the card
+   */
+  function setupHighlightCards() {
+    document.addEventListener('mouseover', (e) => {
+      const span = e.target.closest?.('.mozhii-highlight');
+      if (span) scheduleHighlightCard(span);
+    });
+    document.addEventListener('mouseout', (e) => {
+      const span = e.target.closest?.('.mozhii-highlight');
+      if (span && !span.contains(e.relatedTarget)) scheduleHideHighlightCard();
+    });
+    document.addEventListener('focusin', (e) => {
+      const span = e.target.closest?.('.mozhii-highlight');
+      if (span && span !== cardDismissedAnchor) showHighlightCard(span);
+    });
+    document.addEventListener('focusout', (e) => {
+      // Focus moving into the card lands on its host element
+      const span = e.target.closest?.('.mozhii-highlight');
+      if (!span) return;
+      if (span === cardDismissedAnchor) cardDismissedAnchor = null;
+      if (e.relatedTarget?.tagName?.toLowerCase() !== CARD_TAG) scheduleHideHighlightCard();
+    });
+    document.addEventListener('keydown', (e) => {
+      const span = e.target.closest?.('.mozhii-highlight');
+      if (span && e.key === 'Enter') {
+        e.preventDefault();
+        showHighlightCard(span, { focus: true });
+      }
+    });
+  }
+  
+  // ============================================
+  // SELECTION TOOLBAR
+  // ============================================
+  
+  // Tag of the selection toolbar's host element (see SIDEBAR_TAG)
+  const TOOLBAR_TAG = 'mozhii-toolbar';
+  
+  // How long a selection must stay put before the toolbar shows
+  const TOOLBAR_DELAY = 250;
+  
+  // chrome.storage.local keys: whether the toolbar is on at all, and the
+  // sites it's turned off for (host names)
+  const TOOLBAR_ENABLED_KEY = 'selectionToolbarEnabled';
+  const TOOLBAR_DISABLED_SITES_KEY = 'selectionToolbarDisabledSites';
+  
+  // Where the user can type: selections there are never captured
+  const EDITABLE_SELECTOR = 'input, textarea, select, [contenteditable]:not([contenteditable="false"])';
+  
+  const TOOLBAR_STYLES = `
+    .toolbar {
+      position: absolute;
+      z-index: 2147483646;
+      display: flex;
+      align-items: center;
+      gap: 4px;
+      padding: 4px 6px;
+      background: #1e1e2e;
+      border-radius: 8px;
+      box-shadow: 0 4px 16px rgba(0, 0, 0, 0.3);
+      font: 12px/1.4 -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;
+      animation: fade-in 0.12s ease-out;
+    }
+    
+    @keyframes fade-in {
+      from { opacity: 0; transform: translateY(2px); }
+      to { opacity: 1; transform: translateY(0); }
+    }
+    
+    .swatch {
+      width: 18px;
+      height: 18px;
+      padding: 0;
+      border: 2px solid rgba(255, 255, 255, 0.3);
+      border-radius: 50%;
+      cursor: pointer;
+    }
+    
+    .swatch:hover {
+      border-color: #fff;
+    }
+    
+    .divider {
+      width: 1px;
+      height: 18px;
+      margin: 0 2px;
+      background: rgba(255, 255, 255, 0.2);
+    }
+    
+    .tool {
+      padding: 3px 6px;
+      background: transparent;
+      border: none;
+      border-radius: 4px;
+      color: #eee;
+      font: inherit;
+      cursor: pointer;
+      white-space: nowrap;
+    }
+    
+    .tool:hover {
+      background: rgba(255, 255, 255, 0.15);
+    }
+    
+    .tool.hide {
+      color: #999;
+    }
+    
+    button:focus-visible {
+      outline-color: #fff;
+    }
+  `;
+  
+  // Whether the toolbar is on for this page, the pending show timer, and
+  // whether a mouse button is held (the selection is still being made)
+  let toolbarEnabled = false;
+  let toolbarTimer = null;
+  let pointerDown = false;
+  
+  /**
+   * Reads whether the toolbar is on, globally and for this site
+   */
+  async function loadToolbarSettings() {
+    try {
+      const settings = await chrome.storage.local.get([TOOLBAR_ENABLED_KEY, TOOLBAR_DISABLED_SITES_KEY]);
+      const disabledSites = settings[TOOLBAR_DISABLED_SITES_KEY] || [];
+      toolbarEnabled = settings[TOOLBAR_ENABLED_KEY] !== false &&
+        !disabledSites.includes(window.location.hostname);
+    } catch (error) {
+      toolbarEnabled = false;
+    }
+    
+    if (!toolbarEnabled) hideSelectionToolbar();
+  }
+  
+  /**
+   * Turns the toolbar off for this site
+   */
+  async function disableToolbarForSite() {
+    hideSelectionToolbar();
+    try {
+      const hostname = window.location.hostname;
+      const { [TOOLBAR_DISABLED_SITES_KEY]: sites = [] } = await chrome.storage.local.get(TOOLBAR_DISABLED_SITES_KEY);
+      if (!sites.includes(hostname)) {
+        await chrome.storage.local.set({ [TOOLBAR_DISABLED_SITES_KEY]: [...sites, hostname] });
+      }
+      toolbarEnabled = false;
+      showToast(`Selection toolbar off for ${hostname}. Turn it back on from the CrazyNote popup.`, 3500);
+    } catch (error) {
+      console.error('Error turning off the selection toolbar:', error);
     }
   }
   
   /**
-   * Sets up a MutationObserver for dynamic pages (ChatGPT, LinkedIn, etc.)
+   * Returns the current selection if the toolbar should offer to save it:
+   * some text, outside anything editable and outside our own UI
+   * @returns {Range|null}
    */
-  function setupDynamicContentObserver() {
-    if (highlightObserver) return; // Already observing
+  function getToolbarSelection() {
+    const selection = window.getSelection();
+    if (!selection || selection.rangeCount === 0 || selection.isCollapsed) return null;
+    if (selection.toString().trim().length === 0) return null;
+    if (document.getElementById('mozhii-modal')) return null;
     
-    let debounceTimer = null;
+    const range = selection.getRangeAt(0);
+    const isExcluded = (node) => {
+      const element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+      return !element || element.closest(EDITABLE_SELECTOR) || element.closest(OWN_UI_SELECTOR);
+    };
+    if (isExcluded(range.startContainer) || isExcluded(range.endContainer)) return null;
     
-    highlightObserver = new MutationObserver((mutations) => {
-      // Debounce to avoid excessive processing
-      if (debounceTimer) clearTimeout(debounceTimer);
-      
-      debounceTimer = setTimeout(() => {
-        if (pendingHighlights.length === 0) {
-          highlightObserver.disconnect();
-          highlightObserver = null;
-          return;
-        }
-        
-        // Try to apply pending highlights
-        const stillPending = [];
-        
-        for (const note of pendingHighlights) {
-          const existing = document.querySelector(`[data-note-id="${note.id}"]`);
-          if (existing) continue;
-          
-          const element = findElementContainingText(note.text);
-          if (element) {
-            const result = tryApplyHighlight(element, note);
-            if (!result) {
-              stillPending.push(note);
-            }
-          } else {
-            stillPending.push(note);
-          }
-        }
-        
-        pendingHighlights = stillPending;
-        
-        // Stop observing if all highlights are applied
-        if (pendingHighlights.length === 0 && highlightObserver) {
-          highlightObserver.disconnect();
-          highlightObserver = null;
-        }
-      }, 500);
-    });
+    // Text inputs keep their selection inside, where the page can't see it
+    if (document.activeElement?.matches(EDITABLE_SELECTOR)) return null;
     
-    highlightObserver.observe(document.body, {
-      childList: true,
-      subtree: true
-    });
+    return range;
+  }
+  
+  /**
+   * Shows the toolbar for the current selection, or hides it when there's
+   * nothing to offer
+   */
+  async function updateSelectionToolbar() {
+    clearTimeout(toolbarTimer);
+    const canShow = () => toolbarEnabled && !pointerDown ? getToolbarSelection() : null;
+    if (!canShow()) {
+      hideSelectionToolbar();
+      return;
+    }
     
-    // Auto-disconnect after 30 seconds to prevent memory issues
-    setTimeout(() => {
-      if (highlightObserver) {
-        highlightObserver.disconnect();
-        highlightObserver = null;
+    const palette = await loadPalette();
+    
+    // The selection may have changed while the palette loaded
+    const range = canShow();
+    hideSelectionToolbar();
+    if (!range) return;
+    
+    const host = document.createElement(TOOLBAR_TAG);
+    const root = host.attachShadow({ mode: 'open' });
+    root.innerHTML = `
+      <style>${SHADOW_BASE_STYLES}${TOOLBAR_STYLES}</style>
+      <div class="toolbar" role="toolbar" aria-label="Save selection to CrazyNote">
+        <span class="swatches"></span>
+        <span class="divider"></span>
+        <button class="tool" data-action="save" title="Save as a note">💾 Save</button>
+        <button class="tool" data-action="details" title="Save with a comment and tags">📝 Comment</button>
+        <button class="tool" data-action="quote" title="Copy as a Markdown quote">❝ Quote</button>
+        <button class="tool hide" data-action="hide" title="Don't show this toolbar on this site" aria-label="Don't show this toolbar on this site">✕</button>
+      </div>
+    `;
+    
+    // Names and meanings are the user's own text (see showHighlightCard)
+    root.querySelector('.swatches').replaceWith(...palette.map(entry => {
+      const swatch = document.createElement('button');
+      swatch.className = 'swatch';
+      swatch.dataset.color = entry.color;
+      swatch.title = `Save as ${paletteLabel(entry)}`;
+      swatch.setAttribute('aria-label', swatch.title);
+      swatch.style.background = entry.color;
+      swatch.addEventListener('click', () => saveSelection({ color: entry.color }));
+      return swatch;
+    }));
+    
+    root.querySelector('[data-action="save"]').addEventListener('click', () => saveSelection());
+    root.querySelector('[data-action="details"]').addEventListener('click', () => saveSelection({ withDetails: true }));
+    root.querySelector('[data-action="quote"]').addEventListener('click', copySelectionAsQuote);
+    root.querySelector('[data-action="hide"]').addEventListener('click', disableToolbarForSite);
+    
+    const toolbar = root.querySelector('.toolbar');
+    // Clicking the toolbar mustn't clear the selection it acts on
+    toolbar.addEventListener('mousedown', (e) => e.preventDefault());
+    toolbar.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        e.stopPropagation();
+        hideSelectionToolbar();
       }
-    }, 30000);
+    });
+    
+    document.documentElement.appendChild(host);
+    positionSelectionToolbar(toolbar, range);
   }
   
-  // ============================================
-  // UI HELPERS
-  // ============================================
+  /**
+   * Places the toolbar centred above the selection, or below it when
+   * there's no room above, keeping it inside the viewport horizontally
+   * @param {HTMLElement} toolbar - The toolbar
+   * @param {Range} range - The selection
+   */
+  function positionSelectionToolbar(toolbar, range) {
+    const rect = range.getBoundingClientRect();
+    const gap = 8;
+    const fitsAbove = rect.top - gap - toolbar.offsetHeight >= 0;
+    const top = fitsAbove ? rect.top - gap - toolbar.offsetHeight : rect.bottom + gap;
+    const left = Math.min(
+      Math.max(rect.left + rect.width / 2 - toolbar.offsetWidth / 2, gap),
+      window.innerWidth - toolbar.offsetWidth - gap
+    );
+    
+    toolbar.style.top = `${top + window.scrollY}px`;
+    toolbar.style.left = `${Math.max(left, gap) + window.scrollX}px`;
+  }
   
   /**
-   * Shows a toast notification
-   * @param {string} message - The message to display
-   * @param {number} [duration=3000] - Duration in milliseconds
+   * Removes the toolbar, if one is shown
    */
-  function showToast(message, duration = 3000) {
-    // Remove existing toast
-    const existingToast = document.getElementById('mozhii-toast');
-    if (existingToast) {
-      existingToast.remove();
-    }
+  function hideSelectionToolbar() {
+    clearTimeout(toolbarTimer);
+    document.querySelector(TOOLBAR_TAG)?.remove();
+  }
+  
+  /**
+   * Saves the selection as a note, as the "Save as CrazyNote" menu does
+   * @param {Object} [options]
+   * @param {string} [options.color] - Highlight color; the palette's
+   *   first when not given
+   * @param {boolean} [options.withDetails] - Ask for a comment, tags and
+   *   notebook first
+   */
+  async function saveSelection({ color, withDetails = false } = {}) {
+    const selection = window.getSelection();
+    let noteData = captureNoteContext();
+    if (!noteData) return;
     
-    const toast = document.createElement('div');
-    toast.id = 'mozhii-toast';
-    toast.className = 'mozhii-toast';
-    toast.textContent = message;
+    const range = selection.getRangeAt(0).cloneRange();
+    hideSelectionToolbar();
+    if (color) noteData.highlightColor = color;
     
-    document.body.appendChild(toast);
+    if (withDetails) {
+      noteData = await showAnnotationModal(noteData);
+      
+      // The dialog took focus and with it the selection, which the
+      // highlight is applied to once the note is saved
+      selection.removeAllRanges();
+      selection.addRange(range);
+    }
     
-    // Trigger animation
-    requestAnimationFrame(() => {
-      toast.classList.add('mozhii-toast-visible');
-    });
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'saveSelectedNote', noteData });
+      if (!response?.success) throw new Error(response?.error || 'Save failed');
+    } catch (error) {
+      console.error('Error saving note:', error);
+      showToast('Could not save the note. Please try again.');
+    }
+  }
+  
+  /**
+   * Copies the selection as a Markdown quote crediting its page
+   */
+  async function copySelectionAsQuote() {
+    const text = window.getSelection()?.toString().trim();
+    if (!text) return;
     
-    // Remove after duration
-    setTimeout(() => {
-      toast.classList.remove('mozhii-toast-visible');
-      setTimeout(() => {
-        toast.remove();
-      }, 300);
-    }, duration);
+    const quote = text.split(/\r?\n/).map(line => line.trim() ? `> ${line.trim()}` : '>').join('\n');
+    const title = (document.title || window.location.hostname).replace(/([\\[\]])/g, '\\$1');
+    
+    try {
+      await navigator.clipboard.writeText(`${quote}\n>\n> — [${title}](${window.location.href})`);
+      hideSelectionToolbar();
+      showToast('📋 Quote copied', 1500);
+    } catch (error) {
+      showToast('Could not copy the quote.');
+    }
   }
   
   /**
-   * Shows an annotation modal for adding comments/tags
-   * @param {Object} noteData - The initial note data
-   * @returns {Promise<Object>} Updated note data with user input
+   * Follows the selection: the toolbar shows once a selection has settled
+   * and the mouse button is released, and goes when the selection does
    */
-  function showAnnotationModal(noteData) {
-    return new Promise((resolve) => {
-      // Remove existing modal
-      const existingModal = document.getElementById('mozhii-modal');
-      if (existingModal) {
-        existingModal.remove();
+  function setupSelectionToolbar() {
+    loadToolbarSettings();
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area === 'local' && (TOOLBAR_ENABLED_KEY in changes || TOOLBAR_DISABLED_SITES_KEY in changes)) {
+        loadToolbarSettings();
       }
-      
-      const modal = document.createElement('div');
-      modal.id = 'mozhii-modal';
-      modal.className = 'mozhii-modal';
-      modal.innerHTML = `
-        <div class="mozhii-modal-content">
-          <div class="mozhii-modal-header">
-            <h3>📝 Add Note Details</h3>
-            <button class="mozhii-modal-close" title="Close">&times;</button>
-          </div>
-          <div class="mozhii-modal-body">
-            <div class="mozhii-modal-preview">
-              <strong>Selected text:</strong>
-              <p>"${noteData.text.length > 100 ? noteData.text.substring(0, 100) + '...' : noteData.text}"</p>
-            </div>
-            <div class="mozhii-modal-field">
-              <label for="mozhii-comment">Comment (optional):</label>
-              <textarea id="mozhii-comment" placeholder="Add your thoughts..."></textarea>
-            </div>
-            <div class="mozhii-modal-field">
-              <label for="mozhii-tags">Tags (comma-separated):</label>
-              <input type="text" id="mozhii-tags" placeholder="e.g., important, research, to-review">
-              <div class="mozhii-tag-suggestions">
-                <span class="mozhii-tag-suggestion" data-tag="Important">Important</span>
-                <span class="mozhii-tag-suggestion" data-tag="Research">Research</span>
-                <span class="mozhii-tag-suggestion" data-tag="To Review">To Review</span>
-                <span class="mozhii-tag-suggestion" data-tag="Question">Question</span>
-              </div>
-            </div>
-          </div>
-          <div class="mozhii-modal-footer">
-            <button class="mozhii-btn mozhii-btn-secondary" id="mozhii-skip">Skip</button>
-            <button class="mozhii-btn mozhii-btn-primary" id="mozhii-save">Save Note</button>
-          </div>
-        </div>
-      `;
-      
-      document.body.appendChild(modal);
-      
-      // Focus on comment field
-      setTimeout(() => {
-        document.getElementById('mozhii-comment')?.focus();
-      }, 100);
-      
-      // Event handlers
-      const closeModal = (withData = false) => {
-        if (withData) {
-          const comment = document.getElementById('mozhii-comment')?.value.trim() || '';
-          const tagsInput = document.getElementById('mozhii-tags')?.value || '';
-          const tags = tagsInput.split(',')
-            .map(t => t.trim())
-            .filter(t => t.length > 0);
-          
-          noteData.comment = comment;
-          noteData.tags = tags;
-        }
-        
-        modal.classList.add('mozhii-modal-closing');
-        setTimeout(() => {
-          modal.remove();
-          resolve(noteData);
-        }, 200);
-      };
-      
-      // Close button
-      modal.querySelector('.mozhii-modal-close').addEventListener('click', () => {
-        closeModal(false);
-      });
-      
-      // Skip button
-      document.getElementById('mozhii-skip').addEventListener('click', () => {
-        closeModal(false);
-      });
-      
-      // Save button
-      document.getElementById('mozhii-save').addEventListener('click', () => {
-        closeModal(true);
-      });
-      
-      // Tag suggestions
-      modal.querySelectorAll('.mozhii-tag-suggestion').forEach(suggestion => {
-        suggestion.addEventListener('click', () => {
-          const tagsInput = document.getElementById('mozhii-tags');
-          const currentTags = tagsInput.value.trim();
-          const newTag = suggestion.dataset.tag;
-          
-          if (currentTags) {
-            if (!currentTags.toLowerCase().includes(newTag.toLowerCase())) {
-              tagsInput.value = currentTags + ', ' + newTag;
-            }
-          } else {
-            tagsInput.value = newTag;
-          }
-          
-          suggestion.classList.add('mozhii-tag-selected');
-        });
-      });
-      
-      // Close on escape or outside click
-      modal.addEventListener('click', (e) => {
-        if (e.target === modal) {
-          closeModal(false);
-        }
-      });
-      
-      document.addEventListener('keydown', function escHandler(e) {
-        if (e.key === 'Escape') {
-          document.removeEventListener('keydown', escHandler);
-          closeModal(false);
-        }
-      });
+    });
+    
+    document.addEventListener('selectionchange', () => {
+      clearTimeout(toolbarTimer);
+      if (window.getSelection()?.isCollapsed) {
+        hideSelectionToolbar();
+        return;
+      }
+      toolbarTimer = setTimeout(updateSelectionToolbar, TOOLBAR_DELAY);
+    });
+    document.addEventListener('mousedown', (e) => {
+      if (e.target.tagName?.toLowerCase() === TOOLBAR_TAG) return;
+      pointerDown = true;
+    });
+    document.addEventListener('mouseup', () => {
+      if (!pointerDown) return;
+      pointerDown = false;
+      clearTimeout(toolbarTimer);
+      toolbarTimer = setTimeout(updateSelectionToolbar, TOOLBAR_DELAY);
+    });
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') hideSelectionToolbar();
     });
   }
   
@@ -733,7 +2923,7 @@
       case 'highlightSaved':
         // Apply highlight after note is saved - with safe error handling
         try {
-          applyHighlightToSelection(message.noteId);
+          applyHighlightToSelection(message.noteId, message.highlightColor);
         } catch (e) {
           // Silently handle - selection might have changed
         }
@@ -750,8 +2940,25 @@
         sendResponse({ success: true });
         break;
         
+      case 'startReattach':
+        showReattachBar(message.noteData);
+        sendResponse({ success: true });
+        break;
+        
       case 'removeHighlight':
         removeHighlight(message.noteId);
+        updateSidebarNote(message.noteId, null);
+        sendResponse({ success: true });
+        break;
+        
+      case 'refreshHighlight':
+        refreshHighlight(message.noteData);
+        updateSidebarNote(message.noteData.id, message.noteData);
+        sendResponse({ success: true });
+        break;
+        
+      case 'toggleSidebar':
+        toggleSidebar();
         sendResponse({ success: true });
         break;
         
@@ -788,6 +2995,8 @@
     } catch (e) {
       // Silently handle
     }
+    
+    updateSidebarNote(noteData.id, noteData);
   }
   
   /**
@@ -834,14 +3043,7 @@
     notification.querySelector('.mozhii-side-edit-btn').addEventListener('click', (e) => {
       e.stopPropagation();
       removeNotification();
-      showAnnotationModal(noteData).then(updatedNoteData => {
-         // Send updated data back to background 
-         chrome.runtime.sendMessage({
-           action: 'updateNote',
-           noteData: updatedNoteData
-         });
-         showToast('Note Updated!', 1500);
-      });
+      editNoteDetails(noteData);
     });
     
     // Click to open extension popup (navigate to note)
@@ -881,6 +3083,9 @@
   // INITIALIZATION
   // ============================================
   
+  setupHighlightCards();
+  setupSelectionToolbar();
+  
   // Load highlights when page is ready
   if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', loadPageHighlights);
@@ -893,7 +3098,10 @@
   const observer = new MutationObserver(() => {
     if (window.location.href !== lastUrl) {
       lastUrl = window.location.href;
-      setTimeout(loadPageHighlights, 500);
+      setTimeout(() => {
+        loadPageHighlights();
+        if (sidebarNotes !== null) loadSidebarNotes();
+      }, 500);
     }
   });
   
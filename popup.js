@@ -7,8 +7,77 @@
 let allNotes = [];
 let currentFilter = 'all';
 let currentTagFilter = '';
+let currentLanguageFilter = '';
+let currentColorFilter = '';
 let currentSearchQuery = '';
 
+// Ranked matches for currentSearchQuery from the background search index,
+// or null when the search box is empty
+let searchResults = null;
+let searchMatches = new Map();
+let searchRequestId = 0;
+
+// Notes currently rendered, in display order (what "Export" exports)
+let visibleNotes = [];
+
+// Notes ticked for bulk actions, and the last one ticked (where a
+// shift-click range starts)
+let selectedNoteIds = new Set();
+let selectionAnchorId = null;
+
+// Every tag with its note counts and color, and the colors by tag
+let tagStats = [];
+let tagColors = {};
+
+// Notes under the selected tag (nested tags included), looked up by the
+// background tags index, or null when no tag is selected
+let tagFilterIds = null;
+let tagFilterRequestId = 0;
+
+// Tags whose nested tags are shown in the tag tree
+let expandedTags = new Set();
+
+// Every notebook in list order, the one being viewed ('' for all notes),
+// and the one being edited in the notebooks modal
+let notebooks = [];
+let currentNotebookId = '';
+let editingNotebookId = null;
+
+// chrome.storage.local key remembering the notebook being viewed
+const CURRENT_NOTEBOOK_KEY = 'currentNotebookId';
+
+// Value of the switcher option that opens the notebooks modal
+const MANAGE_NOTEBOOKS = '__manage__';
+
+// Separates the levels of a nested tag, e.g. "project/crazynote"
+const TAG_SEPARATOR = '/';
+
+// Highlight palette used until the user's own has loaded (see utils/palette.js)
+const DEFAULT_PALETTE = [
+  { color: '#FFEB3B', name: 'Yellow', meaning: '' },
+  { color: '#A5D6A7', name: 'Green', meaning: '' },
+  { color: '#90CAF9', name: 'Blue', meaning: '' },
+  { color: '#F48FB1', name: 'Pink', meaning: '' },
+  { color: '#FFCC80', name: 'Orange', meaning: '' },
+  { color: '#CE93D8', name: 'Purple', meaning: '' }
+];
+
+// Color of notes saved before notes had one
+const FALLBACK_HIGHLIGHT_COLOR = '#FFEB3B';
+
+// Most colors a palette holds (see utils/palette.js)
+const MAX_PALETTE_SIZE = 10;
+
+// chrome.storage.local keys for the page selection toolbar: whether it's
+// on, and the sites (host names) it's turned off for
+const TOOLBAR_ENABLED_KEY = 'selectionToolbarEnabled';
+const TOOLBAR_DISABLED_SITES_KEY = 'selectionToolbarDisabledSites';
+
+// The highlight colors offered, each with a name and the meaning the user
+// gave it, and the copy being edited in the colors modal
+let palette = DEFAULT_PALETTE;
+let paletteDraft = [];
+
 // ============================================
 // INITIALIZATION
 // ============================================
@@ -16,8 +85,14 @@ let currentSearchQuery = '';
 document.addEventListener('DOMContentLoaded', async () => {
   updateDynamicTheme();
   showLoadingState(true);
-  await loadNotes();
+  // Notebooks and tags first, so the first cards show the right notebook
+  // and tag colors
+  const { [CURRENT_NOTEBOOK_KEY]: lastNotebookId } = await chrome.storage.local.get(CURRENT_NOTEBOOK_KEY);
+  currentNotebookId = lastNotebookId || '';
+  await loadNotebooks();
   await loadTags();
+  await loadPalette();
+  await loadNotes();
   setupEventListeners();
   showLoadingState(false);
   
@@ -71,9 +146,18 @@ function showLoadingState(show) {
 async function loadNotes() {
   try {
     const response = await chrome.runtime.sendMessage({ action: 'getNotes' });
-    allNotes = response || [];
+    allNotes = Array.isArray(response) ? response : [];
     updateNoteCount();
-    applyFilters();
+    updateLanguageFilter();
+    updateColorFilter();
+    
+    // Notes changed, so the ranked results and tagged notes may have too
+    await runTagFilter();
+    if (currentSearchQuery) {
+      await runSearch();
+    } else {
+      applyFilters();
+    }
   } catch (error) {
     console.error('Error loading notes:', error);
     allNotes = [];
@@ -83,24 +167,135 @@ async function loadNotes() {
 
 async function loadTags() {
   try {
-    const tags = await chrome.runtime.sendMessage({ action: 'getAllTags' });
-    const tagFilter = document.getElementById('tag-filter');
+    const response = await chrome.runtime.sendMessage({ action: 'getTagStats' });
+    if (!response?.success) throw new Error(response?.error || 'Could not load tags');
     
-    if (tagFilter && tags && tags.length > 0) {
-      tagFilter.innerHTML = '<option value="">🏷️ All Tags</option>';
-      
-      tags.forEach(tag => {
-        const option = document.createElement('option');
-        option.value = tag;
-        option.textContent = tag;
-        tagFilter.appendChild(option);
-      });
+    tagStats = response.tags;
+    tagColors = Object.fromEntries(tagStats.filter(stat => stat.color).map(stat => [stat.tag, stat.color]));
+    
+    // Drop a filter whose tag was renamed, deleted or is no longer used
+    if (currentTagFilter && !tagStats.some(stat => stat.tag === currentTagFilter)) {
+      await setTagFilter('');
     }
+    
+    updateTagFilterLabel();
+    renderTagTree();
   } catch (error) {
     console.error('Error loading tags:', error);
   }
 }
 
+async function loadNotebooks() {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'getNotebooks' });
+    if (!response?.success) throw new Error(response?.error || 'Could not load notebooks');
+    
+    notebooks = response.notebooks;
+    
+    // Fall back to every note when the viewed notebook was deleted
+    if (currentNotebookId && !notebooks.some(notebook => notebook.id === currentNotebookId)) {
+      currentNotebookId = '';
+      await chrome.storage.local.set({ [CURRENT_NOTEBOOK_KEY]: '' });
+    }
+    
+    renderNotebookMenus();
+  } catch (error) {
+    console.error('Error loading notebooks:', error);
+  }
+}
+
+async function loadPalette() {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'getPalette' });
+    if (!response?.success) throw new Error(response?.error || 'Could not load colors');
+    
+    palette = response.palette;
+  } catch (error) {
+    console.error('Error loading colors:', error);
+  }
+}
+
+/**
+ * Lists the highlight colors present in the notes as swatches, palette
+ * colors first. Hidden while every note has the same color.
+ */
+function updateColorFilter() {
+  const colorFilter = document.getElementById('color-filter');
+  if (!colorFilter) return;
+  
+  const counts = new Map();
+  allNotes.forEach(note => {
+    const color = noteColor(note);
+    counts.set(color, (counts.get(color) || 0) + 1);
+  });
+  
+  // Drop a filter whose last note was deleted or recolored
+  if (currentColorFilter && !counts.has(currentColorFilter)) {
+    currentColorFilter = '';
+  }
+  
+  const paletteColors = palette.map(entry => entry.color.toUpperCase());
+  const colors = [
+    ...paletteColors.filter(color => counts.has(color)),
+    ...[...counts.keys()].filter(color => !paletteColors.includes(color))
+  ];
+  
+  colorFilter.innerHTML = colors.map(color => {
+    const label = `${colorLabel(color)} (${counts.get(color)})`;
+    return `
+      <button type="button" class="color-swatch color-filter-swatch${color === currentColorFilter ? ' selected' : ''}"
+        role="radio" aria-checked="${color === currentColorFilter}" data-color="${color}"
+        title="${escapeHtml(label)}" aria-label="${escapeHtml(label)}" style="background: ${color};"></button>
+    `;
+  }).join('');
+  
+  colorFilter.querySelectorAll('.color-filter-swatch').forEach(swatch => {
+    swatch.addEventListener('click', () => {
+      // Clicking the selected color again shows every color
+      currentColorFilter = swatch.dataset.color === currentColorFilter ? '' : swatch.dataset.color;
+      updateColorFilter();
+      applyFilters();
+    });
+  });
+  
+  colorFilter.style.display = counts.size > 1 || currentColorFilter ? '' : 'none';
+}
+
+/**
+ * Lists the languages present in the notes, most common first. Notes too
+ * short to tell their language ('und') are only listed under all languages.
+ * Hidden while every note is in the same language.
+ */
+function updateLanguageFilter() {
+  const languageFilter = document.getElementById('language-filter');
+  if (!languageFilter) return;
+  
+  const counts = new Map();
+  allNotes.forEach(note => {
+    if (note.language && note.language !== 'und') {
+      counts.set(note.language, (counts.get(note.language) || 0) + 1);
+    }
+  });
+  
+  // Drop a filter whose last note was deleted
+  if (currentLanguageFilter && !counts.has(currentLanguageFilter)) {
+    currentLanguageFilter = '';
+  }
+  
+  languageFilter.innerHTML = '<option value="">🌐 All Languages</option>';
+  [...counts.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .forEach(([language, count]) => {
+      const option = document.createElement('option');
+      option.value = language;
+      option.textContent = `${getLanguageName(language)} (${count})`;
+      languageFilter.appendChild(option);
+    });
+  
+  languageFilter.value = currentLanguageFilter;
+  languageFilter.style.display = counts.size > 1 || currentLanguageFilter ? '' : 'none';
+}
+
 // ============================================
 // EVENT LISTENERS
 // ============================================
@@ -110,8 +305,8 @@ function setupEventListeners() {
   const searchInput = document.getElementById('search');
   if (searchInput) {
     searchInput.addEventListener('input', debounce((e) => {
-      currentSearchQuery = e.target.value.toLowerCase().trim();
-      applyFilters();
+      currentSearchQuery = e.target.value.trim();
+      runSearch();
     }, 200));
     searchInput.focus();
   }
@@ -127,10 +322,29 @@ function setupEventListeners() {
   });
   
   // Tag filter
-  const tagFilter = document.getElementById('tag-filter');
-  if (tagFilter) {
-    tagFilter.addEventListener('change', (e) => {
-      currentTagFilter = e.target.value;
+  document.getElementById('tag-filter')?.addEventListener('click', (e) => {
+    e.stopPropagation();
+    toggleTagTree();
+  });
+  document.addEventListener('click', (e) => {
+    if (!e.target.closest('.tag-tree-wrapper')) closeTagTree();
+  });
+  
+  // Notebook switcher
+  document.getElementById('notebook-switcher')?.addEventListener('change', (e) => {
+    if (e.target.value === MANAGE_NOTEBOOKS) {
+      e.target.value = currentNotebookId;
+      openNotebooksModal();
+    } else {
+      setNotebook(e.target.value);
+    }
+  });
+  
+  // Language filter
+  const languageFilter = document.getElementById('language-filter');
+  if (languageFilter) {
+    languageFilter.addEventListener('change', (e) => {
+      currentLanguageFilter = e.target.value;
       applyFilters();
     });
   }
@@ -144,9 +358,72 @@ function setupEventListeners() {
   // Pop-out button
   document.getElementById('popout-btn')?.addEventListener('click', openInNewWindow);
   
+  // Export menu
+  document.getElementById('export-btn')?.addEventListener('click', (e) => {
+    e.stopPropagation();
+    toggleExportMenu();
+  });
+  document.querySelectorAll('.export-menu-item').forEach(item => {
+    item.addEventListener('click', () => {
+      closeExportMenu();
+      exportNotes(visibleNotes, item.dataset.format, describeFilters());
+    });
+  });
+  document.addEventListener('click', (e) => {
+    if (!e.target.closest('.export-menu-wrapper')) closeExportMenu();
+  });
+  
   // Info button
   document.getElementById('info-btn')?.addEventListener('click', openInfoModal);
   
+  // Trash
+  document.getElementById('trash-btn')?.addEventListener('click', openTrashModal);
+  document.getElementById('close-trash-modal')?.addEventListener('click', closeTrashModal);
+  document.getElementById('close-trash')?.addEventListener('click', closeTrashModal);
+  document.getElementById('empty-trash')?.addEventListener('click', emptyTrash);
+  document.getElementById('trash-retention')?.addEventListener('change', (e) => {
+    setTrashRetention(Number(e.target.value));
+  });
+  document.getElementById('trash-modal')?.addEventListener('click', (e) => {
+    if (e.target.id === 'trash-modal') closeTrashModal();
+  });
+  
+  // Bulk actions
+  setupBulkActions();
+  
+  // Notebooks
+  document.getElementById('close-notebooks-modal')?.addEventListener('click', closeNotebooksModal);
+  document.getElementById('notebooks-modal')?.addEventListener('click', (e) => {
+    if (e.target.id === 'notebooks-modal') closeNotebooksModal();
+  });
+  document.getElementById('notebook-form')?.addEventListener('submit', (e) => {
+    e.preventDefault();
+    saveNotebook();
+  });
+  document.getElementById('cancel-notebook-edit')?.addEventListener('click', resetNotebookForm);
+  
+  // Highlight colors
+  document.getElementById('palette-btn')?.addEventListener('click', openPaletteModal);
+  document.getElementById('close-palette-modal')?.addEventListener('click', closePaletteModal);
+  document.getElementById('palette-modal')?.addEventListener('click', (e) => {
+    if (e.target.id === 'palette-modal') closePaletteModal();
+  });
+  document.getElementById('add-palette-color')?.addEventListener('click', addPaletteColor);
+  document.getElementById('save-palette')?.addEventListener('click', savePalette);
+  document.getElementById('reset-palette')?.addEventListener('click', resetPalette);
+  document.getElementById('toolbar-enabled')?.addEventListener('change', (e) => {
+    chrome.storage.local.set({ [TOOLBAR_ENABLED_KEY]: e.target.checked });
+    loadToolbarSettings();
+  });
+  document.getElementById('toolbar-site')?.addEventListener('change', (e) => setToolbarOnSite(e.target.checked));
+  
+  // Tag manager
+  document.getElementById('tags-btn')?.addEventListener('click', openTagsModal);
+  document.getElementById('close-tags-modal')?.addEventListener('click', closeTagsModal);
+  document.getElementById('tags-modal')?.addEventListener('click', (e) => {
+    if (e.target.id === 'tags-modal') closeTagsModal();
+  });
+  
   // Create note modal events
   document.getElementById('close-create-modal')?.addEventListener('click', closeCreateNoteModal);
   document.getElementById('cancel-create')?.addEventListener('click', closeCreateNoteModal);
@@ -175,6 +452,26 @@ function setupEventListeners() {
   // Info modal close
   document.getElementById('close-info-modal')?.addEventListener('click', closeInfoModal);
   
+  // Export / import
+  document.getElementById('export-data')?.addEventListener('click', (e) => {
+    e.preventDefault();
+    exportData();
+  });
+  document.getElementById('import-data')?.addEventListener('click', (e) => {
+    e.preventDefault();
+    closeInfoModal();
+    openImportModal();
+  });
+  document.getElementById('close-import-modal')?.addEventListener('click', closeImportModal);
+  document.getElementById('cancel-import')?.addEventListener('click', closeImportModal);
+  document.getElementById('start-import')?.addEventListener('click', importData);
+  document.getElementById('import-file')?.addEventListener('change', (e) => {
+    // Conflict handling only applies to CrazyNote exports
+    const file = e.target.files[0];
+    const isExport = !file || /\.json(ld)?$/i.test(file.name);
+    document.getElementById('import-conflict-group').style.display = isExport ? '' : 'none';
+  });
+  
   // Modal overlay clicks
   document.getElementById('create-note-modal')?.addEventListener('click', (e) => {
     if (e.target.id === 'create-note-modal') closeCreateNoteModal();
@@ -184,11 +481,39 @@ function setupEventListeners() {
     if (e.target.id === 'info-modal') closeInfoModal();
   });
   
+  document.getElementById('close-history-modal')?.addEventListener('click', closeHistoryModal);
+  document.getElementById('history-modal')?.addEventListener('click', (e) => {
+    if (e.target.id === 'history-modal') closeHistoryModal();
+  });
+  
+  document.getElementById('import-modal')?.addEventListener('click', (e) => {
+    if (e.target.id === 'import-modal') closeImportModal();
+  });
+  
   // Keyboard shortcuts
   document.addEventListener('keydown', (e) => {
     if (e.key === 'Escape') {
+      // Escape closes an open modal first, and clears the selection otherwise
+      const modalOpen = [...document.querySelectorAll('.modal-overlay')]
+        .some(modal => modal.style.display === 'flex');
+      if (!modalOpen) clearSelection();
+      
       closeCreateNoteModal();
       closeInfoModal();
+      closeImportModal();
+      closeHistoryModal();
+      closeTrashModal();
+      closeTagsModal();
+      closeNotebooksModal();
+      closePaletteModal();
+      closeTagTree();
+      closeExportMenu();
+    }
+    
+    // Ctrl/Cmd + A to select every note shown
+    if ((e.ctrlKey || e.metaKey) && e.key === 'a' && !e.target.closest('input, textarea, select')) {
+      e.preventDefault();
+      setSelection(visibleNotes.map(note => note.id));
     }
     
     // Ctrl/Cmd + N to create new note
@@ -203,8 +528,59 @@ function setupEventListeners() {
 // FILTERING & RENDERING
 // ============================================
 
+/**
+ * Asks the background search index for notes matching the search box,
+ * then re-applies the other filters to the ranked results
+ */
+async function runSearch() {
+  const requestId = ++searchRequestId;
+  
+  if (!currentSearchQuery) {
+    searchResults = null;
+    searchMatches = new Map();
+    applyFilters();
+    return;
+  }
+  
+  let results = [];
+  try {
+    const response = await chrome.runtime.sendMessage({
+      action: 'searchNotes',
+      query: currentSearchQuery,
+      notebookId: currentNotebookId || undefined
+    });
+    if (!Array.isArray(response)) throw new Error(response?.error || 'Search failed');
+    results = response;
+  } catch (error) {
+    console.error('Error searching notes:', error);
+    showToast('Search failed', 'error');
+  }
+  
+  // A newer search started while this one was running
+  if (requestId !== searchRequestId) return;
+  
+  searchResults = results;
+  searchMatches = new Map(results.map(result => [result.noteId, result]));
+  applyFilters();
+}
+
 function applyFilters() {
-  let filtered = [...allNotes];
+  let filtered;
+  
+  // Search results come back ranked; otherwise start from every note
+  if (searchResults) {
+    const notesById = new Map(allNotes.map(note => [note.id, note]));
+    filtered = searchResults
+      .map(result => notesById.get(result.noteId))
+      .filter(Boolean);
+  } else {
+    filtered = [...allNotes];
+  }
+  
+  // Notebook
+  if (currentNotebookId) {
+    filtered = filtered.filter(note => note.notebookId === currentNotebookId);
+  }
   
   // Time filter
   if (currentFilter === 'today') {
@@ -216,26 +592,29 @@ function applyFilters() {
     weekAgo.setDate(weekAgo.getDate() - 7);
     weekAgo.setHours(0, 0, 0, 0);
     filtered = filtered.filter(note => new Date(note.timestamp) >= weekAgo);
+  } else if (currentFilter === 'orphans') {
+    filtered = filtered.filter(note => !note.isManual && note.anchorStatus === 'orphaned');
   }
   
-  // Tag filter
-  if (currentTagFilter) {
-    filtered = filtered.filter(note => 
-      note.tags && note.tags.includes(currentTagFilter)
-    );
+  // Tag filter (the selected tag and every tag nested under it)
+  if (tagFilterIds) {
+    filtered = filtered.filter(note => tagFilterIds.has(note.id));
   }
   
-  // Search filter
-  if (currentSearchQuery) {
-    filtered = filtered.filter(note => 
-      note.text.toLowerCase().includes(currentSearchQuery) ||
-      note.title?.toLowerCase().includes(currentSearchQuery) ||
-      note.comment?.toLowerCase().includes(currentSearchQuery) ||
-      (note.tags && note.tags.some(tag => tag.toLowerCase().includes(currentSearchQuery)))
-    );
+  // Language filter
+  if (currentLanguageFilter) {
+    filtered = filtered.filter(note => note.language === currentLanguageFilter);
+  }
+  
+  // Color filter
+  if (currentColorFilter) {
+    filtered = filtered.filter(note => noteColor(note) === currentColorFilter);
   }
   
   renderNotes(filtered);
+  
+  // Only notes still shown stay selected
+  setSelection([...selectedNoteIds].filter(id => visibleNotes.some(note => note.id === id)));
 }
 
 function renderNotes(notes) {
@@ -245,6 +624,7 @@ function renderNotes(notes) {
   
   // Remove existing cards
   container.querySelectorAll('.note-card').forEach(card => card.remove());
+  visibleNotes = [];
   
   if (loadingState) loadingState.style.display = 'none';
   
@@ -256,7 +636,7 @@ function renderNotes(notes) {
       const emptyOr = emptyState.querySelector('.empty-or');
       const createBtn = emptyState.querySelector('.btn-create-first');
       
-      if (currentSearchQuery || currentTagFilter || currentFilter !== 'all') {
+      if (currentSearchQuery || currentTagFilter || currentLanguageFilter || currentFilter !== 'all') {
         if (emptyHint) emptyHint.innerHTML = 'No notes match your filters. Try adjusting your search.';
         if (emptyOr) emptyOr.style.display = 'none';
         if (createBtn) createBtn.style.display = 'none';
@@ -271,10 +651,13 @@ function renderNotes(notes) {
   
   if (emptyState) emptyState.style.display = 'none';
   
-  const sorted = [...notes].sort((a, b) => 
+  // Keep search ranking; otherwise show newest first
+  const sorted = searchResults ? notes : [...notes].sort((a, b) => 
     new Date(b.timestamp) - new Date(a.timestamp)
   );
   
+  visibleNotes = sorted;
+  
   sorted.forEach((note, index) => {
     const card = createNoteCard(note, index);
     container.appendChild(card);
@@ -284,7 +667,9 @@ function renderNotes(notes) {
 function createNoteCard(note, index) {
   const card = document.createElement('div');
   card.className = 'note-card';
+  card.dataset.id = note.id;
   if (note.isManual) card.classList.add('manual-note');
+  if (selectedNoteIds.has(note.id)) card.classList.add('selected');
   card.style.animationDelay = `${index * 40}ms`;
   
   const textPreview = note.text.length > 100 
@@ -296,22 +681,57 @@ function createNoteCard(note, index) {
   
   const tagsHtml = note.tags && note.tags.length > 0
     ? `<div class="tags">${note.tags.map(tag => 
-        `<span class="tag" data-tag="${escapeHtml(tag)}">${escapeHtml(tag)}</span>`
+        tagColors[tag]
+          ? `<span class="tag tag-colored" data-tag="${escapeHtml(tag)}" style="background: ${tagColors[tag]}; border-color: ${tagColors[tag]};">${escapeHtml(tag)}</span>`
+          : `<span class="tag" data-tag="${escapeHtml(tag)}">${escapeHtml(tag)}</span>`
       ).join('')}</div>`
     : '';
   
+  const snippet = searchMatches.get(note.id)?.snippet;
+  
+  const textHtml = snippet?.field === 'text'
+    ? highlightSnippet(snippet)
+    : escapeHtml(textPreview);
+  
   const commentHtml = note.comment
-    ? `<div class="note-comment">💬 ${escapeHtml(truncate(note.comment, 60))}</div>`
+    ? `<div class="note-comment">💬 ${snippet?.field === 'comment' ? highlightSnippet(snippet) : escapeHtml(truncate(note.comment, 60))}</div>`
     : '';
   
+  const isOrphaned = !note.isManual && note.anchorStatus === 'orphaned';
+  
+  let anchorHtml = '';
+  if (isOrphaned) {
+    anchorHtml = `<div class="note-drift note-orphaned" title="Last found ${note.lastResolvedAt ? new Date(note.lastResolvedAt).toLocaleString() : 'never'}">🔗 Not found on page</div>`;
+  } else if (!note.isManual && note.anchorStatus === 'drifted') {
+    anchorHtml = `<div class="note-drift" title="The page text changed since this note was saved">⚠️ Source changed · ${Math.round(note.anchorConfidence * 100)}% match</div>`;
+  }
+  
   const domainIcon = note.isManual ? '✍️' : '🌐';
   
+  const meaning = paletteEntry(noteColor(note))?.meaning;
+  const meaningHtml = meaning
+    ? `<span class="note-meaning" title="Highlight color"><span class="notebook-dot" style="background: ${noteColor(note)};"></span>${escapeHtml(truncate(meaning, 20))}</span>`
+    : '';
+  
+  // Which notebook a note is in only needs saying when viewing them all
+  const notebook = !currentNotebookId && note.notebookId
+    ? notebooks.find(candidate => candidate.id === note.notebookId)
+    : null;
+  const notebookHtml = notebook
+    ? `<div class="note-notebook"><span class="notebook-dot" style="background: ${notebook.color};"></span>${escapeHtml(notebook.name)}</div>`
+    : '';
+  
   card.innerHTML = `
+    <input type="checkbox" class="note-select" title="Select (Shift+click for a range)" aria-label="Select note"
+      ${selectedNoteIds.has(note.id) ? 'checked' : ''}>
     <div class="note-content">
-      <div class="note-text">${escapeHtml(textPreview)}</div>
+      ${notebookHtml}
+      <div class="note-text">${textHtml}</div>
       ${commentHtml}
+      ${note.location ? `<div class="note-location">📍 ${escapeHtml(note.location)}</div>` : ''}
+      ${anchorHtml}
       <div class="note-meta">
-        <span class="domain" title="${escapeHtml(note.url || note.source || '')}">
+        <span class="domain" title="${escapeHtml(note.url || [note.source, note.author, note.location].filter(Boolean).join(' · '))}">
           <span class="domain-icon">${domainIcon}</span>
           ${escapeHtml(truncate(domain, 20))}
         </span>
@@ -319,11 +739,21 @@ function createNoteCard(note, index) {
           <span class="time-icon">🕒</span>
           ${relativeTime}
         </span>
+        ${meaningHtml}
       </div>
       ${tagsHtml}
     </div>
     <div class="actions">
-      ${!note.isManual ? `
+      ${isOrphaned ? `
+        <button class="btn-jump btn-reattach" data-id="${note.id}" title="Open the page and select new text for this note">
+          <span class="btn-icon">🔗</span>
+          Re-attach
+        </button>
+        <button class="btn-convert" data-id="${note.id}" title="Keep this note as a manual note">
+          <span class="btn-icon">✍️</span>
+          Make Manual
+        </button>
+      ` : !note.isManual ? `
         <button class="btn-jump" data-id="${note.id}" title="Go to the original page">
           <span class="btn-icon">↗️</span>
           Go to Note
@@ -334,6 +764,14 @@ function createNoteCard(note, index) {
           Copy Text
         </button>
       `}
+      <button class="btn-edit" data-id="${note.id}" title="Edit this note">
+        <span class="btn-icon">✏️</span>
+      </button>
+      ${note.updatedAt ? `
+        <button class="btn-history" data-id="${note.id}" title="See earlier versions">
+          <span class="btn-icon">🕘</span>
+        </button>
+      ` : ''}
       <button class="btn-delete" data-id="${note.id}" title="Delete this note">
         <span class="btn-icon">🗑️</span>
       </button>
@@ -344,24 +782,29 @@ function createNoteCard(note, index) {
   const jumpBtn = card.querySelector('.btn-jump');
   const deleteBtn = card.querySelector('.btn-delete');
   
-  if (note.isManual) {
+  if (isOrphaned) {
+    jumpBtn?.addEventListener('click', () => reattachNote(note));
+    card.querySelector('.btn-convert')?.addEventListener('click', () => convertToManualNote(note.id));
+  } else if (note.isManual) {
     jumpBtn?.addEventListener('click', () => copyNoteText(note));
   } else {
     jumpBtn?.addEventListener('click', () => jumpToNote(note));
   }
   
+  const selectBox = card.querySelector('.note-select');
+  selectBox.addEventListener('click', (e) => {
+    toggleNoteSelection(note.id, selectBox.checked, e.shiftKey);
+  });
+  
+  card.querySelector('.btn-edit')?.addEventListener('click', () => openNoteEditor(card, note));
+  card.querySelector('.btn-history')?.addEventListener('click', () => openHistoryModal(note));
   deleteBtn?.addEventListener('click', () => deleteNote(note.id));
   
   // Tag click to filter
   card.querySelectorAll('.tag').forEach(tagEl => {
     tagEl.addEventListener('click', (e) => {
       e.stopPropagation();
-      const tagFilter = document.getElementById('tag-filter');
-      if (tagFilter) {
-        tagFilter.value = tagEl.dataset.tag;
-        currentTagFilter = tagEl.dataset.tag;
-        applyFilters();
-      }
+      setTagFilter(tagEl.dataset.tag);
     });
   });
   
@@ -369,81 +812,1394 @@ function createNoteCard(note, index) {
 }
 
 // ============================================
-// MODAL FUNCTIONS
+// BULK SELECTION
 // ============================================
 
-function openCreateNoteModal() {
-  const modal = document.getElementById('create-note-modal');
-  if (modal) {
-    modal.style.display = 'flex';
-    document.getElementById('note-text')?.focus();
-    
-    // Reset form
-    document.getElementById('note-text').value = '';
-    document.getElementById('note-source').value = '';
-    document.getElementById('note-tags').value = '';
-    document.getElementById('note-comment').value = '';
-    document.querySelectorAll('.quick-tag').forEach(t => t.classList.remove('selected'));
-  }
+function setupBulkActions() {
+  document.getElementById('bulk-select-all')?.addEventListener('change', (e) => {
+    setSelection(e.target.checked ? visibleNotes.map(note => note.id) : []);
+  });
+  document.getElementById('bulk-clear')?.addEventListener('click', clearSelection);
+  document.getElementById('bulk-trash')?.addEventListener('click', trashSelectedNotes);
+  document.getElementById('bulk-merge')?.addEventListener('click', mergeSelectedNotes);
+  
+  document.querySelectorAll('.bulk-btn[data-panel]').forEach(button => {
+    button.addEventListener('click', () => toggleBulkPanel(button.dataset.panel));
+  });
+  
+  document.getElementById('bulk-add-tags')?.addEventListener('click', () => editSelectedTags('add'));
+  document.getElementById('bulk-remove-tags')?.addEventListener('click', () => editSelectedTags('remove'));
+  document.getElementById('bulk-tags-input')?.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') editSelectedTags('add');
+  });
+  
+  renderBulkColorPanel();
+  
+  document.getElementById('bulk-move-notebook')?.addEventListener('click', () => {
+    const notebookId = document.getElementById('bulk-notebook-select').value;
+    const name = notebooks.find(notebook => notebook.id === notebookId)?.name;
+    bulkEditSelected(
+      { notebookId: notebookId || null },
+      count => name
+        ? `Moved ${count} note${count === 1 ? '' : 's'} to ${name} 📓`
+        : `Took ${count} note${count === 1 ? '' : 's'} out of their notebook`
+    );
+  });
+  
+  document.querySelectorAll('#bulk-panel-export .bulk-panel-btn').forEach(button => {
+    button.addEventListener('click', () => {
+      const notes = getSelectedNotes();
+      exportNotes(notes, button.dataset.format, `${notes.length} selected`);
+    });
+  });
 }
 
-function closeCreateNoteModal() {
-  const modal = document.getElementById('create-note-modal');
-  if (modal) modal.style.display = 'none';
+/**
+ * Fills the bulk "change color" panel with the palette
+ */
+function renderBulkColorPanel() {
+  const colorPanel = document.getElementById('bulk-panel-color');
+  if (!colorPanel) return;
+  
+  colorPanel.innerHTML = palette.map(entry => `
+    <button type="button" class="color-swatch" data-color="${entry.color}"
+      title="${escapeHtml(paletteLabel(entry))}" aria-label="${escapeHtml(paletteLabel(entry))}"
+      style="background: ${entry.color};"></button>
+  `).join('');
+  colorPanel.querySelectorAll('.color-swatch').forEach(swatch => {
+    swatch.addEventListener('click', () => bulkEditSelected(
+      { highlightColor: swatch.dataset.color },
+      count => `Recolored ${count} note${count === 1 ? '' : 's'} 🎨`
+    ));
+  });
 }
 
-function openInfoModal() {
-  const modal = document.getElementById('info-modal');
-  if (modal) {
-    modal.style.display = 'flex';
-    updateStats();
+/**
+ * Returns the selected notes in display order
+ * @returns {Array<Object>}
+ */
+function getSelectedNotes() {
+  return visibleNotes.filter(note => selectedNoteIds.has(note.id));
+}
+
+/**
+ * Ticks or unticks a note. With Shift held, every note shown between it
+ * and the previously ticked note changes too.
+ * @param {string} noteId - The note ID
+ * @param {boolean} selected - Whether it is now ticked
+ * @param {boolean} extendRange - Whether Shift was held
+ */
+function toggleNoteSelection(noteId, selected, extendRange) {
+  const order = visibleNotes.map(note => note.id);
+  let ids = [noteId];
+  
+  if (extendRange && selectionAnchorId) {
+    const from = order.indexOf(selectionAnchorId);
+    const to = order.indexOf(noteId);
+    if (from !== -1 && to !== -1) {
+      ids = order.slice(Math.min(from, to), Math.max(from, to) + 1);
+    }
   }
+  
+  const next = new Set(selectedNoteIds);
+  ids.forEach(id => selected ? next.add(id) : next.delete(id));
+  selectionAnchorId = noteId;
+  setSelection([...next]);
 }
 
-function updateStats() {
-  const totalNotes = allNotes.length;
-  const webNotes = allNotes.filter(note => !note.isManual).length;
-  const manualNotes = allNotes.filter(note => note.isManual).length;
+/**
+ * Replaces the selection and updates the cards and bulk action bar
+ * @param {Array<string>} noteIds - The note IDs to select
+ */
+function setSelection(noteIds) {
+  selectedNoteIds = new Set(noteIds);
+  if (selectedNoteIds.size === 0) selectionAnchorId = null;
   
-  const totalEl = document.getElementById('stat-total-notes');
-  const webEl = document.getElementById('stat-web-notes');
-  const manualEl = document.getElementById('stat-manual-notes');
+  document.querySelectorAll('.note-card').forEach(card => {
+    const selected = selectedNoteIds.has(card.dataset.id);
+    card.classList.toggle('selected', selected);
+    const selectBox = card.querySelector('.note-select');
+    if (selectBox) selectBox.checked = selected;
+  });
   
-  if (totalEl) totalEl.textContent = totalNotes;
-  if (webEl) webEl.textContent = webNotes;
-  if (manualEl) manualEl.textContent = manualNotes;
+  const count = selectedNoteIds.size;
+  document.body.classList.toggle('selecting', count > 0);
+  
+  const bar = document.getElementById('bulk-bar');
+  if (!bar) return;
+  bar.style.display = count > 0 ? 'block' : 'none';
+  if (count === 0) toggleBulkPanel(null);
+  
+  document.getElementById('bulk-count').textContent = `${count} selected`;
+  const selectAll = document.getElementById('bulk-select-all');
+  selectAll.checked = count > 0 && count === visibleNotes.length;
+  selectAll.indeterminate = count > 0 && count < visibleNotes.length;
 }
 
-function closeInfoModal() {
-  const modal = document.getElementById('info-modal');
-  if (modal) modal.style.display = 'none';
+function clearSelection() {
+  setSelection([]);
 }
 
-async function saveManualNote() {
-  const text = document.getElementById('note-text')?.value.trim();
-  const source = document.getElementById('note-source')?.value.trim();
-  const tagsInput = document.getElementById('note-tags')?.value.trim();
-  const comment = document.getElementById('note-comment')?.value.trim();
+/**
+ * Shows one of the bulk action panels (tags, color, notebook, export), or
+ * hides them all. Choosing the open panel again closes it.
+ * @param {string|null} name - The panel to show
+ */
+function toggleBulkPanel(name) {
+  document.querySelectorAll('.bulk-panel').forEach(panel => {
+    const show = name !== null && panel.id === `bulk-panel-${name}` && panel.style.display === 'none';
+    panel.style.display = show ? 'flex' : 'none';
+  });
+  document.querySelectorAll('.bulk-btn[data-panel]').forEach(button => {
+    const panel = document.getElementById(`bulk-panel-${button.dataset.panel}`);
+    button.classList.toggle('active', panel?.style.display === 'flex');
+  });
   
-  if (!text) {
-    showToast('Please enter note content', 'error');
-    document.getElementById('note-text')?.focus();
+  if (name === 'tags') document.getElementById('bulk-tags-input')?.focus();
+}
+
+/**
+ * Applies the same change to every selected note in one background call
+ * @param {Object} changes - {addTags, removeTags, highlightColor, notebookId}
+ * @param {function(number): string} describe - Toast text for the number
+ *   of notes changed
+ */
+async function bulkEditSelected(changes, describe) {
+  try {
+    const response = await chrome.runtime.sendMessage({
+      action: 'bulkEditNotes',
+      noteIds: [...selectedNoteIds],
+      changes
+    });
+    if (!response?.success) throw new Error(response?.error || 'Update failed');
+    
+    showToast(describe(response.count), 'success');
+    await loadNotes();
+    await loadTags();
+  } catch (error) {
+    console.error('Error updating notes:', error);
+    showToast('Failed to update notes', 'error');
+  }
+}
+
+/**
+ * Adds or removes the tags typed in the bulk tags panel
+ * @param {'add'|'remove'} mode - What to do with the tags
+ */
+async function editSelectedTags(mode) {
+  const input = document.getElementById('bulk-tags-input');
+  const tags = input.value.split(',').map(tag => tag.trim()).filter(Boolean);
+  if (tags.length === 0) {
+    showToast('Type one or more tags first', 'error');
     return;
   }
   
-  const tags = tagsInput 
-    ? tagsInput.split(',').map(t => t.trim()).filter(t => t.length > 0)
-    : [];
+  await bulkEditSelected(
+    mode === 'add' ? { addTags: tags } : { removeTags: tags },
+    count => `${mode === 'add' ? 'Tagged' : 'Untagged'} ${count} note${count === 1 ? '' : 's'} 🏷️`
+  );
+  input.value = '';
+}
+
+async function trashSelectedNotes() {
+  const noteIds = [...selectedNoteIds];
   
-  const noteData = {
-    text: text,
-    url: '',
-    title: source || 'Manual Note',
-    source: source,
-    comment: comment,
-    tags: tags,
-    isManual: true,
-    scrollY: 0,
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'deleteNotes', noteIds });
+    if (!response?.success) throw new Error(response?.error || 'Delete failed');
+    
+    clearSelection();
+    showToast(`${noteIds.length} note${noteIds.length === 1 ? '' : 's'} moved to trash`, 'info', {
+      label: 'Undo',
+      onClick: () => restoreNotes(noteIds)
+    });
+    await loadNotes();
+    await loadTags();
+  } catch (error) {
+    console.error('Error deleting notes:', error);
+    showToast('Failed to delete notes', 'error');
+  }
+}
+
+async function mergeSelectedNotes() {
+  const noteIds = getSelectedNotes().map(note => note.id);
+  if (noteIds.length < 2) {
+    showToast('Select at least two notes to merge', 'error');
+    return;
+  }
+  if (!confirm(`Merge ${noteIds.length} notes into one manual note? The originals move to the trash.`)) return;
+  
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'mergeNotes', noteIds });
+    if (!response?.success) throw new Error(response?.error || 'Merge failed');
+    
+    clearSelection();
+    showToast(`Merged ${noteIds.length} notes 🧩`, 'success', {
+      label: 'Undo',
+      onClick: () => unmergeNotes(response.noteId, noteIds)
+    });
+    await loadNotes();
+    await loadTags();
+  } catch (error) {
+    console.error('Error merging notes:', error);
+    showToast(error.message || 'Failed to merge notes', 'error');
+  }
+}
+
+/**
+ * Undoes a merge: the merged note is deleted outright (not trashed) and
+ * the originals come back
+ * @param {string} mergedId - The merged note's ID
+ * @param {Array<string>} noteIds - The original note IDs
+ */
+async function unmergeNotes(mergedId, noteIds) {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'unmergeNotes', mergedId, noteIds });
+    if (!response?.success) throw new Error(response?.error || 'Undo failed');
+    
+    showToast('Merge undone ↩', 'success');
+    await loadNotes();
+    await loadTags();
+  } catch (error) {
+    console.error('Error undoing merge:', error);
+    showToast('Failed to undo the merge', 'error');
+  }
+}
+
+// ============================================
+// TAG TREE FILTER
+// ============================================
+
+/**
+ * Asks the background tags index which notes have the selected tag or a
+ * tag nested under it
+ */
+async function runTagFilter() {
+  const requestId = ++tagFilterRequestId;
+  
+  if (!currentTagFilter) {
+    tagFilterIds = null;
+    return;
+  }
+  
+  let noteIds = [];
+  try {
+    const response = await chrome.runtime.sendMessage({
+      action: 'getNoteIdsByTag',
+      tag: currentTagFilter
+    });
+    if (!response?.success) throw new Error(response?.error || 'Tag filter failed');
+    noteIds = response.noteIds;
+  } catch (error) {
+    console.error('Error filtering by tag:', error);
+    showToast('Failed to filter by tag', 'error');
+  }
+  
+  // Another tag was selected while this one was loading
+  if (requestId !== tagFilterRequestId) return;
+  tagFilterIds = new Set(noteIds);
+}
+
+/**
+ * Filters the list by a tag, including the tags nested under it
+ * @param {string} tag - The tag, or '' for all notes
+ */
+async function setTagFilter(tag) {
+  currentTagFilter = tag;
+  
+  // Keep the selected tag visible in the tree
+  const levels = tag.split(TAG_SEPARATOR);
+  levels.slice(0, -1).forEach((level, i) => {
+    expandedTags.add(levels.slice(0, i + 1).join(TAG_SEPARATOR));
+  });
+  
+  updateTagFilterLabel();
+  renderTagTree();
+  await runTagFilter();
+  applyFilters();
+}
+
+function updateTagFilterLabel() {
+  const button = document.getElementById('tag-filter');
+  if (button) {
+    button.textContent = `🏷️ ${currentTagFilter || 'All Tags'}`;
+    button.title = currentTagFilter ? `Notes tagged ${currentTagFilter} or a tag under it` : 'Filter by tag';
+  }
+}
+
+function toggleTagTree() {
+  const tree = document.getElementById('tag-tree');
+  if (!tree) return;
+  
+  const open = tree.style.display === 'none';
+  if (open) renderTagTree();
+  tree.style.display = open ? 'block' : 'none';
+  document.getElementById('tag-filter')?.setAttribute('aria-expanded', String(open));
+}
+
+function closeTagTree() {
+  const tree = document.getElementById('tag-tree');
+  if (tree) tree.style.display = 'none';
+  document.getElementById('tag-filter')?.setAttribute('aria-expanded', 'false');
+}
+
+/**
+ * Returns the tag a nested tag sits under
+ * @param {string} tag - The tag
+ * @returns {string} The parent tag, or '' for a top-level tag
+ */
+function parentTag(tag) {
+  const index = tag.lastIndexOf(TAG_SEPARATOR);
+  return index === -1 ? '' : tag.slice(0, index);
+}
+
+/**
+ * Groups the tag stats under their parent tags ('' for the top level),
+ * keeping tree order
+ * @returns {Map<string, Array<Object>>}
+ */
+function groupTagsByParent() {
+  const childrenByParent = new Map();
+  tagStats.forEach(stat => {
+    const parent = parentTag(stat.tag);
+    if (!childrenByParent.has(parent)) childrenByParent.set(parent, []);
+    childrenByParent.get(parent).push(stat);
+  });
+  return childrenByParent;
+}
+
+/**
+ * Renders the tag filter as a collapsible tree. Each tag shows how many
+ * notes it covers, its nested tags included.
+ */
+function renderTagTree() {
+  const tree = document.getElementById('tag-tree');
+  if (!tree) return;
+  
+  const childrenByParent = groupTagsByParent();
+  
+  const renderLevel = (parent, depth) => (childrenByParent.get(parent) || []).map(stat => {
+    const hasChildren = childrenByParent.has(stat.tag);
+    const expanded = expandedTags.has(stat.tag);
+    const name = stat.tag.slice(parent ? parent.length + 1 : 0);
+    
+    return `
+      <div class="tag-tree-item${stat.tag === currentTagFilter ? ' active' : ''}" role="treeitem"
+        data-tag="${escapeHtml(stat.tag)}" title="${escapeHtml(stat.tag)}" style="padding-left: ${8 + depth * 14}px;"
+        ${hasChildren ? `aria-expanded="${expanded}"` : ''}>
+        <button class="tag-tree-caret" tabindex="-1" ${hasChildren ? '' : 'disabled'}
+          aria-label="${expanded ? 'Collapse' : 'Expand'}">${hasChildren ? (expanded ? '▾' : '▸') : ''}</button>
+        <span class="tag-tree-name">${escapeHtml(name)}</span>
+        <span class="tag-tree-count">${stat.total}</span>
+      </div>
+      ${hasChildren && expanded ? renderLevel(stat.tag, depth + 1) : ''}
+    `;
+  }).join('');
+  
+  tree.innerHTML = `
+    <div class="tag-tree-item${currentTagFilter ? '' : ' active'}" role="treeitem" data-tag="" style="padding-left: 8px;">
+      <span class="tag-tree-caret"></span>
+      <span class="tag-tree-name">All Tags</span>
+      <span class="tag-tree-count">${allNotes.length}</span>
+    </div>
+    ${tagStats.length > 0 ? renderLevel('', 0) : '<div class="tag-tree-empty">No tags yet</div>'}
+  `;
+  
+  tree.querySelectorAll('.tag-tree-item').forEach(item => {
+    item.addEventListener('click', (e) => {
+      e.stopPropagation();
+      const tag = item.dataset.tag;
+      
+      if (e.target.closest('.tag-tree-caret:not([disabled])')) {
+        expandedTags.has(tag) ? expandedTags.delete(tag) : expandedTags.add(tag);
+        renderTagTree();
+        return;
+      }
+      
+      closeTagTree();
+      setTagFilter(tag);
+    });
+  });
+}
+
+// ============================================
+// TAG MANAGER
+// ============================================
+
+function openTagsModal() {
+  const modal = document.getElementById('tags-modal');
+  if (!modal) return;
+  
+  modal.style.display = 'flex';
+  renderTagManager();
+}
+
+function closeTagsModal() {
+  const modal = document.getElementById('tags-modal');
+  if (modal) modal.style.display = 'none';
+}
+
+/**
+ * Lists every tag with its note count, color and rename/delete buttons
+ */
+function renderTagManager() {
+  const list = document.getElementById('tags-list');
+  if (!list) return;
+  
+  if (tagStats.length === 0) {
+    list.innerHTML = '<div class="tags-empty">No tags yet. Add tags when saving or editing a note.</div>';
+    return;
+  }
+  
+  // Nested tags are indented under their parent and counted with it
+  list.innerHTML = tagStats.map(({ tag, total, color }) => `
+    <div class="tag-row" data-tag="${escapeHtml(tag)}" style="margin-left: ${(tag.split(TAG_SEPARATOR).length - 1) * 16}px;">
+      <div class="tag-row-main">
+        <button class="tag-color-btn${color ? '' : ' no-color'}" title="Choose a color"
+          aria-label="Color for ${escapeHtml(tag)}" ${color ? `style="background: ${color};"` : ''}></button>
+        <span class="tag-row-name">${escapeHtml(tag)}</span>
+        <span class="tag-row-count">${total} note${total === 1 ? '' : 's'}</span>
+        <button class="tag-row-action" data-action="rename" title="Rename, or merge into another tag">Rename</button>
+        <button class="tag-row-action danger" data-action="delete" title="Remove from every note">Delete</button>
+      </div>
+      <div class="tag-row-colors" style="display: none;">
+        ${palette.map(swatch => `
+          <button type="button" class="color-swatch${sameColor(swatch.color, color) ? ' selected' : ''}" data-color="${swatch.color}"
+            title="${escapeHtml(swatch.name)}" aria-label="${escapeHtml(swatch.name)}" style="background: ${swatch.color};"></button>
+        `).join('')}
+        <button type="button" class="tag-row-action" data-color="">No color</button>
+      </div>
+    </div>
+  `).join('');
+  
+  list.querySelectorAll('.tag-row').forEach(row => {
+    const tag = row.dataset.tag;
+    const colors = row.querySelector('.tag-row-colors');
+    
+    row.querySelector('.tag-color-btn').addEventListener('click', () => {
+      colors.style.display = colors.style.display === 'none' ? 'flex' : 'none';
+    });
+    colors.querySelectorAll('[data-color]').forEach(button => {
+      button.addEventListener('click', () => setTagColor(tag, button.dataset.color || null));
+    });
+    row.querySelector('[data-action="rename"]').addEventListener('click', () => startTagRename(row, tag));
+    row.querySelector('[data-action="delete"]').addEventListener('click', () => deleteTag(tag));
+  });
+}
+
+/**
+ * Swaps a tag's name for an input. Enter renames, Escape cancels.
+ * @param {HTMLElement} row - The tag's row
+ * @param {string} tag - The tag
+ */
+function startTagRename(row, tag) {
+  const name = row.querySelector('.tag-row-name');
+  if (!name || row.querySelector('.tag-rename-input')) return;
+  
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.className = 'tag-rename-input';
+  input.value = tag;
+  name.replaceWith(input);
+  input.focus();
+  input.select();
+  
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+      renameTag(tag, input.value);
+    } else if (e.key === 'Escape') {
+      // Don't let the popup-wide Escape handler close the modal
+      e.stopPropagation();
+      renderTagManager();
+    }
+  });
+  input.addEventListener('blur', () => {
+    if (input.isConnected) renderTagManager();
+  });
+}
+
+/**
+ * Reloads tags and notes after a tag changed, keeping the manager current
+ */
+async function refreshAfterTagChange() {
+  await loadTags();
+  await loadNotes();
+  renderTagManager();
+}
+
+async function renameTag(from, to) {
+  // Tags are stored lower case with single spaces around each level
+  const target = to.toLowerCase().split(TAG_SEPARATOR)
+    .map(level => level.trim().replace(/\s+/g, ' '))
+    .filter(Boolean)
+    .join(TAG_SEPARATOR);
+  if (!target) {
+    showToast('Tag name can\'t be empty', 'error');
+    return;
+  }
+  
+  if (target !== from && tagStats.some(stat => stat.tag === target) &&
+      !confirm(`"${target}" already exists. Merge "${from}" into it?`)) {
+    return;
+  }
+  
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'renameTag', from, to });
+    if (!response?.success) throw new Error(response?.error || 'Rename failed');
+    
+    if (response.count > 0) {
+      showToast(response.merged ? `Merged "${from}" into "${response.tag}"` : `Renamed "${from}" to "${response.tag}"`, 'success');
+    }
+    await refreshAfterTagChange();
+  } catch (error) {
+    console.error('Error renaming tag:', error);
+    showToast(error.message || 'Failed to rename tag', 'error');
+  }
+}
+
+async function deleteTag(tag) {
+  const count = tagStats.find(stat => stat.tag === tag)?.total || 0;
+  const nested = tagStats.some(stat => stat.tag.startsWith(tag + TAG_SEPARATOR));
+  const what = nested ? `"${tag}" and the tags under it` : `"${tag}"`;
+  if (!confirm(`Remove ${what} from ${count} note${count === 1 ? '' : 's'}? The notes themselves are kept.`)) return;
+  
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'deleteTag', tag });
+    if (!response?.success) throw new Error(response?.error || 'Delete failed');
+    
+    showToast(`Removed "${tag}"`, 'success');
+    await refreshAfterTagChange();
+  } catch (error) {
+    console.error('Error deleting tag:', error);
+    showToast('Failed to delete tag', 'error');
+  }
+}
+
+async function setTagColor(tag, color) {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'setTagColor', tag, color });
+    if (!response?.success) throw new Error(response?.error || 'Could not save color');
+    
+    await refreshAfterTagChange();
+  } catch (error) {
+    console.error('Error saving tag color:', error);
+    showToast('Failed to save color', 'error');
+  }
+}
+
+// ============================================
+// NOTEBOOKS
+// ============================================
+
+/**
+ * Fills a select with the notebooks
+ * @param {HTMLSelectElement} select - The select to fill
+ * @param {string} noneLabel - Label of the first option (value '')
+ * @param {string} value - The option to select
+ */
+function fillNotebookSelect(select, noneLabel, value) {
+  select.replaceChildren(new Option(noneLabel, ''), ...notebooks.map(notebook => new Option(notebook.name, notebook.id)));
+  select.value = notebooks.some(notebook => notebook.id === value) ? value : '';
+}
+
+/**
+ * Updates the header switcher and the bulk "move to notebook" panel
+ */
+function renderNotebookMenus() {
+  const switcher = document.getElementById('notebook-switcher');
+  if (switcher) {
+    fillNotebookSelect(switcher, '📚 All notebooks', currentNotebookId);
+    switcher.appendChild(new Option('⚙️ Manage notebooks…', MANAGE_NOTEBOOKS));
+  }
+  
+  const bulkSelect = document.getElementById('bulk-notebook-select');
+  if (bulkSelect) {
+    fillNotebookSelect(bulkSelect, 'No notebook', currentNotebookId);
+  }
+  const bulkButton = document.getElementById('bulk-notebook-btn');
+  if (bulkButton) bulkButton.style.display = notebooks.length > 0 ? '' : 'none';
+}
+
+/**
+ * Shows one notebook's notes, or every note, and remembers the choice
+ * @param {string} notebookId - The notebook ID, or '' for every note
+ */
+async function setNotebook(notebookId) {
+  currentNotebookId = notebookId;
+  renderNotebookMenus();
+  await chrome.storage.local.set({ [CURRENT_NOTEBOOK_KEY]: notebookId });
+  
+  // Searches are scoped to the notebook, so they need running again
+  if (currentSearchQuery) {
+    await runSearch();
+  } else {
+    applyFilters();
+  }
+}
+
+async function openNotebooksModal() {
+  const modal = document.getElementById('notebooks-modal');
+  if (!modal) return;
+  
+  modal.style.display = 'flex';
+  resetNotebookForm();
+  
+  // Fresh note counts
+  await loadNotebooks();
+  renderNotebookManager();
+}
+
+function closeNotebooksModal() {
+  const modal = document.getElementById('notebooks-modal');
+  if (modal) modal.style.display = 'none';
+}
+
+/**
+ * Lists every notebook with its note count and edit, reorder and delete
+ * buttons
+ */
+function renderNotebookManager() {
+  const list = document.getElementById('notebooks-list');
+  if (!list) return;
+  
+  if (notebooks.length === 0) {
+    list.innerHTML = '<div class="tags-empty">No notebooks yet. Add one to start filing notes.</div>';
+    return;
+  }
+  
+  list.innerHTML = notebooks.map((notebook, index) => `
+    <div class="tag-row" data-id="${escapeHtml(notebook.id)}">
+      <div class="tag-row-main">
+        <span class="notebook-dot" style="background: ${notebook.color};"></span>
+        <span class="tag-row-name">${escapeHtml(notebook.name)}</span>
+        <span class="tag-row-count">${notebook.noteCount} note${notebook.noteCount === 1 ? '' : 's'}</span>
+        <button class="tag-row-action" data-action="up" title="Move up" aria-label="Move up" ${index === 0 ? 'disabled' : ''}>↑</button>
+        <button class="tag-row-action" data-action="down" title="Move down" aria-label="Move down" ${index === notebooks.length - 1 ? 'disabled' : ''}>↓</button>
+        <button class="tag-row-action" data-action="edit">Edit</button>
+        <button class="tag-row-action danger" data-action="delete" title="Delete the notebook, keeping its notes">Delete</button>
+      </div>
+      ${notebook.description ? `<div class="notebook-row-description">${escapeHtml(notebook.description)}</div>` : ''}
+    </div>
+  `).join('');
+  
+  list.querySelectorAll('.tag-row').forEach(row => {
+    const notebook = notebooks.find(candidate => candidate.id === row.dataset.id);
+    row.querySelector('[data-action="up"]').addEventListener('click', () => moveNotebook(notebook.id, -1));
+    row.querySelector('[data-action="down"]').addEventListener('click', () => moveNotebook(notebook.id, 1));
+    row.querySelector('[data-action="edit"]').addEventListener('click', () => editNotebook(notebook));
+    row.querySelector('[data-action="delete"]').addEventListener('click', () => deleteNotebook(notebook));
+  });
+}
+
+/**
+ * Clears the notebook form back to adding a new notebook
+ */
+function resetNotebookForm() {
+  editingNotebookId = null;
+  document.getElementById('notebook-name').value = '';
+  document.getElementById('notebook-description').value = '';
+  document.getElementById('notebook-color').value = '#667eea';
+  document.getElementById('save-notebook').textContent = 'Add Notebook';
+  document.getElementById('cancel-notebook-edit').style.display = 'none';
+}
+
+/**
+ * Loads a notebook into the form for editing
+ * @param {Object} notebook - The notebook
+ */
+function editNotebook(notebook) {
+  editingNotebookId = notebook.id;
+  document.getElementById('notebook-name').value = notebook.name;
+  document.getElementById('notebook-description').value = notebook.description || '';
+  document.getElementById('notebook-color').value = notebook.color;
+  document.getElementById('save-notebook').textContent = 'Save Changes';
+  document.getElementById('cancel-notebook-edit').style.display = '';
+  document.getElementById('notebook-name').focus();
+}
+
+/**
+ * Adds the notebook in the form, or saves the one being edited
+ */
+async function saveNotebook() {
+  const name = document.getElementById('notebook-name').value.trim();
+  if (!name) {
+    showToast('Please name the notebook', 'error');
+    document.getElementById('notebook-name').focus();
+    return;
+  }
+  
+  const notebook = {
+    name,
+    description: document.getElementById('notebook-description').value.trim(),
+    color: document.getElementById('notebook-color').value
+  };
+  if (editingNotebookId) notebook.id = editingNotebookId;
+  
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'saveNotebook', notebook });
+    if (!response?.success) throw new Error(response?.error || 'Could not save notebook');
+    
+    showToast(editingNotebookId ? 'Notebook updated' : `Added ${response.notebook.name} 📓`, 'success');
+    resetNotebookForm();
+    await loadNotebooks();
+    renderNotebookManager();
+    applyFilters();
+  } catch (error) {
+    console.error('Error saving notebook:', error);
+    showToast(error.message || 'Failed to save notebook', 'error');
+  }
+}
+
+/**
+ * Moves a notebook one place up or down the list
+ * @param {string} notebookId - The notebook ID
+ * @param {number} offset - -1 for up, 1 for down
+ */
+async function moveNotebook(notebookId, offset) {
+  const ids = notebooks.map(notebook => notebook.id);
+  const from = ids.indexOf(notebookId);
+  const to = from + offset;
+  if (from === -1 || to < 0 || to >= ids.length) return;
+  [ids[from], ids[to]] = [ids[to], ids[from]];
+  
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'reorderNotebooks', notebookIds: ids });
+    if (!response?.success) throw new Error(response?.error || 'Could not reorder notebooks');
+    
+    await loadNotebooks();
+    renderNotebookManager();
+  } catch (error) {
+    console.error('Error reordering notebooks:', error);
+    showToast('Failed to reorder notebooks', 'error');
+  }
+}
+
+async function deleteNotebook(notebook) {
+  const count = notebook.noteCount;
+  const notes = count > 0 ? ` Its ${count} note${count === 1 ? '' : 's'} will be kept outside any notebook.` : '';
+  if (!confirm(`Delete the notebook "${notebook.name}"?${notes}`)) return;
+  
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'deleteNotebook', notebookId: notebook.id });
+    if (!response?.success) throw new Error(response?.error || 'Delete failed');
+    
+    showToast(`Deleted ${notebook.name}`, 'success');
+    if (editingNotebookId === notebook.id) resetNotebookForm();
+    await loadNotebooks();
+    renderNotebookManager();
+    await loadNotes();
+  } catch (error) {
+    console.error('Error deleting notebook:', error);
+    showToast('Failed to delete notebook', 'error');
+  }
+}
+
+// ============================================
+// HIGHLIGHT COLORS
+// ============================================
+
+/**
+ * Returns a note's highlight color, upper case
+ * @param {Object} note - The note
+ * @returns {string}
+ */
+function noteColor(note) {
+  return (note.highlightColor || FALLBACK_HIGHLIGHT_COLOR).toUpperCase();
+}
+
+/**
+ * Checks whether two hex colors are the same
+ * @param {string} a - A color
+ * @param {string} b - Another color
+ * @returns {boolean}
+ */
+function sameColor(a, b) {
+  return (a || '').toLowerCase() === (b || '').toLowerCase();
+}
+
+/**
+ * Finds a color in the palette
+ * @param {string} color - A hex color
+ * @returns {Object|undefined} The palette entry
+ */
+function paletteEntry(color) {
+  return palette.find(entry => sameColor(entry.color, color));
+}
+
+/**
+ * Describes a palette color, with its meaning when it has one
+ * @param {Object} entry - A palette entry
+ * @returns {string} e.g. "Green: key fact"
+ */
+function paletteLabel(entry) {
+  return entry.meaning ? `${entry.name}: ${entry.meaning}` : entry.name;
+}
+
+/**
+ * Describes any highlight color, whether or not it's in the palette
+ * @param {string} color - A hex color
+ * @returns {string}
+ */
+function colorLabel(color) {
+  const entry = paletteEntry(color);
+  return entry ? paletteLabel(entry) : color;
+}
+
+/**
+ * The colors offered when editing a note: the palette, plus the note's own
+ * color if it has since been taken out of the palette
+ * @param {Object} note - The note
+ * @returns {Array<Object>} Palette entries
+ */
+function editorPalette(note) {
+  const color = noteColor(note);
+  return paletteEntry(color) ? palette : [...palette, { color, name: color, meaning: '' }];
+}
+
+function openPaletteModal() {
+  const modal = document.getElementById('palette-modal');
+  if (!modal) return;
+  
+  paletteDraft = palette.map(entry => ({ ...entry }));
+  modal.style.display = 'flex';
+  renderPaletteEditor();
+  loadToolbarSettings();
+}
+
+function closePaletteModal() {
+  const modal = document.getElementById('palette-modal');
+  if (modal) modal.style.display = 'none';
+}
+
+/**
+ * Lists the colors being edited, each with its name, meaning, and move
+ * and remove buttons. The first color is the one new notes get.
+ */
+function renderPaletteEditor() {
+  const list = document.getElementById('palette-list');
+  if (!list) return;
+  
+  list.innerHTML = paletteDraft.map((entry, index) => `
+    <div class="tag-row palette-row" data-index="${index}">
+      <div class="tag-row-main">
+        <input type="color" class="palette-color" value="${entry.color.toLowerCase()}" aria-label="Color">
+        <input type="text" class="palette-name" placeholder="Name" maxlength="30" aria-label="Name">
+        <input type="text" class="palette-meaning" placeholder="Meaning, e.g. key fact" maxlength="60" aria-label="Meaning">
+        <button class="tag-row-action" data-action="up" title="Move up" aria-label="Move up" ${index === 0 ? 'disabled' : ''}>↑</button>
+        <button class="tag-row-action danger" data-action="remove" title="Remove" aria-label="Remove" ${paletteDraft.length === 1 ? 'disabled' : ''}>✕</button>
+      </div>
+    </div>
+  `).join('');
+  
+  list.querySelectorAll('.palette-row').forEach(row => {
+    const index = Number(row.dataset.index);
+    const entry = paletteDraft[index];
+    
+    // Values are set as properties so quotes and markup stay plain text
+    row.querySelector('.palette-name').value = entry.name;
+    row.querySelector('.palette-meaning').value = entry.meaning;
+    
+    row.querySelector('.palette-color').addEventListener('input', (e) => {
+      entry.color = e.target.value.toUpperCase();
+    });
+    row.querySelector('.palette-name').addEventListener('input', (e) => {
+      entry.name = e.target.value;
+    });
+    row.querySelector('.palette-meaning').addEventListener('input', (e) => {
+      entry.meaning = e.target.value;
+    });
+    row.querySelector('[data-action="up"]').addEventListener('click', () => {
+      paletteDraft.splice(index - 1, 0, ...paletteDraft.splice(index, 1));
+      renderPaletteEditor();
+    });
+    row.querySelector('[data-action="remove"]').addEventListener('click', () => {
+      paletteDraft.splice(index, 1);
+      renderPaletteEditor();
+    });
+  });
+  
+  const addButton = document.getElementById('add-palette-color');
+  if (addButton) addButton.disabled = paletteDraft.length >= MAX_PALETTE_SIZE;
+}
+
+/**
+ * Adds a color to the palette being edited, picking one of the default
+ * colors not in it yet
+ */
+function addPaletteColor() {
+  if (paletteDraft.length >= MAX_PALETTE_SIZE) return;
+  
+  const unused = DEFAULT_PALETTE.find(entry => !paletteDraft.some(existing => sameColor(existing.color, entry.color)));
+  paletteDraft.push(unused ? { ...unused } : { color: '#B0BEC5', name: '', meaning: '' });
+  renderPaletteEditor();
+  document.querySelector('#palette-list .palette-row:last-child .palette-name')?.focus();
+}
+
+/**
+ * Saves the edited palette, then redraws everything that shows colors
+ */
+async function savePalette() {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'savePalette', palette: paletteDraft });
+    if (!response?.success) throw new Error(response?.error || 'Save failed');
+    
+    applyPalette(response.palette);
+    closePaletteModal();
+    showToast('Colors saved 🎨', 'success');
+  } catch (error) {
+    console.error('Error saving colors:', error);
+    showToast(error.message || 'Failed to save colors', 'error');
+  }
+}
+
+async function resetPalette() {
+  if (!confirm('Go back to the default colors? Names and meanings you gave them are lost; notes keep their colors.')) return;
+  
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'resetPalette' });
+    if (!response?.success) throw new Error(response?.error || 'Reset failed');
+    
+    applyPalette(response.palette);
+    paletteDraft = palette.map(entry => ({ ...entry }));
+    renderPaletteEditor();
+    showToast('Colors reset', 'success');
+  } catch (error) {
+    console.error('Error resetting colors:', error);
+    showToast('Failed to reset colors', 'error');
+  }
+}
+
+/**
+ * Switches to a new palette and redraws what shows it
+ * @param {Array<Object>} newPalette - The palette
+ */
+function applyPalette(newPalette) {
+  palette = newPalette;
+  renderBulkColorPanel();
+  updateColorFilter();
+  applyFilters();
+}
+
+/**
+ * Gets the host name of the page the popup was opened over
+ * @returns {Promise<string>} '' for pages that aren't websites
+ */
+async function getActiveSite() {
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+    const url = new URL(tab?.url || '');
+    return /^https?:$/.test(url.protocol) ? url.hostname : '';
+  } catch (error) {
+    return '';
+  }
+}
+
+/**
+ * Shows whether the selection toolbar is on, and on the current site
+ */
+async function loadToolbarSettings() {
+  const [settings, site] = await Promise.all([
+    chrome.storage.local.get([TOOLBAR_ENABLED_KEY, TOOLBAR_DISABLED_SITES_KEY]),
+    getActiveSite()
+  ]);
+  const enabled = settings[TOOLBAR_ENABLED_KEY] !== false;
+  const disabledSites = settings[TOOLBAR_DISABLED_SITES_KEY] || [];
+  
+  document.getElementById('toolbar-enabled').checked = enabled;
+  document.getElementById('toolbar-site').checked = !disabledSites.includes(site);
+  document.getElementById('toolbar-site-name').textContent = site;
+  document.getElementById('toolbar-site-setting').style.display = enabled && site ? '' : 'none';
+}
+
+/**
+ * Turns the selection toolbar on or off for the current site
+ * @param {boolean} show - Whether to show it there
+ */
+async function setToolbarOnSite(show) {
+  const site = await getActiveSite();
+  if (!site) return;
+  
+  const { [TOOLBAR_DISABLED_SITES_KEY]: sites = [] } = await chrome.storage.local.get(TOOLBAR_DISABLED_SITES_KEY);
+  const others = sites.filter(existing => existing !== site);
+  await chrome.storage.local.set({ [TOOLBAR_DISABLED_SITES_KEY]: show ? others : [...others, site] });
+  showToast(show ? `Selection toolbar on for ${site}` : `Selection toolbar off for ${site}`, 'success');
+}
+
+// ============================================
+// INLINE EDITING
+// ============================================
+
+/**
+ * Turns a note card into an edit form. Manual notes can also change their
+ * text and source; web notes keep the text they were highlighted with.
+ * @param {HTMLElement} card - The card to edit in place
+ * @param {Object} note - The note shown on the card
+ */
+function openNoteEditor(card, note) {
+  if (card.classList.contains('editing')) return;
+  card.classList.add('editing');
+  
+  const editor = document.createElement('form');
+  editor.className = 'note-editor';
+  editor.innerHTML = `
+    ${note.isManual ? `
+      <label>Note <textarea class="edit-text" rows="4"></textarea></label>
+      <label>Source <input type="text" class="edit-source" placeholder="Book, article, lecture..."></label>
+    ` : `
+      <div class="note-text">${escapeHtml(truncate(note.text, 100))}</div>
+    `}
+    <label>Comment <textarea class="edit-comment" rows="3" placeholder="Add your thoughts..."></textarea></label>
+    <label>Tags <input type="text" class="edit-tags" placeholder="Comma separated"></label>
+    ${notebooks.length > 0 ? '<label>Notebook <select class="tag-select edit-notebook"></select></label>' : ''}
+    <div class="edit-colors" role="radiogroup" aria-label="Highlight color">
+      ${editorPalette(note).map(entry => `
+        <button type="button" class="color-swatch" role="radio" data-color="${entry.color}"
+          title="${escapeHtml(paletteLabel(entry))}" aria-label="${escapeHtml(paletteLabel(entry))}"
+          style="background: ${entry.color};"></button>
+      `).join('')}
+    </div>
+    <div class="actions">
+      <button type="button" class="btn-cancel-edit">Cancel</button>
+      <button type="submit" class="btn-save-edit">Save</button>
+    </div>
+  `;
+  
+  // Values are set as properties so quotes and markup stay plain text
+  if (note.isManual) {
+    editor.querySelector('.edit-text').value = note.text;
+    editor.querySelector('.edit-source').value = note.source || '';
+  }
+  editor.querySelector('.edit-comment').value = note.comment || '';
+  editor.querySelector('.edit-tags').value = (note.tags || []).join(', ');
+  const notebookSelect = editor.querySelector('.edit-notebook');
+  if (notebookSelect) fillNotebookSelect(notebookSelect, 'No notebook', note.notebookId);
+  
+  let selectedColor = noteColor(note);
+  const swatches = editor.querySelectorAll('.color-swatch');
+  const selectColor = (color) => {
+    selectedColor = color;
+    swatches.forEach(swatch => {
+      const selected = sameColor(swatch.dataset.color, color);
+      swatch.classList.toggle('selected', selected);
+      swatch.setAttribute('aria-checked', String(selected));
+    });
+  };
+  swatches.forEach(swatch => {
+    swatch.addEventListener('click', () => selectColor(swatch.dataset.color));
+  });
+  selectColor(selectedColor);
+  
+  const cancel = () => card.replaceWith(createNoteCard(note, 0));
+  
+  editor.querySelector('.btn-cancel-edit').addEventListener('click', cancel);
+  editor.addEventListener('submit', (e) => {
+    e.preventDefault();
+    saveNoteEdits(note, editor, selectedColor);
+  });
+  editor.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+      // Don't let the popup-wide Escape handler close anything else
+      e.stopPropagation();
+      cancel();
+    } else if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+      e.preventDefault();
+      saveNoteEdits(note, editor, selectedColor);
+    }
+  });
+  
+  card.replaceChildren(editor);
+  (editor.querySelector('.edit-text') || editor.querySelector('.edit-comment')).focus();
+}
+
+/**
+ * Saves the changes made in a card's edit form
+ * @param {Object} note - The note being edited
+ * @param {HTMLFormElement} editor - The edit form
+ * @param {string} highlightColor - The chosen highlight color
+ */
+async function saveNoteEdits(note, editor, highlightColor) {
+  const changes = {
+    id: note.id,
+    comment: editor.querySelector('.edit-comment').value.trim(),
+    tags: [...new Set(editor.querySelector('.edit-tags').value
+      .split(',')
+      .map(tag => tag.trim())
+      .filter(tag => tag.length > 0))],
+    highlightColor
+  };
+  
+  const notebookSelect = editor.querySelector('.edit-notebook');
+  if (notebookSelect) {
+    changes.notebookId = notebookSelect.value || null;
+  }
+  
+  if (note.isManual) {
+    const text = editor.querySelector('.edit-text').value.trim();
+    if (!text) {
+      showToast('Please enter note content', 'error');
+      editor.querySelector('.edit-text').focus();
+      return;
+    }
+    
+    const source = editor.querySelector('.edit-source').value.trim();
+    changes.text = text;
+    changes.source = source;
+    changes.title = source || 'Manual Note';
+  }
+  
+  const saveBtn = editor.querySelector('.btn-save-edit');
+  saveBtn.disabled = true;
+  
+  try {
+    const response = await chrome.runtime.sendMessage({
+      action: 'updateNote',
+      noteData: changes
+    });
+    if (!response?.success) throw new Error(response?.error || 'Update failed');
+    
+    showToast('Note updated ✨', 'success');
+    await loadNotes();
+    await loadTags();
+  } catch (error) {
+    console.error('Error updating note:', error);
+    showToast('Failed to update note', 'error');
+    saveBtn.disabled = false;
+  }
+}
+
+// ============================================
+// REVISION HISTORY
+// ============================================
+
+// How each recorded field is named in the history view
+const HISTORY_FIELD_LABELS = {
+  text: 'Text',
+  comment: 'Comment',
+  tags: 'Tags',
+  highlightColor: 'Color',
+  title: 'Title',
+  source: 'Source',
+  sourceUrl: 'Source link',
+  url: 'Page',
+  isManual: 'Type',
+  selectors: 'Position on page',
+  notebookId: 'Notebook'
+};
+
+async function openHistoryModal(note) {
+  const modal = document.getElementById('history-modal');
+  const list = document.getElementById('history-list');
+  if (!modal || !list) return;
+  
+  modal.style.display = 'flex';
+  list.innerHTML = '<div class="history-empty">Loading…</div>';
+  
+  try {
+    const response = await chrome.runtime.sendMessage({
+      action: 'getNoteHistory',
+      noteId: note.id
+    });
+    if (!response?.success) throw new Error(response?.error || 'Could not load history');
+    
+    renderHistory(note.id, response.history);
+  } catch (error) {
+    console.error('Error loading note history:', error);
+    list.innerHTML = `<div class="history-empty">${escapeHtml(error.message)}</div>`;
+  }
+}
+
+function closeHistoryModal() {
+  const modal = document.getElementById('history-modal');
+  if (modal) modal.style.display = 'none';
+}
+
+/**
+ * Lists a note's revisions, newest first, each with its changes and a
+ * button that restores the note to how it was before that edit
+ * @param {string} noteId - The note ID
+ * @param {Array<Object>} history - Entries from the getNoteHistory message
+ */
+function renderHistory(noteId, history) {
+  const list = document.getElementById('history-list');
+  if (!list) return;
+  
+  if (history.length === 0) {
+    list.innerHTML = '<div class="history-empty">This note hasn\'t been edited yet.</div>';
+    return;
+  }
+  
+  list.innerHTML = history.map(entry => `
+    <div class="history-entry">
+      <div class="history-entry-header">
+        <span class="history-time" title="${new Date(entry.timestamp).toLocaleString()}">
+          Edited ${getRelativeTime(entry.timestamp)}
+        </span>
+        <button class="btn-restore" data-revision-id="${entry.id}" title="Bring back the note as it was before this edit">
+          ↩ Restore
+        </button>
+      </div>
+      <ul class="history-changes">
+        ${entry.changes.map(renderHistoryChange).join('')}
+      </ul>
+    </div>
+  `).join('');
+  
+  list.querySelectorAll('.btn-restore').forEach(button => {
+    button.addEventListener('click', () => restoreRevision(noteId, Number(button.dataset.revisionId)));
+  });
+}
+
+/**
+ * Renders one changed field of a revision
+ * @param {Object} change - {field, from, to, diff}
+ * @returns {string} HTML
+ */
+function renderHistoryChange(change) {
+  const label = HISTORY_FIELD_LABELS[change.field] || change.field;
+  let detail;
+  
+  if (change.diff) {
+    detail = change.diff.map(run => {
+      if (run.type === 'added') return `<ins>${escapeHtml(run.text)}</ins>`;
+      if (run.type === 'removed') return `<del>${escapeHtml(run.text)}</del>`;
+      return escapeHtml(run.text);
+    }).join('') || '<em>empty</em>';
+  } else if (change.field === 'tags') {
+    const from = change.from || [];
+    const to = change.to || [];
+    detail = [
+      ...to.filter(tag => !from.includes(tag)).map(tag => `<ins class="tag">${escapeHtml(tag)}</ins>`),
+      ...from.filter(tag => !to.includes(tag)).map(tag => `<del class="tag">${escapeHtml(tag)}</del>`)
+    ].join(' ');
+  } else if (change.field === 'highlightColor') {
+    const swatch = color => `<span class="history-swatch" style="background: ${escapeHtml(color || FALLBACK_HIGHLIGHT_COLOR)};"></span>`;
+    detail = `${swatch(change.from)} → ${swatch(change.to)}`;
+  } else if (change.field === 'isManual') {
+    detail = change.to ? 'Web note → Manual note' : 'Manual note → Web note';
+  } else if (change.field === 'notebookId') {
+    const name = id => id ? notebooks.find(notebook => notebook.id === id)?.name || 'Deleted notebook' : 'No notebook';
+    detail = `${escapeHtml(name(change.from))} → ${escapeHtml(name(change.to))}`;
+  } else {
+    detail = 'Updated';
+  }
+  
+  return `<li><span class="history-field">${escapeHtml(label)}</span> <span class="history-detail">${detail}</span></li>`;
+}
+
+async function restoreRevision(noteId, revisionId) {
+  try {
+    const response = await chrome.runtime.sendMessage({
+      action: 'restoreRevision',
+      noteId,
+      revisionId
+    });
+    if (!response?.success) throw new Error(response?.error || 'Restore failed');
+    
+    showToast('Earlier version restored ↩', 'success');
+    await loadNotes();
+    await loadTags();
+    await openHistoryModal(response.note);
+  } catch (error) {
+    console.error('Error restoring revision:', error);
+    showToast('Failed to restore this version', 'error');
+  }
+}
+
+// ============================================
+// MODAL FUNCTIONS
+// ============================================
+
+function openCreateNoteModal() {
+  const modal = document.getElementById('create-note-modal');
+  if (modal) {
+    modal.style.display = 'flex';
+    document.getElementById('note-text')?.focus();
+    
+    // Reset form
+    document.getElementById('note-text').value = '';
+    document.getElementById('note-source').value = '';
+    document.getElementById('note-tags').value = '';
+    document.getElementById('note-comment').value = '';
+    document.querySelectorAll('.quick-tag').forEach(t => t.classList.remove('selected'));
+  }
+}
+
+function closeCreateNoteModal() {
+  const modal = document.getElementById('create-note-modal');
+  if (modal) modal.style.display = 'none';
+}
+
+function openInfoModal() {
+  const modal = document.getElementById('info-modal');
+  if (modal) {
+    modal.style.display = 'flex';
+    updateStats();
+  }
+}
+
+function updateStats() {
+  const totalNotes = allNotes.length;
+  const webNotes = allNotes.filter(note => !note.isManual).length;
+  const manualNotes = allNotes.filter(note => note.isManual).length;
+  
+  const totalEl = document.getElementById('stat-total-notes');
+  const webEl = document.getElementById('stat-web-notes');
+  const manualEl = document.getElementById('stat-manual-notes');
+  
+  if (totalEl) totalEl.textContent = totalNotes;
+  if (webEl) webEl.textContent = webNotes;
+  if (manualEl) manualEl.textContent = manualNotes;
+}
+
+function closeInfoModal() {
+  const modal = document.getElementById('info-modal');
+  if (modal) modal.style.display = 'none';
+}
+
+function openImportModal() {
+  const modal = document.getElementById('import-modal');
+  if (modal) {
+    modal.style.display = 'flex';
+    
+    // Reset form
+    document.getElementById('import-file').value = '';
+    document.getElementById('import-report').style.display = 'none';
+    document.getElementById('import-conflict-group').style.display = '';
+  }
+}
+
+function closeImportModal() {
+  const modal = document.getElementById('import-modal');
+  if (modal) modal.style.display = 'none';
+}
+
+async function saveManualNote() {
+  const text = document.getElementById('note-text')?.value.trim();
+  const source = document.getElementById('note-source')?.value.trim();
+  const tagsInput = document.getElementById('note-tags')?.value.trim();
+  const comment = document.getElementById('note-comment')?.value.trim();
+  
+  if (!text) {
+    showToast('Please enter note content', 'error');
+    document.getElementById('note-text')?.focus();
+    return;
+  }
+  
+  const tags = tagsInput 
+    ? tagsInput.split(',').map(t => t.trim()).filter(t => t.length > 0)
+    : [];
+  
+  const noteData = {
+    text: text,
+    url: '',
+    title: source || 'Manual Note',
+    source: source,
+    comment: comment,
+    tags: tags,
+    isManual: true,
+    // New notes go into the notebook being viewed
+    notebookId: currentNotebookId || undefined,
+    scrollY: 0,
     elementPath: '',
     startOffset: 0,
     endOffset: text.length,
@@ -484,6 +2240,35 @@ async function jumpToNote(note) {
   }
 }
 
+async function reattachNote(note) {
+  try {
+    await chrome.runtime.sendMessage({
+      action: 'startReattach',
+      noteData: note
+    });
+    window.close();
+  } catch (error) {
+    console.error('Error starting re-attach:', error);
+    showToast('Failed to open the page', 'error');
+  }
+}
+
+async function convertToManualNote(noteId) {
+  try {
+    const response = await chrome.runtime.sendMessage({
+      action: 'convertToManualNote',
+      noteId: noteId
+    });
+    if (!response?.success) throw new Error(response?.error || 'Convert failed');
+    
+    showToast('Converted to a manual note', 'success');
+    await loadNotes();
+  } catch (error) {
+    console.error('Error converting note:', error);
+    showToast('Failed to convert note', 'error');
+  }
+}
+
 async function copyNoteText(note) {
   try {
     await navigator.clipboard.writeText(note.text);
@@ -495,15 +2280,17 @@ async function copyNoteText(note) {
 }
 
 async function deleteNote(noteId) {
-  if (!confirm('Delete this note permanently?')) return;
-  
   try {
-    await chrome.runtime.sendMessage({
+    const response = await chrome.runtime.sendMessage({
       action: 'deleteNote',
       noteId: noteId
     });
+    if (!response?.success) throw new Error(response?.error || 'Delete failed');
     
-    showToast('Note deleted', 'success');
+    showToast('Note moved to trash', 'info', {
+      label: 'Undo',
+      onClick: () => restoreNotes([noteId])
+    });
     await loadNotes();
     await loadTags();
   } catch (error) {
@@ -512,6 +2299,320 @@ async function deleteNote(noteId) {
   }
 }
 
+// ============================================
+// TRASH
+// ============================================
+
+async function openTrashModal() {
+  const modal = document.getElementById('trash-modal');
+  if (!modal) return;
+  
+  modal.style.display = 'flex';
+  await loadTrash();
+}
+
+function closeTrashModal() {
+  const modal = document.getElementById('trash-modal');
+  if (modal) modal.style.display = 'none';
+}
+
+async function loadTrash() {
+  const list = document.getElementById('trash-list');
+  if (!list) return;
+  
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'getTrash' });
+    if (!response?.success) throw new Error(response?.error || 'Could not load the trash');
+    
+    document.getElementById('trash-retention').value = String(response.retentionDays);
+    renderTrash(response.notes);
+  } catch (error) {
+    console.error('Error loading trash:', error);
+    list.innerHTML = `<div class="trash-empty">${escapeHtml(error.message)}</div>`;
+  }
+}
+
+/**
+ * Lists the notes in the trash, most recently deleted first, each with
+ * buttons to restore it or delete it for good
+ * @param {Array<Object>} notes - Trashed notes
+ */
+function renderTrash(notes) {
+  const list = document.getElementById('trash-list');
+  const emptyBtn = document.getElementById('empty-trash');
+  if (emptyBtn) emptyBtn.disabled = notes.length === 0;
+  
+  if (notes.length === 0) {
+    list.innerHTML = '<div class="trash-empty">The trash is empty.</div>';
+    return;
+  }
+  
+  list.innerHTML = notes.map(note => `
+    <div class="trash-item" data-id="${note.id}">
+      <div class="trash-item-text">${escapeHtml(truncate(note.text, 140))}</div>
+      <div class="trash-item-meta">
+        <span>${escapeHtml(note.isManual ? (note.source || 'Manual note') : extractDomain(note.url))}</span>
+        <span title="${new Date(note.deletedAt).toLocaleString()}">Deleted ${getRelativeTime(note.deletedAt)}</span>
+      </div>
+      <div class="trash-item-actions">
+        <button class="btn-restore" data-action="restore">↩ Restore</button>
+        <button class="btn-purge" data-action="purge">Delete forever</button>
+      </div>
+    </div>
+  `).join('');
+  
+  list.querySelectorAll('.trash-item').forEach(item => {
+    const noteId = item.dataset.id;
+    item.querySelector('[data-action="restore"]').addEventListener('click', () => restoreNotes([noteId]));
+    item.querySelector('[data-action="purge"]').addEventListener('click', () => purgeNotes([noteId]));
+  });
+}
+
+async function restoreNotes(noteIds) {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'restoreNotes', noteIds });
+    if (!response?.success) throw new Error(response?.error || 'Restore failed');
+    
+    showToast(noteIds.length === 1 ? 'Note restored ↩' : `${noteIds.length} notes restored ↩`, 'success');
+    await loadNotes();
+    await loadTags();
+    if (document.getElementById('trash-modal')?.style.display === 'flex') {
+      await loadTrash();
+    }
+  } catch (error) {
+    console.error('Error restoring notes:', error);
+    showToast('Failed to restore', 'error');
+  }
+}
+
+async function purgeNotes(noteIds) {
+  if (!confirm('Delete permanently? This can\'t be undone.')) return;
+  
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'purgeNotes', noteIds });
+    if (!response?.success) throw new Error(response?.error || 'Delete failed');
+    
+    showToast('Deleted permanently', 'success');
+    await loadTrash();
+  } catch (error) {
+    console.error('Error purging notes:', error);
+    showToast('Failed to delete', 'error');
+  }
+}
+
+async function emptyTrash() {
+  if (!confirm('Delete every note in the trash permanently? This can\'t be undone.')) return;
+  
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'emptyTrash' });
+    if (!response?.success) throw new Error(response?.error || 'Could not empty the trash');
+    
+    showToast(`Trash emptied (${response.count} deleted)`, 'success');
+    await loadTrash();
+  } catch (error) {
+    console.error('Error emptying trash:', error);
+    showToast('Failed to empty the trash', 'error');
+  }
+}
+
+async function setTrashRetention(days) {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'setTrashRetention', days });
+    if (!response?.success) throw new Error(response?.error || 'Could not save');
+    
+    showToast(days === 0 ? 'Trashed notes are kept until you empty the trash' : `Trashed notes are deleted after ${days} days`, 'success');
+    await loadTrash();
+  } catch (error) {
+    console.error('Error saving trash retention:', error);
+    showToast('Failed to save setting', 'error');
+  }
+}
+
+// ============================================
+// EXPORT & IMPORT
+// ============================================
+
+async function exportData() {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'exportNotes' });
+    if (!response?.success) throw new Error(response?.error || 'Export failed');
+    
+    const date = new Date().toISOString().slice(0, 10);
+    downloadFile(`crazynote-export-${date}.json`, response.data, 'application/json');
+    showToast('Notes exported 📦', 'success');
+  } catch (error) {
+    console.error('Error exporting notes:', error);
+    showToast('Failed to export notes', 'error');
+  }
+}
+
+async function importData() {
+  const file = document.getElementById('import-file')?.files[0];
+  const conflict = document.querySelector('input[name="import-conflict"]:checked')?.value || 'newer';
+  
+  if (!file) {
+    showToast('Choose a file first', 'error');
+    return;
+  }
+  
+  const importBtn = document.getElementById('start-import');
+  importBtn.disabled = true;
+  
+  try {
+    // Anything but a CrazyNote export is read as e-reader highlights
+    const isExport = /\.json(ld)?$/i.test(file.name);
+    const response = await chrome.runtime.sendMessage(isExport ? {
+      action: 'importNotes',
+      data: await file.text(),
+      conflict: conflict
+    } : {
+      action: 'importClippings',
+      data: await file.text(),
+      fileName: file.name
+    });
+    if (!response?.success) throw new Error(response?.error || 'Import failed');
+    
+    renderImportReport(response.report);
+    await loadNotes();
+    await loadTags();
+  } catch (error) {
+    console.error('Error importing notes:', error);
+    renderImportReport(null, error.message);
+  } finally {
+    importBtn.disabled = false;
+  }
+}
+
+function toggleExportMenu() {
+  const menu = document.getElementById('export-menu');
+  if (!menu) return;
+  
+  if (menu.style.display !== 'none') {
+    closeExportMenu();
+    return;
+  }
+  
+  const hint = document.getElementById('export-menu-hint');
+  if (hint) {
+    const count = visibleNotes.length;
+    hint.textContent = `Export the ${count} note${count === 1 ? '' : 's'} shown`;
+  }
+  menu.style.display = 'block';
+}
+
+function closeExportMenu() {
+  const menu = document.getElementById('export-menu');
+  if (menu) menu.style.display = 'none';
+}
+
+/**
+ * Describes the active filters, e.g. 'notebook: Thesis · This Week · tag: research'
+ * @returns {string} Empty when nothing is filtered
+ */
+function describeFilters() {
+  const parts = [];
+  
+  const notebook = notebooks.find(candidate => candidate.id === currentNotebookId);
+  if (notebook) parts.push(`notebook: ${notebook.name}`);
+  if (currentFilter !== 'all') {
+    const pill = document.querySelector(`.filter-pill[data-filter="${currentFilter}"]`);
+    parts.push(pill ? pill.textContent.trim() : currentFilter);
+  }
+  if (currentTagFilter) parts.push(`tag: ${currentTagFilter}`);
+  if (currentLanguageFilter) parts.push(`language: ${getLanguageName(currentLanguageFilter)}`);
+  if (currentColorFilter) parts.push(`color: ${colorLabel(currentColorFilter)}`);
+  if (currentSearchQuery) parts.push(`search: "${currentSearchQuery}"`);
+  
+  return parts.join(' · ');
+}
+
+/**
+ * Exports notes: those currently shown, honouring every popup filter, or
+ * a selection of them
+ * @param {Array<Object>} notes - The notes, in display order
+ * @param {string} format - 'markdown' (one document), 'vault' (a zip of
+ *   one Markdown file per source) or 'annotations' (W3C Web Annotation JSON-LD)
+ * @param {string} [scope] - Description of what's exported, for the Markdown header
+ */
+async function exportNotes(notes, format, scope) {
+  if (notes.length === 0) {
+    showToast('No notes to export', 'error');
+    return;
+  }
+  
+  const date = new Date().toISOString().slice(0, 10);
+  
+  try {
+    if (format === 'markdown') {
+      const response = await chrome.runtime.sendMessage({
+        action: 'exportMarkdown',
+        noteIds: notes.map(note => note.id),
+        scope
+      });
+      if (!response?.success) throw new Error(response?.error || 'Export failed');
+      
+      downloadFile(`crazynote-notes-${date}.md`, response.data, 'text/markdown');
+    } else if (format === 'vault') {
+      // Notes exported from a notebook get their own folder in the vault
+      const response = await chrome.runtime.sendMessage({
+        action: 'exportVault',
+        noteIds: notes.map(note => note.id),
+        folder: notebooks.find(notebook => notebook.id === currentNotebookId)?.name
+      });
+      if (!response?.success) throw new Error(response?.error || 'Export failed');
+      
+      const bytes = Uint8Array.from(atob(response.data), char => char.charCodeAt(0));
+      downloadFile(`crazynote-vault-${date}.zip`, bytes, 'application/zip');
+    } else if (format === 'annotations') {
+      const response = await chrome.runtime.sendMessage({
+        action: 'exportAnnotations',
+        noteIds: notes.map(note => note.id)
+      });
+      if (!response?.success) throw new Error(response?.error || 'Export failed');
+      
+      downloadFile(`crazynote-annotations-${date}.jsonld`, response.data, 'application/ld+json');
+    }
+    
+    showToast(`Exported ${notes.length} note${notes.length === 1 ? '' : 's'} 📦`, 'success');
+  } catch (error) {
+    console.error('Error exporting notes:', error);
+    showToast('Failed to export notes', 'error');
+  }
+}
+
+/**
+ * Shows the outcome of an import inside the import modal
+ * @param {Object|null} report - {imported, updated, skipped, failed, errors}
+ * @param {string} [errorMessage] - Why the whole file was rejected
+ */
+function renderImportReport(report, errorMessage) {
+  const reportEl = document.getElementById('import-report');
+  if (!reportEl) return;
+  
+  reportEl.style.display = 'block';
+  
+  if (!report) {
+    reportEl.innerHTML = `<strong>Nothing imported.</strong> ${escapeHtml(errorMessage)}`;
+    return;
+  }
+  
+  // Only the first few problems are listed
+  const errorItems = report.errors.slice(0, 5).map(({ index, reason }) =>
+    `<li>Entry ${index + 1}: ${escapeHtml(reason)}</li>`
+  ).join('');
+  const moreErrors = report.errors.length > 5
+    ? `<li>…and ${report.errors.length - 5} more</li>`
+    : '';
+  
+  reportEl.innerHTML = `
+    <strong>${report.imported}</strong> imported ·
+    <strong>${report.updated}</strong> updated ·
+    <strong>${report.skipped}</strong> skipped ·
+    <strong>${report.failed}</strong> failed
+    ${errorItems ? `<ul>${errorItems}${moreErrors}</ul>` : ''}
+  `;
+}
+
 function openInNewWindow() {
   const width = 440;
   const height = 720;
@@ -547,6 +2648,17 @@ function updateNoteCount() {
   }
 }
 
+function downloadFile(filename, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
 function extractDomain(url) {
   if (!url) return 'Unknown';
   try {
@@ -579,6 +2691,19 @@ function getRelativeTime(timestamp) {
   });
 }
 
+/**
+ * Returns the English name of a language code, e.g. "ta" -> "Tamil"
+ * @param {string} code - ISO 639-1 code
+ * @returns {string}
+ */
+function getLanguageName(code) {
+  try {
+    return new Intl.DisplayNames(['en'], { type: 'language' }).of(code) || code;
+  } catch {
+    return code;
+  }
+}
+
 function escapeHtml(text) {
   if (!text) return '';
   const div = document.createElement('div');
@@ -586,6 +2711,24 @@ function escapeHtml(text) {
   return div.innerHTML;
 }
 
+/**
+ * Renders a search snippet with its matched words marked
+ * @param {{text: string, ranges: Array<Array<number>>}} snippet
+ * @returns {string} HTML
+ */
+function highlightSnippet(snippet) {
+  let html = '';
+  let position = 0;
+  
+  snippet.ranges.forEach(([start, end]) => {
+    html += escapeHtml(snippet.text.slice(position, start));
+    html += `<mark class="search-hit">${escapeHtml(snippet.text.slice(start, end))}</mark>`;
+    position = end;
+  });
+  
+  return html + escapeHtml(snippet.text.slice(position));
+}
+
 function truncate(text, length) {
   if (!text) return '';
   return text.length > length ? text.substring(0, length) + '...' : text;
@@ -603,7 +2746,14 @@ function debounce(func, wait) {
   };
 }
 
-function showToast(message, type = 'info') {
+/**
+ * Shows a short message at the bottom of the popup
+ * @param {string} message - The message
+ * @param {string} [type] - 'info', 'success' or 'error'
+ * @param {{label: string, onClick: function}} [action] - A button shown in
+ *   the toast, e.g. Undo; the toast then stays up longer
+ */
+function showToast(message, type = 'info', action = null) {
   const existing = document.querySelector('.popup-toast');
   if (existing) existing.remove();
   
@@ -612,14 +2762,27 @@ function showToast(message, type = 'info') {
   toast.textContent = message;
   document.body.appendChild(toast);
   
+  const hide = () => {
+    toast.classList.remove('visible');
+    setTimeout(() => toast.remove(), 300);
+  };
+  
+  if (action) {
+    const button = document.createElement('button');
+    button.className = 'popup-toast-action';
+    button.textContent = action.label;
+    button.addEventListener('click', () => {
+      hide();
+      action.onClick();
+    });
+    toast.appendChild(button);
+  }
+  
   requestAnimationFrame(() => {
     toast.classList.add('visible');
   });
   
-  setTimeout(() => {
-    toast.classList.remove('visible');
-    setTimeout(() => toast.remove(), 300);
-  }, 2500);
+  setTimeout(hide, action ? 6000 : 2500);
 }
 
 // ============================================
@@ -0,0 +1,122 @@
+import 'fake-indexeddb/auto';
+import { test, describe, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateNote, importNotes, exportNotes } from '../utils/backup.js';
+import { getNoteById, getAllNotes } from '../utils/database.js';
+import { isValidUUID } from '../utils/uuid.js';
+
+const ID_A = '0b6c3f0e-6a55-4d1e-9a3e-6f3b8c9d0a11';
+const ID_B = '1c7d4a1f-7b66-4e2f-8b4f-7a4c9d0e1b22';
+
+before(() => {
+  // Just enough of chrome.storage for the palette import
+  const stored = {};
+  globalThis.chrome = {
+    storage: {
+      local: {
+        get: async (key) => (key in stored ? { [key]: stored[key] } : {}),
+        set: async (items) => Object.assign(stored, items),
+        remove: async (key) => { delete stored[key]; }
+      }
+    }
+  };
+});
+
+describe('validateNote', () => {
+  test('rejects entries that are not usable notes', () => {
+    assert.equal(validateNote(null).error, 'not a note object');
+    assert.equal(validateNote([]).error, 'not a note object');
+    assert.equal(validateNote({ text: '   ' }).error, 'missing note text');
+    assert.equal(validateNote({ text: 'x', tags: 'a,b' }).error, 'tags must be a list');
+    assert.equal(validateNote({ text: 'x', timestamp: 'someday' }).error, 'invalid timestamp');
+    assert.equal(validateNote({ text: 'x', updatedAt: 'later' }).error, 'invalid updatedAt');
+  });
+  
+  test('keeps a UUID id and replaces anything else', () => {
+    assert.equal(validateNote({ id: ID_A, text: 'x' }).note.id, ID_A);
+    
+    for (const id of [undefined, '', 'note-1', 'a"]b', 42]) {
+      const { note } = validateNote({ id, text: 'x' });
+      assert.ok(isValidUUID(note.id), `${id} should be replaced`);
+    }
+  });
+  
+  test('normalises fields and keeps unknown ones', () => {
+    const { note } = validateNote({
+      text: 'Some text',
+      tags: [' Research ', 'research', '#Project / Sub'],
+      timestamp: '2024-03-04T05:06:07Z',
+      highlightColor: 'red',
+      scrollY: 'far',
+      title: 7,
+      futureField: { kept: true }
+    });
+    
+    assert.deepEqual(note.tags, ['research', 'project/sub']);
+    assert.equal(note.timestamp, '2024-03-04T05:06:07.000Z');
+    assert.equal(note.highlightColor, '#FFEB3B');
+    assert.equal('scrollY' in note, false);
+    assert.equal(note.title, '');
+    assert.equal(note.isManual, true);
+    assert.deepEqual(note.futureField, { kept: true });
+  });
+  
+  test('treats a note with a url as a web note and detects its language', () => {
+    const { note } = validateNote({ text: 'これは日本語のメモです', url: 'https://example.jp/' });
+    assert.equal(note.isManual, false);
+    assert.equal(note.language, 'ja');
+  });
+  
+  test('drops an empty, null or non-string notebook id', () => {
+    assert.equal('notebookId' in validateNote({ text: 'x', notebookId: '' }).note, false);
+    assert.equal('notebookId' in validateNote({ text: 'x', notebookId: 3 }).note, false);
+    assert.equal('notebookId' in validateNote({ text: 'x', notebookId: null }).note, false);
+  });
+});
+
+describe('importNotes', () => {
+  const file = (notes) => JSON.stringify({ format: 'crazynote-export', version: 1, notes });
+  
+  test('refuses files that are not exports', async () => {
+    await assert.rejects(importNotes('{'), /not valid JSON/);
+    await assert.rejects(importNotes('{"format":"other"}'), /not a CrazyNote export/);
+    await assert.rejects(importNotes(JSON.stringify({ format: 'crazynote-export', version: 99, notes: [] })), /newer version/);
+  });
+  
+  test('reports imported, failed and duplicate entries', async () => {
+    const { report } = await importNotes(file([
+      { id: ID_A, text: 'first', timestamp: '2024-01-01T00:00:00Z' },
+      { id: ID_A, text: 'again', timestamp: '2024-01-01T00:00:00Z' },
+      { text: '' }
+    ]));
+    
+    assert.equal(report.imported, 1);
+    assert.equal(report.failed, 2);
+    assert.deepEqual(report.errors.map(error => error.reason), ['duplicate id in file', 'missing note text']);
+  });
+  
+  test('resolves id conflicts by strategy', async () => {
+    const newer = { id: ID_A, text: 'first, edited', timestamp: '2024-01-01T00:00:00Z', updatedAt: '2024-02-01T00:00:00Z' };
+    
+    assert.equal((await importNotes(file([newer]), 'skip')).report.skipped, 1);
+    assert.equal((await getNoteById(ID_A)).text, 'first');
+    
+    assert.equal((await importNotes(file([newer]), 'newer')).report.updated, 1);
+    assert.equal((await getNoteById(ID_A)).text, 'first, edited');
+    
+    const older = { ...newer, text: 'stale', updatedAt: '2023-01-01T00:00:00Z' };
+    assert.equal((await importNotes(file([older]), 'newer')).report.skipped, 1);
+    
+    assert.equal((await importNotes(file([older]), 'both')).report.imported, 1);
+    assert.equal((await importNotes(file([newer]), 'both')).report.skipped, 1);
+  });
+  
+  test('round-trips through an export', async () => {
+    await importNotes(file([{ id: ID_B, text: 'exported', tags: ['a'] }]));
+    const exported = JSON.parse(await exportNotes());
+    
+    assert.equal(exported.format, 'crazynote-export');
+    assert.equal(exported.noteCount, (await getAllNotes()).length);
+    assert.deepEqual(exported.notes.find(note => note.id === ID_B).tags, ['a']);
+  });
+});
@@ -0,0 +1,154 @@
+import 'fake-indexeddb/auto';
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseKindleClippings, parseKoboAnnotations, parseCsvClippings, detectClippingFormat, importClippings
+} from '../utils/clippings.js';
+
+const SEPARATOR = '==========';
+
+const kindleEntry = (meta, body, title = 'Dune (Frank Herbert)') => `${title}\r\n${meta}\r\n\r\n${body}\r\n${SEPARATOR}\r\n`;
+
+const KINDLE = '\uFEFF' + [
+  kindleEntry('- Your Highlight on page 12 | Location 180-182 | Added on Monday, March 4, 2019 10:14:41 PM', 'I must not fear.'),
+  kindleEntry('- Your Highlight on page 12 | Location 180-183 | Added on Monday, March 4, 2019 10:15:02 PM', 'I must not fear. Fear is the mind-killer.'),
+  kindleEntry('- Your Note on page 12 | Location 183 | Added on Monday, March 4, 2019 10:15:30 PM', 'Litany against fear'),
+  kindleEntry('- Your Bookmark on page 40 | Location 610 | Added on Tuesday, March 5, 2019 8:00:00 AM', ''),
+  kindleEntry('- Your Note on Location 900 | Added on Tuesday, March 5, 2019 9:00:00 AM', 'A stray thought')
+].join('');
+
+const KOBO = `<?xml version="1.0" encoding="UTF-8"?>
+<annotationSet xmlns="http://ns.adobe.com/adobedigitaleditions/2009/annotations" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <publication>
+    <dc:title>Pride &amp; Prejudice</dc:title>
+    <dc:creator>Jane Austen</dc:creator>
+  </publication>
+  <annotation>
+    <dc:date>2023-02-01T10:00:00Z</dc:date>
+    <target>
+      <fragment start="x" end="y" progress="0.25">
+        <text>It is a truth universally acknowledged&#8230;</text>
+      </fragment>
+    </target>
+    <content><text><![CDATA[Famous <opening>]]></text></content>
+  </annotation>
+  <annotation>
+    <target><fragment progress="0.5"><text></text></fragment></target>
+    <content><text>A note without a highlight</text></content>
+  </annotation>
+  <annotation>
+    <target><fragment progress="0.6"><text></text></fragment></target>
+  </annotation>
+</annotationSet>`;
+
+describe('parseKindleClippings', () => {
+  const clippings = parseKindleClippings(KINDLE);
+  
+  test('keeps only the longest form of an extended highlight and skips bookmarks', () => {
+    assert.equal(clippings.length, 2);
+    assert.equal(clippings[0].text, 'I must not fear. Fear is the mind-killer.');
+  });
+  
+  test('reads the book, author, location and date of a highlight', () => {
+    const [highlight] = clippings;
+    assert.equal(highlight.source, 'Dune');
+    assert.equal(highlight.author, 'Frank Herbert');
+    assert.equal(highlight.location, 'Page 12 · Location 180-183');
+    assert.equal(highlight.timestamp, new Date('March 4, 2019 10:15:02 PM').toISOString());
+  });
+  
+  test('attaches a note to the highlight ending at its location, or keeps it alone', () => {
+    assert.equal(clippings[0].comment, 'Litany against fear');
+    assert.equal(clippings[1].text, 'A stray thought');
+    assert.equal(clippings[1].location, 'Location 900');
+  });
+});
+
+describe('parseKoboAnnotations', () => {
+  const clippings = parseKoboAnnotations(KOBO);
+  
+  test('reads highlights with their book, note and progress', () => {
+    assert.deepEqual(clippings[0], {
+      text: 'It is a truth universally acknowledged…',
+      comment: 'Famous <opening>',
+      source: 'Pride & Prejudice',
+      author: 'Jane Austen',
+      location: '25% through',
+      timestamp: '2023-02-01T10:00:00.000Z'
+    });
+  });
+  
+  test('keeps a note without a highlight as the text and drops empty annotations', () => {
+    assert.equal(clippings.length, 2);
+    assert.equal(clippings[1].text, 'A note without a highlight');
+    assert.equal(clippings[1].comment, '');
+    assert.equal(clippings[1].timestamp, null);
+  });
+});
+
+describe('parseCsvClippings', () => {
+  test('maps common column names and handles quoted fields', () => {
+    const csv = [
+      'Highlight,Book Title,Book Author,Note,Location Type,Location,Highlighted at,Tags',
+      '"Call me Ishmael, he said.",Moby-Dick,Herman Melville,"She said ""hi""",order,7,2020-01-02T03:04:05Z,"sea, whales"',
+      '"Two\nlines",Moby-Dick,,,,,,'
+    ].join('\r\n');
+    
+    const [first, second] = parseCsvClippings(csv);
+    assert.deepEqual(first, {
+      text: 'Call me Ishmael, he said.',
+      comment: 'She said "hi"',
+      source: 'Moby-Dick',
+      author: 'Herman Melville',
+      location: 'Order 7',
+      timestamp: '2020-01-02T03:04:05.000Z',
+      tags: ['sea', 'whales']
+    });
+    assert.equal(second.text, 'Two\nlines');
+    assert.deepEqual(second.tags, []);
+  });
+  
+  test('detects semicolon and tab separated files', () => {
+    assert.equal(parseCsvClippings('text;page\nhello;4\n')[0].location, 'Page 4');
+    assert.equal(parseCsvClippings('quote\tsource\nhello\tA Book')[0].source, 'A Book');
+  });
+  
+  test('rejects a file with no highlight column', () => {
+    assert.throws(() => parseCsvClippings('title,author\nA,B'), /no "Highlight" or "Text" column/);
+  });
+});
+
+describe('detectClippingFormat', () => {
+  test('tells formats apart by extension or content', () => {
+    assert.equal(detectClippingFormat(KOBO), 'kobo');
+    assert.equal(detectClippingFormat('', 'book.annot'), 'kobo');
+    assert.equal(detectClippingFormat('text\nhello', 'export.CSV'), 'csv');
+    assert.equal(detectClippingFormat(KINDLE, 'My Clippings.txt'), 'kindle');
+    assert.equal(detectClippingFormat('just some text', 'notes.txt'), null);
+  });
+});
+
+describe('importClippings', () => {
+  test('saves clippings as manual notes and skips them on a second import', async () => {
+    const first = await importClippings(KINDLE, 'My Clippings.txt');
+    assert.deepEqual(first.report, { imported: 2, updated: 0, skipped: 0, failed: 0, errors: [] });
+    assert.ok(first.notes.every(note => note.isManual && note.source === 'Dune' && note.title === 'Dune'));
+    
+    const second = await importClippings(KINDLE, 'My Clippings.txt');
+    assert.deepEqual(second.report, { imported: 0, updated: 0, skipped: 2, failed: 0, errors: [] });
+  });
+  
+  test('fills in a comment the saved note lacks', async () => {
+    const csv = 'Highlight,Title,Note\n"  A   stray THOUGHT ",Dune,Written on the train\n';
+    const { report, notes } = await importClippings(csv, 'readwise.csv');
+    
+    assert.equal(report.updated, 1);
+    assert.equal(notes[0].text, 'A stray thought');
+    assert.equal(notes[0].comment, 'Written on the train');
+    assert.ok(notes[0].updatedAt);
+  });
+  
+  test('rejects files in no supported format', async () => {
+    await assert.rejects(importClippings('hello', 'notes.txt'), /not a Kindle, Kobo or CSV/);
+  });
+});
@@ -0,0 +1,64 @@
+import 'fake-indexeddb/auto';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+/**
+ * Creates the database as version 3 of the schema left it
+ * @param {Array<Object>} notes - Notes to store
+ * @returns {Promise<void>}
+ */
+function seedVersion3(notes) {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open('MozhiiNoteDB', 3);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      const store = db.createObjectStore('notes', { keyPath: 'id' });
+      store.createIndex('timestamp', 'timestamp', { unique: false });
+      store.createIndex('url', 'url', { unique: false });
+      store.createIndex('tags', 'tags', { unique: false, multiEntry: true });
+      store.createIndex('title', 'title', { unique: false });
+      db.createObjectStore('searchTerms', { keyPath: 'term' });
+      db.createObjectStore('searchDocs', { keyPath: 'id' });
+      db.createObjectStore('meta', { keyPath: 'key' });
+      notes.forEach(note => store.put(note));
+    };
+    request.onsuccess = () => {
+      request.result.close();
+      resolve();
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
+
+test('upgrading a v3 database keeps both the re-detected language and the normalised tags', async () => {
+  await seedVersion3([
+    {
+      id: 'ja',
+      text: 'これは日本語で書かれた短いメモです。',
+      tags: [' Research', 'research ', 'Project / CrazyNote'],
+      language: 'zh',
+      timestamp: '2024-01-01T00:00:00Z'
+    },
+    {
+      id: 'en',
+      text: 'Plain text that was already tagged the normal way.',
+      tags: ['reading'],
+      language: 'en',
+      timestamp: '2024-01-02T00:00:00Z'
+    }
+  ]);
+  
+  const { getAllNotes, getNoteById } = await import('../utils/database.js');
+  const { detectLanguage } = await import('../utils/language.js');
+  
+  const japanese = await getNoteById('ja');
+  assert.equal(japanese.language, 'ja');
+  assert.equal(japanese.languageConfidence, detectLanguage(japanese.text).confidence);
+  assert.deepEqual(japanese.tags, ['research', 'project/crazynote']);
+  
+  const english = await getNoteById('en');
+  assert.equal(english.language, detectLanguage(english.text).language);
+  assert.deepEqual(english.tags, ['reading']);
+  
+  assert.equal((await getAllNotes()).length, 2);
+});
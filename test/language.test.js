@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectLanguage, UNDETERMINED } from '../utils/language.js';
+
+test('names languages written in their own script', () => {
+  assert.equal(detectLanguage('これは日本語で書かれた短いメモです。').language, 'ja');
+  assert.equal(detectLanguage('这是一个用中文写的简短笔记。').language, 'zh');
+  assert.equal(detectLanguage('이것은 한국어로 쓴 짧은 메모입니다.').language, 'ko');
+  assert.equal(detectLanguage('هذه ملاحظة قصيرة مكتوبة باللغة العربية').language, 'ar');
+  assert.equal(detectLanguage('این یک یادداشت کوتاه به زبان فارسی است').language, 'fa');
+  assert.equal(detectLanguage('यह हिंदी में लिखा गया एक छोटा नोट है').language, 'hi');
+  assert.equal(detectLanguage('இது தமிழில் எழுதப்பட்ட ஒரு சிறிய குறிப்பு').language, 'ta');
+});
+
+test('tells apart Latin and Cyrillic languages from a sentence', () => {
+  const cases = {
+    en: 'Machine learning models require large amounts of training data to generalise well to unseen examples in production.',
+    es: 'El conocimiento es poder, y la lectura es la llave que abre todas las puertas del saber humano en nuestra sociedad moderna.',
+    fr: 'Je pense donc je suis, et voilà pourquoi nous sommes ici ce soir',
+    de: 'Das ist ein sehr schönes Haus und wir wohnen gerne darin',
+    ru: 'Сегодня мы будем говорить о том, как работает память человека и почему мы забываем вещи.'
+  };
+  
+  Object.entries(cases).forEach(([language, text]) => {
+    const result = detectLanguage(text);
+    assert.equal(result.language, language, text);
+    assert.ok(result.confidence >= 0.4 && result.confidence <= 1, text);
+  });
+});
+
+test('leaves short Latin and Cyrillic text undetermined', () => {
+  ['Me gusta mucho leer libros', 'Hola, ¿cómo estás hoy?', 'This is a note', 'Привет, как дела?'].forEach(text => {
+    assert.deepEqual(detectLanguage(text), { language: UNDETERMINED, confidence: 0 }, text);
+  });
+});
+
+test('leaves text with no letters undetermined', () => {
+  assert.deepEqual(detectLanguage(''), { language: UNDETERMINED, confidence: 0 });
+  assert.deepEqual(detectLanguage('12:45 — 3.14 %'), { language: UNDETERMINED, confidence: 0 });
+  assert.deepEqual(detectLanguage(undefined), { language: UNDETERMINED, confidence: 0 });
+});
+
+test('lowers its confidence for mixed scripts', () => {
+  const pure = detectLanguage('これは日本語で書かれた短いメモです。');
+  const mixed = detectLanguage('これは日本語のメモ with quite a lot of English words mixed into it');
+  assert.equal(pure.confidence, 1);
+  assert.ok(mixed.confidence < pure.confidence);
+});
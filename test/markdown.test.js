@@ -0,0 +1,91 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { textFragmentUrl, renderMarkdown, renderVault } from '../utils/markdown.js';
+
+const webNote = (fields = {}) => ({
+  id: '0b6c3f0e-6a55-4d1e-9a3e-6f3b8c9d0a11',
+  text: 'hello world',
+  comment: '',
+  tags: [],
+  url: 'https://example.com/page',
+  title: 'Example page',
+  timestamp: '2024-05-06T07:08:09Z',
+  ...fields
+});
+
+describe('textFragmentUrl', () => {
+  test('links to the quote with its context', () => {
+    const note = webNote({
+      selectors: [{ type: 'TextQuoteSelector', exact: 'hello world', prefix: 'said: ', suffix: ', then left' }]
+    });
+    assert.equal(textFragmentUrl(note), 'https://example.com/page#:~:text=said%3A-,hello%20world,-%2C%20then%20left');
+  });
+  
+  test('escapes characters the directive or a Markdown link would misread', () => {
+    const url = textFragmentUrl(webNote({ text: 'a-b, (c) & d' }));
+    assert.equal(url, 'https://example.com/page#:~:text=a%2Db%2C%20%28c%29%20%26%20d');
+  });
+  
+  test('replaces an existing fragment and shortens long quotes to their ends', () => {
+    const text = Array.from({ length: 30 }, (_, i) => `w${i}`).join(' ');
+    const url = textFragmentUrl(webNote({ text, url: 'https://example.com/page#top' }));
+    assert.match(url, /^https:\/\/example\.com\/page#:~:text=w0%20[^,]+,[^,]+w29$/);
+  });
+});
+
+describe('renderMarkdown', () => {
+  test('keeps links whole when the quote or page URL has parentheses', () => {
+    const markdown = renderMarkdown([
+      webNote({ text: 'hello world (foo', url: 'https://en.wikipedia.org/wiki/Foo_(bar)', title: 'Foo' })
+    ]);
+    
+    assert.match(markdown, /^## \[Foo\]\(<https:\/\/en\.wikipedia\.org\/wiki\/Foo_\(bar\)>\)$/m);
+    assert.match(markdown, /\[Open passage\]\(<https:\/\/en\.wikipedia\.org\/wiki\/Foo_\(bar\)#:~:text=hello%20world%20%28foo>\)/);
+  });
+  
+  test('groups notes under their page and shows color meanings', () => {
+    const markdown = renderMarkdown(
+      [webNote({ tags: ['project/crazynote'], highlightColor: '#a5d6a7' }), webNote({ id: 'b', text: 'second' })],
+      { meanings: { '#A5D6A7': 'key fact' } }
+    );
+    
+    assert.equal(markdown.match(/^## /gm).length, 1);
+    assert.match(markdown, /^> hello world$/m);
+    assert.match(markdown, /🖍️ key fact/);
+  });
+});
+
+describe('renderVault', () => {
+  const pageA = webNote();
+  const pageB = webNote({ id: 'b', url: 'https://example.com/other', title: 'Example page' });
+  const manual = { id: 'c', text: 'From a book', isManual: true, source: 'A Book', tags: [], timestamp: '2024-01-01T00:00:00Z' };
+  
+  test('names each file after its source, the same whatever else is exported', () => {
+    const alone = renderVault([pageA]).map(file => file.name);
+    const together = renderVault([pageA, pageB, manual]).map(file => file.name);
+    
+    assert.equal(alone.length, 1);
+    assert.match(alone[0], /^CrazyNote\/Example page \([0-9a-f]{6}\)\.md$/);
+    assert.equal(together[0], alone[0]);
+    assert.equal(new Set(together).size, 3);
+  });
+  
+  test('places files in the folder given and anchors every note', () => {
+    const [file] = renderVault([pageA], { folder: 'Thesis: draft' });
+    
+    assert.ok(file.name.startsWith('CrazyNote/Thesis'));
+    assert.match(file.content, /^---\ntitle: "Example page"\nurl: "https:\/\/example\.com\/page"/);
+    assert.match(file.content, /\^cn-[\w-]+$/m);
+  });
+  
+  test('gives the most common determined language in the front matter', () => {
+    const notes = [
+      webNote({ language: 'und' }),
+      webNote({ id: 'b', language: 'und' }),
+      webNote({ id: 'c', language: 'es' })
+    ];
+    
+    assert.match(renderVault(notes)[0].content, /^language: es$/m);
+    assert.doesNotMatch(renderVault([pageA, webNote({ id: 'b', language: 'und' })])[0].content, /^language:/m);
+  });
+});
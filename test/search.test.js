@@ -0,0 +1,94 @@
+import 'fake-indexeddb/auto';
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseQuery, searchNotes, indexNotes } from '../utils/search.js';
+import { saveNotes } from '../utils/database.js';
+
+describe('parseQuery', () => {
+  test('splits words, phrases and exclusions', () => {
+    const query = parseQuery('fox "lazy dog" -cat -"red barn"');
+    assert.deepEqual(query.terms, ['fox']);
+    assert.deepEqual(query.phrases, [['lazy', 'dog']]);
+    assert.deepEqual(query.excludedTerms, ['cat']);
+    assert.deepEqual(query.excludedPhrases, [['red', 'barn']]);
+  });
+  
+  test('normalises tag values like stored tags', () => {
+    assert.deepEqual(parseQuery('tag:#Research').tags, ['research']);
+    assert.deepEqual(parseQuery('tag:"project / crazynote"').tags, ['project/crazynote']);
+    assert.deepEqual(parseQuery('tag:project/').tags, ['project']);
+    assert.deepEqual(parseQuery('-tag:Draft').excludedTags, ['draft']);
+    assert.deepEqual(parseQuery('tag:#').tags, []);
+  });
+  
+  test('reduces site values to a bare host name', () => {
+    assert.deepEqual(parseQuery('site:https://www.GitHub.com/x').sites, ['github.com']);
+    assert.deepEqual(parseQuery('-site:example.org').excludedSites, ['example.org']);
+  });
+  
+  test('before: ends where the period starts, after: starts where it ends', () => {
+    assert.deepEqual(parseQuery('before:2024').before, new Date(2024, 0, 1));
+    assert.deepEqual(parseQuery('after:2024-05').after, new Date(2024, 5, 1));
+    assert.deepEqual(parseQuery('after:2024-05-31').after, new Date(2024, 5, 1));
+  });
+  
+  test('-before: starts where the period starts', () => {
+    const query = parseQuery('-before:2024');
+    assert.deepEqual(query.after, new Date(2024, 0, 1));
+    assert.equal(query.before, null);
+  });
+  
+  test('-after: ends where the period ends', () => {
+    const query = parseQuery('-after:2024-05');
+    assert.deepEqual(query.before, new Date(2024, 5, 1));
+    assert.equal(query.after, null);
+  });
+  
+  test('searches for a date filter that is not a date as text', () => {
+    const query = parseQuery('before:lunch');
+    assert.equal(query.before, null);
+    assert.ok(query.terms.includes('lunch'));
+  });
+});
+
+describe('searchNotes', () => {
+  const note = (id, text, fields = {}) => ({
+    id,
+    text,
+    comment: '',
+    tags: [],
+    url: 'https://example.com/' + id,
+    title: '',
+    timestamp: '2024-06-01T12:00:00Z',
+    ...fields
+  });
+  
+  test('ranks, filters and leaves out trashed notes', async () => {
+    await saveNotes([
+      note('a', 'The quick brown fox jumps over the lazy dog', { tags: ['animals/mammals'] }),
+      note('b', 'A fox, a fox, a fox everywhere: foxes all around'),
+      note('c', 'Nothing about that animal here', { timestamp: '2023-02-01T12:00:00Z' }),
+      note('d', 'A fox in the trash', { deletedAt: '2024-07-01T00:00:00Z' })
+    ]);
+    
+    const ids = async (input) => (await searchNotes(input)).map(result => result.noteId);
+    
+    assert.deepEqual(await ids('fox'), ['b', 'a']);
+    assert.deepEqual(await ids('"lazy dog"'), ['a']);
+    assert.deepEqual(await ids('fox -lazy'), ['b']);
+    assert.deepEqual(await ids('fox tag:animals'), ['a']);
+    assert.deepEqual(await ids('-after:2023'), ['c']);
+    assert.deepEqual((await ids('-before:2024')).sort(), ['a', 'b']);
+  });
+  
+  test('finds a single CJK character anywhere in a run', async () => {
+    const notes = [note('ja', '今日は黒猫を見た'), note('zh', '我的猫')];
+    await saveNotes(notes);
+    await indexNotes(notes);
+    
+    const ids = async (input) => (await searchNotes(input)).map(result => result.noteId).sort();
+    
+    assert.deepEqual(await ids('猫'), ['ja', 'zh']);
+    assert.deepEqual(await ids('"黒猫"'), ['ja']);
+  });
+});
@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { tokenize, foldTerm } from '../utils/tokenizer.js';
+
+const terms = (text, options) => tokenize(text, options).map(token => token.term);
+
+test('splits spaced scripts into lowercased words with their offsets', () => {
+  assert.deepEqual(tokenize('Hello, World 42'), [
+    { term: 'hello', start: 0, end: 5 },
+    { term: 'world', start: 7, end: 12 },
+    { term: '42', start: 13, end: 15 }
+  ]);
+  assert.deepEqual(terms('नमस्ते दुनिया'), ['नमस्ते', 'दुनिया']);
+  assert.deepEqual(terms(''), []);
+});
+
+test('splits CJK runs into overlapping bigrams', () => {
+  assert.deepEqual(terms('東京大学'), ['東京', '京大', '大学']);
+  assert.deepEqual(terms('猫'), ['猫']);
+  assert.deepEqual(terms('I like 寿司 a lot'), ['i', 'like', '寿司', 'a', 'lot']);
+});
+
+test('adds the last character of each CJK run when indexing', () => {
+  assert.deepEqual(terms('黒猫', { forIndex: true }), ['黒猫', '猫']);
+  assert.deepEqual(terms('黒猫', { forIndex: false }), ['黒猫']);
+  
+  const [, last] = tokenize('黒猫', { forIndex: true });
+  assert.deepEqual(last, { term: '猫', start: 1, end: 2 });
+});
+
+test('splits Thai into words', { skip: !Intl.Segmenter }, () => {
+  const words = terms('สวัสดีครับ');
+  assert.ok(words.length >= 2);
+  assert.equal(words.join(''), 'สวัสดีครับ');
+});
+
+test('folds characters readers type interchangeably', () => {
+  assert.equal(foldTerm('ＡＢＣ'), 'abc');
+  assert.equal(foldTerm('مُحَمَّد'), 'محمد');
+  assert.equal(foldTerm('أحمد'), 'احمد');
+  assert.equal(foldTerm('שָׁלוֹם'), 'שלום');
+  assert.equal(foldTerm('Ёлка'), 'елка');
+  assert.equal(foldTerm('λόγος'), 'λόγοσ');
+});
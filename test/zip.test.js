@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { crc32 } from 'node:zlib';
+import { createZip, toBase64 } from '../utils/zip.js';
+
+/**
+ * Reads the entries of a stored (uncompressed) zip archive through its
+ * central directory
+ * @param {Uint8Array} bytes - The archive
+ * @returns {Array<{name: string, content: string, crc: number, flags: number}>}
+ */
+function readZip(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const decoder = new TextDecoder();
+  const end = bytes.length - 22;
+  assert.equal(view.getUint32(end, true), 0x06054b50);
+  
+  const count = view.getUint16(end + 10, true);
+  let position = view.getUint32(end + 16, true);
+  const entries = [];
+  
+  for (let i = 0; i < count; i++) {
+    assert.equal(view.getUint32(position, true), 0x02014b50);
+    const flags = view.getUint16(position + 8, true);
+    const crc = view.getUint32(position + 16, true);
+    const size = view.getUint32(position + 20, true);
+    const nameLength = view.getUint16(position + 28, true);
+    const localOffset = view.getUint32(position + 42, true);
+    const name = decoder.decode(bytes.subarray(position + 46, position + 46 + nameLength));
+    
+    assert.equal(view.getUint32(localOffset, true), 0x04034b50);
+    const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+    const content = decoder.decode(bytes.subarray(dataStart, dataStart + size));
+    
+    entries.push({ name, content, crc, flags });
+    position += 46 + nameLength;
+  }
+  
+  return entries;
+}
+
+test('writes every file with its name, content and checksum', () => {
+  const files = [
+    { name: 'CrazyNote/First page.md', content: '# First\n\nSome text\n' },
+    { name: 'CrazyNote/Thesis/日本語のページ.md', content: '> 引用 ✓\n' },
+    { name: 'CrazyNote/empty.md', content: '' }
+  ];
+  
+  const entries = readZip(createZip(files, new Date(2024, 4, 6, 7, 8, 10)));
+  
+  assert.deepEqual(entries.map(({ name, content }) => ({ name, content })), files);
+  entries.forEach(entry => {
+    assert.equal(entry.crc, crc32(Buffer.from(entry.content)));
+    assert.equal(entry.flags & 0x0800, 0x0800);
+  });
+});
+
+test('writes an empty archive as just the end record', () => {
+  const bytes = createZip([]);
+  assert.equal(bytes.length, 22);
+  assert.deepEqual(readZip(bytes), []);
+});
+
+test('encodes bytes as base64', () => {
+  const bytes = new Uint8Array(100000).map((_, i) => i % 256);
+  assert.equal(toBase64(bytes), Buffer.from(bytes).toString('base64'));
+});
@@ -0,0 +1,263 @@
+/**
+ * Backup Utility Module
+ * JSON export files and importing them back with validation and
+ * per-note conflict handling
+ */
+
+import { getAllNotes, getNotesByIds, updateNotes } from './database.js';
+import { generateUUID, isValidUUID } from './uuid.js';
+import { detectLanguage } from './language.js';
+import { normalizeTags } from './tags.js';
+import { getNotebooks, importNotebooks } from './notebooks.js';
+import { getPalette, importPalette } from './palette.js';
+
+const EXPORT_FORMAT = 'crazynote-export';
+const EXPORT_VERSION = 1;
+
+// What to do with an imported note whose id already exists
+export const CONFLICT_STRATEGIES = ['newer', 'both', 'skip'];
+
+// String fields, defaulted to '' when missing or not a string
+const STRING_FIELDS = [
+  'url', 'title', 'comment', 'source', 'sourceUrl', 'author', 'location', 'elementPath', 'parentTagName'
+];
+
+// Numeric fields, dropped when present but not a number
+const NUMBER_FIELDS = [
+  'scrollY', 'scrollX', 'startOffset', 'endOffset', 'textInParentOffset',
+  'viewportWidth', 'viewportHeight', 'documentHeight', 'anchorConfidence', 'languageConfidence'
+];
+
+// ============================================
+// EXPORT
+// ============================================
+
+/**
+ * Builds the contents of an export file
+ * @returns {Promise<string>} JSON text of the versioned envelope
+ */
+export async function exportNotes() {
+  const [notes, notebooks, palette] = await Promise.all([getAllNotes(), getNotebooks(), getPalette()]);
+  
+  return JSON.stringify({
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    noteCount: notes.length,
+    notes,
+    notebooks,
+    palette
+  }, null, 2);
+}
+
+// ============================================
+// VALIDATION
+// ============================================
+
+/**
+ * Reads the notes, notebooks and highlight palette out of an export file.
+ * Accepts the versioned envelope and the bare array written by older builds.
+ * @param {string} json - File contents
+ * @returns {{notes: Array<*>, notebooks: Array<*>, palette: Array<*>|null}}
+ *   The raw entries, not yet validated
+ * @throws {Error} If the file can't be used at all
+ */
+function parseExportFile(json) {
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch {
+    throw new Error('The file is not valid JSON');
+  }
+  
+  if (Array.isArray(data)) return { notes: data, notebooks: [], palette: null };
+  
+  if (!data || data.format !== EXPORT_FORMAT) {
+    throw new Error('The file is not a CrazyNote export');
+  }
+  if (typeof data.version !== 'number' || data.version > EXPORT_VERSION) {
+    throw new Error('The file was exported by a newer version of CrazyNote');
+  }
+  if (!Array.isArray(data.notes)) {
+    throw new Error('The export file has no notes list');
+  }
+  
+  return {
+    notes: data.notes,
+    notebooks: Array.isArray(data.notebooks) ? data.notebooks : [],
+    palette: Array.isArray(data.palette) ? data.palette : null
+  };
+}
+
+/**
+ * Checks one imported entry and normalises it into a note. Entries
+ * without a UUID get a new one: ids end up in CSS selectors on the page
+ * and in the popup, so anything else is not kept.
+ * @param {*} raw - Entry from the export file
+ * @returns {{note: Object}|{error: string}}
+ */
+export function validateNote(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { error: 'not a note object' };
+  }
+  if (typeof raw.text !== 'string' || raw.text.trim() === '') {
+    return { error: 'missing note text' };
+  }
+  if (raw.tags !== undefined && !Array.isArray(raw.tags)) {
+    return { error: 'tags must be a list' };
+  }
+  
+  const timestamp = raw.timestamp === undefined ? new Date() : new Date(raw.timestamp);
+  if (isNaN(timestamp)) {
+    return { error: 'invalid timestamp' };
+  }
+  
+  const updatedAt = raw.updatedAt === undefined ? null : new Date(raw.updatedAt);
+  if (updatedAt && isNaN(updatedAt)) {
+    return { error: 'invalid updatedAt' };
+  }
+  
+  // Unknown fields are kept so newer exports survive a round trip
+  const note = { ...raw };
+  
+  note.id = isValidUUID(raw.id) ? raw.id : generateUUID();
+  note.timestamp = timestamp.toISOString();
+  if (updatedAt) note.updatedAt = updatedAt.toISOString();
+  
+  STRING_FIELDS.forEach(field => {
+    note[field] = typeof raw[field] === 'string' ? raw[field] : '';
+  });
+  
+  NUMBER_FIELDS.forEach(field => {
+    if (raw[field] !== undefined && !Number.isFinite(raw[field])) {
+      delete note[field];
+    }
+  });
+  
+  note.tags = normalizeTags(raw.tags);
+  
+  note.isManual = typeof raw.isManual === 'boolean' ? raw.isManual : !note.url;
+  note.highlightColor = typeof raw.highlightColor === 'string' && /^#[0-9a-f]{3,8}$/i.test(raw.highlightColor)
+    ? raw.highlightColor
+    : '#FFEB3B';
+  
+  if (raw.selectors !== undefined && !Array.isArray(raw.selectors)) {
+    delete note.selectors;
+  }
+  
+  if (raw.notebookId !== undefined && (typeof raw.notebookId !== 'string' || raw.notebookId === '')) {
+    delete note.notebookId;
+  }
+  
+  if (typeof raw.language !== 'string' || raw.language === '') {
+    const { language, confidence } = detectLanguage(note.text);
+    note.language = language;
+    note.languageConfidence = confidence;
+  }
+  
+  return { note };
+}
+
+// ============================================
+// IMPORT
+// ============================================
+
+/**
+ * Returns when a note was last changed
+ * @param {Object} note - The note
+ * @returns {number} Milliseconds since the epoch
+ */
+function lastChanged(note) {
+  return new Date(note.updatedAt || note.timestamp).getTime();
+}
+
+/**
+ * Imports an export file. Its notebooks are added first, so imported notes
+ * land in them (or in the existing notebook of the same name). Its palette
+ * is adopted while the user still has the default one, so color meanings
+ * come along with the notes.
+ * @param {string} json - File contents
+ * @param {string} conflict - For notes whose id already exists:
+ *   'newer' keeps whichever copy changed last, 'both' adds the imported
+ *   note under a new id, 'skip' keeps the existing note
+ * @returns {Promise<{report: Object, notes: Array<Object>}>} The summary
+ *   ({imported, updated, skipped, failed, errors}) and every note written
+ * @throws {Error} If the file can't be read as an export at all
+ */
+export async function importNotes(json, conflict = 'newer') {
+  const { notes, notebooks, palette } = parseExportFile(json);
+  const { merged } = await importNotebooks(notebooks);
+  if (palette) await importPalette(palette);
+  
+  const filed = notes.map(entry => merged.has(entry?.notebookId)
+    ? { ...entry, notebookId: merged.get(entry.notebookId) }
+    : entry
+  );
+  return importNoteEntries(filed, conflict);
+}
+
+/**
+ * Validates raw note entries and writes them, resolving id conflicts.
+ * Shared by every importer that produces CrazyNote-shaped notes.
+ * @param {Array<*>} entries - Raw note entries
+ * @param {string} conflict - 'newer', 'both' or 'skip' (see importNotes)
+ * @returns {Promise<{report: Object, notes: Array<Object>}>}
+ */
+export async function importNoteEntries(entries, conflict = 'newer') {
+  if (!CONFLICT_STRATEGIES.includes(conflict)) {
+    throw new Error(`Unknown conflict strategy: ${conflict}`);
+  }
+  
+  const report = { imported: 0, updated: 0, skipped: 0, failed: 0, errors: [] };
+  
+  const valid = [];
+  const seenIds = new Set();
+  entries.forEach((entry, index) => {
+    const result = validateNote(entry);
+    if (!result.error && seenIds.has(result.note.id)) {
+      result.error = 'duplicate id in file';
+    }
+    
+    if (result.error) {
+      report.failed++;
+      report.errors.push({ index, reason: result.error });
+      return;
+    }
+    
+    seenIds.add(result.note.id);
+    valid.push(result.note);
+  });
+  
+  const existing = await getNotesByIds(valid.map(note => note.id));
+  const existingById = new Map(existing.map(note => [note.id, note]));
+  const toWrite = [];
+  
+  valid.forEach(note => {
+    const current = existingById.get(note.id);
+    
+    if (!current) {
+      toWrite.push(note);
+      report.imported++;
+      return;
+    }
+    
+    if (conflict === 'newer' && lastChanged(note) > lastChanged(current)) {
+      toWrite.push(note);
+      report.updated++;
+    } else if (conflict === 'both' &&
+        (note.text !== current.text || note.comment !== current.comment ||
+         lastChanged(note) !== lastChanged(current))) {
+      toWrite.push({ ...note, id: generateUUID() });
+      report.imported++;
+    } else {
+      // 'skip', an older copy, or an exact copy kept under 'both'
+      report.skipped++;
+    }
+  });
+  
+  if (toWrite.length > 0) {
+    await updateNotes(toWrite);
+  }
+  
+  return { report, notes: toWrite };
+}
@@ -0,0 +1,401 @@
+/**
+ * Clippings Utility Module
+ * Imports highlights from e-readers (Kindle "My Clippings.txt", Kobo
+ * .annot files) and generic CSV exports as manual notes
+ */
+
+import { getAllNotes, updateNotes } from './database.js';
+import { validateNote } from './backup.js';
+
+// Separator between entries in a Kindle clippings file
+const KINDLE_SEPARATOR = /^=+\s*$/m;
+
+// Kindle entry kinds, matched against the metadata line in several languages
+const KINDLE_BOOKMARK = /bookmark|lesezeichen|marcador|signet|segnalibro|ブックマーク/i;
+const KINDLE_NOTE = /\bnote\b|notiz|\bnota\b|メモ/i;
+
+// CSV column names (lowercased) understood for each note field
+const CSV_COLUMNS = {
+  text: ['highlight', 'text', 'quote', 'clipping', 'passage', 'annotation'],
+  comment: ['note', 'notes', 'comment', 'comments', 'my note'],
+  source: ['book title', 'title', 'book', 'source', 'document'],
+  author: ['book author', 'author', 'authors'],
+  page: ['page', 'page number'],
+  location: ['location', 'position', 'loc'],
+  locationType: ['location type'],
+  date: ['highlighted at', 'date', 'date added', 'created', 'created at', 'added', 'timestamp'],
+  tags: ['tags', 'tag', 'labels']
+};
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Parses a date written by a reading app
+ * @param {string} value - e.g. "Monday, March 4, 2019 10:14:41 PM"
+ * @returns {string|null} ISO timestamp, or null if it can't be read
+ */
+function parseClippingDate(value) {
+  if (!value) return null;
+  
+  // Kindle prefixes the weekday, which Date.parse rejects in some engines
+  const cleaned = value.trim().replace(/^[^\d,]+,\s*/, '');
+  const date = new Date(cleaned);
+  return isNaN(date) ? null : date.toISOString();
+}
+
+/**
+ * Normalises text for duplicate detection
+ * @param {string} text - The text
+ * @returns {string}
+ */
+function fingerprintText(text) {
+  return (text || '').normalize('NFKC').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Builds the key two clippings share when they are the same highlight
+ * @param {Object} clipping - Clipping or note with source and text
+ * @returns {string}
+ */
+function duplicateKey(clipping) {
+  return `${fingerprintText(clipping.source)}\u0000${fingerprintText(clipping.text)}`;
+}
+
+/**
+ * Decodes the entities of an XML text node
+ * @param {string} text - Raw XML text
+ * @returns {string}
+ */
+function decodeXml(text) {
+  return text
+    .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (match, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Returns the text of the first element with a given name. Service workers
+ * have no DOMParser, and .annot files are simple enough to read this way.
+ * CDATA sections are escaped before markup is stripped, so a "<" inside
+ * one stays part of the text.
+ * @param {string} xml - XML source
+ * @param {string} name - Qualified element name, e.g. "dc:title"
+ * @returns {string} Decoded, trimmed text; '' if the element is missing
+ */
+function xmlText(xml, name) {
+  const match = xml.match(new RegExp(`<${name}\\b[^>]*>([\\s\\S]*?)</${name}>`));
+  if (!match) return '';
+  
+  const escaped = match[1].replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, (cdata, content) =>
+    content.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+  );
+  return decodeXml(escaped.replace(/<[^>]+>/g, '')).trim();
+}
+
+// ============================================
+// PARSERS
+// ============================================
+
+/**
+ * Parses a Kindle "My Clippings.txt" file. Notes typed on the Kindle are
+ * attached as comments to the highlight ending at the same location;
+ * highlights that were later extended are kept only in their longest form.
+ * @param {string} text - File contents
+ * @returns {Array<Object>} Clippings: {text, comment, source, author, location, timestamp}
+ */
+export function parseKindleClippings(text) {
+  const highlights = [];
+  const notes = [];
+  
+  text.replace(/^\uFEFF/, '').split(KINDLE_SEPARATOR).forEach(entry => {
+    const lines = entry.replace(/\uFEFF/g, '').trim().split(/\r?\n/);
+    if (lines.length < 2) return;
+    
+    const titleLine = lines[0].trim();
+    const metaLine = lines[1].trim();
+    const body = lines.slice(2).join('\n').trim();
+    if (!body || KINDLE_BOOKMARK.test(metaLine)) return;
+    
+    const titleMatch = titleLine.match(/^(.*?)\s*\(([^()]*)\)\s*$/);
+    const parts = metaLine.replace(/^-\s*/, '').split('|').map(part => part.trim());
+    const page = metaLine.match(/(?:page|seite|página|pagina)\s+([\w-]+)/i)?.[1];
+    const location = metaLine.match(/(?:location|loc\.|position|posición|posizione|emplacement)\s+([\d-]+)/i)?.[1];
+    
+    const clipping = {
+      text: body,
+      comment: '',
+      source: titleMatch ? titleMatch[1] : titleLine,
+      author: titleMatch ? titleMatch[2] : '',
+      location: [page && `Page ${page}`, location && `Location ${location}`].filter(Boolean).join(' · '),
+      locationEnd: location ? Number(location.split('-').pop()) : null,
+      timestamp: parseClippingDate(metaLine.match(/added on (.+)$/i)?.[1] || parts[parts.length - 1])
+    };
+    
+    if (KINDLE_NOTE.test(parts[0] || '')) {
+      notes.push(clipping);
+    } else {
+      highlights.push(clipping);
+    }
+  });
+  
+  // Extending a highlight appends a new clipping instead of editing the old
+  const kept = highlights.filter((clipping, index) => !highlights.some((other, otherIndex) =>
+    otherIndex !== index &&
+    other.source === clipping.source &&
+    other.text.includes(clipping.text) &&
+    (other.text.length > clipping.text.length || otherIndex > index)
+  ));
+  
+  notes.forEach(note => {
+    const highlight = kept.find(clipping =>
+      clipping.source === note.source &&
+      clipping.locationEnd !== null &&
+      clipping.locationEnd === note.locationEnd
+    );
+    if (highlight) {
+      highlight.comment = highlight.comment ? `${highlight.comment}\n${note.text}` : note.text;
+    } else {
+      kept.push(note);
+    }
+  });
+  
+  return kept.map(({ locationEnd, ...clipping }) => clipping);
+}
+
+/**
+ * Parses a Kobo annotation export (.annot, the Adobe Digital Editions
+ * annotation format Kobo readers write)
+ * @param {string} text - File contents
+ * @returns {Array<Object>} Clippings: {text, comment, source, author, location, timestamp}
+ */
+export function parseKoboAnnotations(text) {
+  const publication = text.match(/<publication\b[^>]*>([\s\S]*?)<\/publication>/)?.[1] || '';
+  const source = xmlText(publication, 'dc:title');
+  const author = xmlText(publication, 'dc:creator');
+  
+  return [...text.matchAll(/<annotation\b[^>]*>([\s\S]*?)<\/annotation>/g)].map(([, annotation]) => {
+    const target = annotation.match(/<target\b[^>]*>([\s\S]*?)<\/target>/)?.[1] || '';
+    const content = annotation.match(/<content\b[^>]*>([\s\S]*?)<\/content>/)?.[1] || '';
+    const progress = parseFloat(target.match(/\bprogress="([\d.]+)"/)?.[1]);
+    const highlight = xmlText(target, 'text');
+    const note = xmlText(content, 'text');
+    
+    return {
+      text: highlight || note,
+      comment: highlight ? note : '',
+      source,
+      author,
+      location: Number.isFinite(progress) ? `${Math.round(progress * 100)}% through` : '',
+      timestamp: parseClippingDate(xmlText(annotation, 'dc:date'))
+    };
+  }).filter(clipping => clipping.text);
+}
+
+/**
+ * Splits CSV text into rows (RFC 4180 quoting; comma, semicolon or tab
+ * separated, whichever the header line uses most)
+ * @param {string} text - File contents
+ * @returns {Array<Array<string>>}
+ */
+function parseCsv(text) {
+  const source = text.replace(/^\uFEFF/, '');
+  const header = source.split(/\r?\n/, 1)[0];
+  const delimiter = [',', ';', '\t']
+    .map(char => [char, header.split(char).length])
+    .sort((a, b) => b[1] - a[1])[0][0];
+  
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+/**
+ * Parses a CSV export. The header row names the columns; common names
+ * from reading apps (Readwise, Goodreads, Kobo exporters...) are understood.
+ * @param {string} text - File contents
+ * @returns {Array<Object>} Clippings: {text, comment, source, author, location, timestamp, tags}
+ * @throws {Error} If no column holds the highlight text
+ */
+export function parseCsvClippings(text) {
+  const [header = [], ...rows] = parseCsv(text);
+  const names = header.map(name => name.trim().toLowerCase());
+  
+  const columns = {};
+  Object.entries(CSV_COLUMNS).forEach(([field, aliases]) => {
+    const alias = aliases.find(name => names.includes(name));
+    columns[field] = alias ? names.indexOf(alias) : -1;
+  });
+  
+  if (columns.text === -1) {
+    throw new Error('The CSV file has no "Highlight" or "Text" column');
+  }
+  
+  const cell = (row, field) => (columns[field] === -1 ? '' : (row[columns[field]] || '').trim());
+  
+  return rows.map(row => {
+    const locationType = cell(row, 'locationType');
+    const location = cell(row, 'location');
+    const page = cell(row, 'page');
+    
+    return {
+      text: cell(row, 'text'),
+      comment: cell(row, 'comment'),
+      source: cell(row, 'source'),
+      author: cell(row, 'author'),
+      location: [
+        page && `Page ${page}`,
+        location && `${locationType ? locationType[0].toUpperCase() + locationType.slice(1) : 'Location'} ${location}`
+      ].filter(Boolean).join(' · '),
+      timestamp: parseClippingDate(cell(row, 'date')),
+      tags: cell(row, 'tags').split(/[,;|]/).map(tag => tag.trim()).filter(Boolean)
+    };
+  });
+}
+
+// ============================================
+// IMPORT
+// ============================================
+
+/**
+ * Works out which reader a file came from
+ * @param {string} text - File contents
+ * @param {string} [fileName] - Name of the chosen file
+ * @returns {'kindle'|'kobo'|'csv'|null}
+ */
+export function detectClippingFormat(text, fileName = '') {
+  const extension = fileName.toLowerCase().split('.').pop();
+  
+  if (extension === 'annot' || /<annotationSet\b/.test(text)) return 'kobo';
+  if (extension === 'csv' || extension === 'tsv') return 'csv';
+  if (KINDLE_SEPARATOR.test(text)) return 'kindle';
+  return null;
+}
+
+/**
+ * Imports a clippings file as manual notes. A clipping whose book and
+ * text match a note already saved (or an earlier clipping in the file) is
+ * a duplicate: it is skipped, though its comment and location fill in any
+ * the existing note lacks.
+ * @param {string} text - File contents
+ * @param {string} [fileName] - Name of the chosen file, used to tell formats apart
+ * @returns {Promise<{report: Object, notes: Array<Object>}>} The summary
+ *   ({imported, updated, skipped, failed, errors}) and every note written
+ * @throws {Error} If the file isn't in a supported format
+ */
+export async function importClippings(text, fileName = '') {
+  const format = detectClippingFormat(text, fileName);
+  let clippings;
+  
+  if (format === 'kindle') {
+    clippings = parseKindleClippings(text);
+  } else if (format === 'kobo') {
+    clippings = parseKoboAnnotations(text);
+  } else if (format === 'csv') {
+    clippings = parseCsvClippings(text);
+  } else {
+    throw new Error('The file is not a Kindle, Kobo or CSV highlights export');
+  }
+  
+  const report = { imported: 0, updated: 0, skipped: 0, failed: 0, errors: [] };
+  const existing = (await getAllNotes()).filter(note => note.isManual);
+  const existingIds = new Set(existing.map(note => note.id));
+  const byKey = new Map(existing.map(note => [duplicateKey(note), note]));
+  const toWrite = new Map();
+  
+  clippings.forEach((clipping, index) => {
+    const duplicate = byKey.get(duplicateKey(clipping));
+    
+    if (duplicate) {
+      let filled = false;
+      if (clipping.comment && !duplicate.comment) {
+        duplicate.comment = clipping.comment;
+        filled = true;
+      }
+      if (clipping.location && !duplicate.location) {
+        duplicate.location = clipping.location;
+        filled = true;
+      }
+      
+      if (filled && existingIds.has(duplicate.id) && !toWrite.has(duplicate.id)) {
+        duplicate.updatedAt = new Date().toISOString();
+        toWrite.set(duplicate.id, duplicate);
+        report.updated++;
+      } else {
+        report.skipped++;
+      }
+      return;
+    }
+    
+    const result = validateNote({
+      text: clipping.text,
+      comment: clipping.comment,
+      source: clipping.source,
+      title: clipping.source || 'Manual Note',
+      author: clipping.author,
+      location: clipping.location,
+      tags: clipping.tags || [],
+      timestamp: clipping.timestamp || undefined,
+      isManual: true,
+      url: ''
+    });
+    
+    if (result.error) {
+      report.failed++;
+      report.errors.push({ index, reason: result.error });
+      return;
+    }
+    
+    byKey.set(duplicateKey(result.note), result.note);
+    toWrite.set(result.note.id, result.note);
+    report.imported++;
+  });
+  
+  const notes = [...toWrite.values()];
+  if (notes.length > 0) {
+    await updateNotes(notes);
+  }
+  
+  return { report, notes };
+}
@@ -3,15 +3,143 @@
  * Handles all IndexedDB operations for Mozhii Note
  */
 
+import { detectLanguage, UNDETERMINED } from './language.js';
+import { normalizeTags, tagAncestry, compareTagPaths, TAG_SEPARATOR } from './tags.js';
+
 const DB_NAME = 'MozhiiNoteDB';
-const DB_VERSION = 1;
 const STORE_NAME = 'notes';
 
+// Full-text search index, maintained by utils/search.js
+export const SEARCH_TERMS_STORE = 'searchTerms';
+export const SEARCH_DOCS_STORE = 'searchDocs';
+export const META_STORE = 'meta';
+
+// Earlier versions of notes, one record per update
+const REVISIONS_STORE = 'revisions';
+
+// Notebooks notes can be filed in, maintained by utils/notebooks.js
+export const NOTEBOOKS_STORE = 'notebooks';
+
+// Note fields an update is recorded for. Bookkeeping such as anchor status
+// or language detection changes silently.
+export const HISTORY_FIELDS = [
+  'text', 'comment', 'tags', 'highlightColor', 'title', 'source', 'sourceUrl',
+  'url', 'isManual', 'selectors', 'notebookId'
+];
+
 /**
- * Opens or creates the database
+ * Schema migrations, applied in order from onupgradeneeded.
+ * MIGRATIONS[n] upgrades the database from version n to version n + 1.
+ * Never change a migration that has shipped; append a new one instead.
+ * Migrations that rewrite notes pass a function to rewriteNotes rather
+ * than opening their own cursor: every pending rewrite then runs in one
+ * pass, each seeing the note as the previous one left it.
+ * @type {Array<function(IDBDatabase, IDBTransaction, function(function(Object): Object): void): void>}
+ */
+const MIGRATIONS = [
+  // v1: notes store with the original indexes
+  (db) => {
+    if (!db.objectStoreNames.contains(STORE_NAME)) {
+      const objectStore = db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+      objectStore.createIndex('timestamp', 'timestamp', { unique: false });
+      objectStore.createIndex('url', 'url', { unique: false });
+      objectStore.createIndex('tags', 'tags', { unique: false, multiEntry: true });
+    }
+  },
+  
+  // v2: title index. Older builds only created it when this module
+  // happened to open the database before background.js did.
+  (db, transaction) => {
+    const objectStore = transaction.objectStore(STORE_NAME);
+    if (!objectStore.indexNames.contains('title')) {
+      objectStore.createIndex('title', 'title', { unique: false });
+    }
+  },
+  
+  // v3: inverted index for full-text search and a key/value store for its
+  // bookkeeping. Both are (re)built lazily by utils/search.js.
+  (db) => {
+    db.createObjectStore(SEARCH_TERMS_STORE, { keyPath: 'term' });
+    db.createObjectStore(SEARCH_DOCS_STORE, { keyPath: 'id' });
+    db.createObjectStore(META_STORE, { keyPath: 'key' });
+  },
+  
+  // v4: re-detect every note's language. The original detector labelled all
+  // Latin-script text 'en' and let a single kanji mark a note 'zh'.
+  (db, transaction, rewriteNotes) => {
+    rewriteNotes((note) => {
+      const { language, confidence } = detectLanguage(note.text);
+      return { ...note, language, languageConfidence: confidence };
+    });
+  },
+  
+  // v5: revision history, newest looked up per note
+  (db) => {
+    const revisions = db.createObjectStore(REVISIONS_STORE, { keyPath: 'id', autoIncrement: true });
+    revisions.createIndex('noteId', 'noteId', { unique: false });
+  },
+  
+  // v6: normalise tags, merging ones that differed only in case or spacing
+  (db, transaction, rewriteNotes) => {
+    rewriteNotes((note) => {
+      const tags = normalizeTags(note.tags);
+      const stored = note.tags || [];
+      if (tags.length === stored.length && tags.every((tag, i) => tag === stored[i])) {
+        return note;
+      }
+      return { ...note, tags };
+    });
+  },
+  
+  // v7: notebooks, and looking up the notes filed in one
+  (db, transaction) => {
+    db.createObjectStore(NOTEBOOKS_STORE, { keyPath: 'id' });
+    transaction.objectStore(STORE_NAME).createIndex('notebookId', 'notebookId', { unique: false });
+  },
+  
+  // v8: re-detect notes stored with a weak language guess. Short Latin and
+  // Cyrillic notes were labelled with the closest profile however unsure
+  // the match, and are now left undetermined. Languages set by an import
+  // carry no confidence and are kept.
+  (db, transaction, rewriteNotes) => {
+    rewriteNotes((note) => {
+      const weak = typeof note.languageConfidence === 'number' && note.languageConfidence < 0.4;
+      if (!weak || note.language === UNDETERMINED) return note;
+      const { language, confidence } = detectLanguage(note.text);
+      return { ...note, language, languageConfidence: confidence };
+    });
+  }
+];
+
+const DB_VERSION = MIGRATIONS.length;
+
+/**
+ * Applies note rewrites queued by migrations, in one cursor pass over the
+ * notes store. A note is written back only if some rewrite changed it.
+ * @param {IDBTransaction} transaction - The upgrade transaction
+ * @param {Array<function(Object): Object>} rewrites - In migration order
+ */
+function rewriteAllNotes(transaction, rewrites) {
+  transaction.objectStore(STORE_NAME).openCursor().onsuccess = (event) => {
+    const cursor = event.target.result;
+    if (!cursor) return;
+    
+    const note = rewrites.reduce((current, rewrite) => rewrite(current), cursor.value);
+    if (note !== cursor.value) {
+      cursor.update(note);
+    }
+    cursor.continue();
+  };
+}
+
+// Connection shared by every call for the lifetime of the service worker
+let connectionPromise = null;
+
+/**
+ * Opens the database, running any pending migrations
  * @returns {Promise<IDBDatabase>} The database instance
  */
-export function openDatabase() {
+function connect() {
   return new Promise((resolve, reject) => {
     const request = indexedDB.open(DB_NAME, DB_VERSION);
     
@@ -21,36 +149,108 @@ export function openDatabase() {
     };
     
     request.onsuccess = () => {
-      resolve(request.result);
+      const db = request.result;
+      
+      // Another context wants to upgrade: step aside and reopen on next use
+      db.onversionchange = () => {
+        db.close();
+        connectionPromise = null;
+      };
+      
+      // The browser closed the connection (e.g. storage was cleared)
+      db.onclose = () => {
+        connectionPromise = null;
+      };
+      
+      resolve(db);
     };
     
     request.onupgradeneeded = (event) => {
       const db = event.target.result;
       
-      // Create notes object store if it doesn't exist
-      if (!db.objectStoreNames.contains(STORE_NAME)) {
-        const objectStore = db.createObjectStore(STORE_NAME, { keyPath: 'id' });
-        
-        // Create indexes for efficient querying
-        objectStore.createIndex('timestamp', 'timestamp', { unique: false });
-        objectStore.createIndex('url', 'url', { unique: false });
-        objectStore.createIndex('tags', 'tags', { unique: false, multiEntry: true });
-        objectStore.createIndex('title', 'title', { unique: false });
-        
-        console.log('Database schema created successfully');
+      // Run every migration between the stored version and the current one
+      const rewrites = [];
+      for (let version = event.oldVersion; version < DB_VERSION; version++) {
+        MIGRATIONS[version](db, request.transaction, rewrite => rewrites.push(rewrite));
+      }
+      if (rewrites.length > 0) {
+        rewriteAllNotes(request.transaction, rewrites);
       }
+      
+      console.log(`Database upgraded from v${event.oldVersion} to v${DB_VERSION}`);
     };
   });
 }
 
+/**
+ * Returns the shared database connection, opening it if needed.
+ * Callers must not close the returned connection.
+ * @returns {Promise<IDBDatabase>} The database instance
+ */
+export function openDatabase() {
+  if (!connectionPromise) {
+    connectionPromise = connect().catch((error) => {
+      connectionPromise = null;
+      throw error;
+    });
+  }
+  return connectionPromise;
+}
+
+/**
+ * Runs work inside one transaction and resolves when it commits.
+ * If work returns an IDBRequest, the promise resolves with its result.
+ * Exported for sibling modules that own their own object stores.
+ * @param {Array<string>} storeNames - Object stores to include
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+ * @param {function(IDBTransaction): *} work - Queues requests on the transaction
+ * @returns {Promise<*>}
+ */
+export async function runTransaction(storeNames, mode, work) {
+  let db = await openDatabase();
+  let transaction;
+  
+  try {
+    transaction = db.transaction(storeNames, mode);
+  } catch (error) {
+    // The cached connection was closed underneath us; reopen once
+    if (error.name !== 'InvalidStateError') throw error;
+    connectionPromise = null;
+    db = await openDatabase();
+    transaction = db.transaction(storeNames, mode);
+  }
+  
+  return new Promise((resolve, reject) => {
+    let result;
+    
+    transaction.oncomplete = () => {
+      resolve(result instanceof IDBRequest ? result.result : result);
+    };
+    
+    transaction.onerror = () => {
+      reject(transaction.error);
+    };
+    
+    transaction.onabort = () => {
+      reject(transaction.error || new DOMException('Transaction aborted', 'AbortError'));
+    };
+    
+    try {
+      result = work(transaction);
+    } catch (error) {
+      transaction.abort();
+      reject(error);
+    }
+  });
+}
+
 /**
  * Initializes the database (call on extension install)
  * @returns {Promise<void>}
  */
 export async function initDatabase() {
   try {
-    const db = await openDatabase();
-    db.close();
+    await openDatabase();
     console.log('Database initialized successfully');
   } catch (error) {
     console.error('Failed to initialize database:', error);
@@ -64,27 +264,26 @@ export async function initDatabase() {
  * @returns {Promise<string>} The ID of the saved note
  */
 export async function saveNote(note) {
-  const db = await openDatabase();
-  
-  return new Promise((resolve, reject) => {
-    const transaction = db.transaction([STORE_NAME], 'readwrite');
-    const store = transaction.objectStore(STORE_NAME);
-    
-    const request = store.add(note);
-    
-    request.onsuccess = () => {
-      resolve(note.id);
-    };
-    
-    request.onerror = () => {
-      console.error('Failed to save note:', request.error);
-      reject(request.error);
-    };
-    
-    transaction.oncomplete = () => {
-      db.close();
-    };
-  });
+  const [id] = await saveNotes([note]);
+  return id;
+}
+
+/**
+ * Saves several new notes in a single transaction
+ * @param {Array<Object>} notes - The notes to save
+ * @returns {Promise<Array<string>>} The IDs of the saved notes
+ */
+export async function saveNotes(notes) {
+  try {
+    await runTransaction([STORE_NAME], 'readwrite', (transaction) => {
+      const store = transaction.objectStore(STORE_NAME);
+      notes.forEach(note => store.add(note));
+    });
+    return notes.map(note => note.id);
+  } catch (error) {
+    console.error('Failed to save notes:', error);
+    throw error;
+  }
 }
 
 /**
@@ -93,59 +292,98 @@ export async function saveNote(note) {
  * @returns {Promise<void>}
  */
 export async function updateNote(note) {
-  const db = await openDatabase();
+  await updateNotes([note]);
+}
+
+/**
+ * Describes what an update changes, for the revision history
+ * @param {Object} previous - The stored note
+ * @param {Object} note - The note about to replace it
+ * @returns {Object|null} The revision ({noteId, timestamp, fields,
+ *   previous}), or null if no recorded field changes
+ */
+function describeRevision(previous, note) {
+  const normalise = value => JSON.stringify(value ?? null);
+  const fields = HISTORY_FIELDS.filter(field => normalise(previous[field]) !== normalise(note[field]));
   
-  return new Promise((resolve, reject) => {
-    const transaction = db.transaction([STORE_NAME], 'readwrite');
-    const store = transaction.objectStore(STORE_NAME);
-    
-    const request = store.put(note);
-    
-    request.onsuccess = () => {
-      resolve();
-    };
-    
-    request.onerror = () => {
-      console.error('Failed to update note:', request.error);
-      reject(request.error);
-    };
-    
-    transaction.oncomplete = () => {
-      db.close();
-    };
-  });
+  if (fields.length === 0) {
+    return null;
+  }
+  
+  return {
+    noteId: note.id,
+    timestamp: note.updatedAt || new Date().toISOString(),
+    fields,
+    previous: Object.fromEntries(fields.map(field => [field, previous[field] ?? null]))
+  };
+}
+
+/**
+ * Updates several notes in a single transaction. Notes that already exist
+ * get a revision holding the previous values of every changed field.
+ * @param {Array<Object>} notes - The notes with updated data
+ * @returns {Promise<void>}
+ */
+export async function updateNotes(notes) {
+  try {
+    await runTransaction([STORE_NAME, REVISIONS_STORE], 'readwrite', (transaction) => {
+      const store = transaction.objectStore(STORE_NAME);
+      const revisions = transaction.objectStore(REVISIONS_STORE);
+      
+      notes.forEach(note => {
+        store.get(note.id).onsuccess = (event) => {
+          const previous = event.target.result;
+          const revision = previous && describeRevision(previous, note);
+          if (revision) {
+            revisions.add(revision);
+          }
+          store.put(note);
+        };
+      });
+    });
+  } catch (error) {
+    console.error('Failed to update notes:', error);
+    throw error;
+  }
 }
 
 /**
- * Retrieves all notes from the database
+ * Retrieves all notes from the database, except those in the trash
  * @returns {Promise<Array>} Array of all notes
  */
 export async function getAllNotes() {
-  const db = await openDatabase();
-  
-  return new Promise((resolve, reject) => {
-    const transaction = db.transaction([STORE_NAME], 'readonly');
-    const store = transaction.objectStore(STORE_NAME);
-    
-    const request = store.getAll();
-    
-    request.onsuccess = () => {
-      // Sort by timestamp (newest first)
-      const notes = request.result.sort((a, b) => 
-        new Date(b.timestamp) - new Date(a.timestamp)
-      );
-      resolve(notes);
-    };
-    
-    request.onerror = () => {
-      console.error('Failed to get notes:', request.error);
-      reject(request.error);
-    };
+  try {
+    const notes = await runTransaction([STORE_NAME], 'readonly', (transaction) =>
+      transaction.objectStore(STORE_NAME).getAll()
+    );
+    
+    // Sort by timestamp (newest first)
+    return notes.filter(note => !note.deletedAt).sort((a, b) => 
+      new Date(b.timestamp) - new Date(a.timestamp)
+    );
+  } catch (error) {
+    console.error('Failed to get notes:', error);
+    throw error;
+  }
+}
+
+/**
+ * Retrieves the notes in the trash
+ * @returns {Promise<Array>} Trashed notes, most recently deleted first
+ */
+export async function getTrashedNotes() {
+  try {
+    const notes = await runTransaction([STORE_NAME], 'readonly', (transaction) =>
+      transaction.objectStore(STORE_NAME).getAll()
+    );
     
-    transaction.oncomplete = () => {
-      db.close();
-    };
-  });
+    return notes.filter(note => note.deletedAt).sort((a, b) =>
+      new Date(b.deletedAt) - new Date(a.deletedAt)
+    );
+  } catch (error) {
+    console.error('Failed to get trashed notes:', error);
+    throw error;
+  }
 }
 
 /**
@@ -154,87 +392,112 @@ export async function getAllNotes() {
  * @returns {Promise<Object|null>} The note or null if not found
  */
 export async function getNoteById(noteId) {
-  const db = await openDatabase();
-  
-  return new Promise((resolve, reject) => {
-    const transaction = db.transaction([STORE_NAME], 'readonly');
-    const store = transaction.objectStore(STORE_NAME);
-    
-    const request = store.get(noteId);
-    
-    request.onsuccess = () => {
-      resolve(request.result || null);
-    };
-    
-    request.onerror = () => {
-      console.error('Failed to get note:', request.error);
-      reject(request.error);
-    };
-    
-    transaction.oncomplete = () => {
-      db.close();
-    };
-  });
+  try {
+    const note = await runTransaction([STORE_NAME], 'readonly', (transaction) =>
+      transaction.objectStore(STORE_NAME).get(noteId)
+    );
+    return note || null;
+  } catch (error) {
+    console.error('Failed to get note:', error);
+    throw error;
+  }
 }
 
 /**
- * Gets all notes for a specific URL
+ * Gets several notes by ID in a single transaction
+ * @param {Array<string>} noteIds - The note IDs
+ * @returns {Promise<Array<Object>>} The notes that exist, in the order requested
+ */
+export async function getNotesByIds(noteIds) {
+  try {
+    const notes = [];
+    await runTransaction([STORE_NAME], 'readonly', (transaction) => {
+      const store = transaction.objectStore(STORE_NAME);
+      noteIds.forEach((noteId, i) => {
+        store.get(noteId).onsuccess = (event) => {
+          notes[i] = event.target.result;
+        };
+      });
+    });
+    return notes.filter(Boolean);
+  } catch (error) {
+    console.error('Failed to get notes:', error);
+    throw error;
+  }
+}
+
+/**
+ * Gets all notes for a specific URL, except those in the trash
  * @param {string} url - The page URL
  * @returns {Promise<Array>} Array of notes for that URL
  */
 export async function getNotesByUrl(url) {
-  const db = await openDatabase();
-  
-  return new Promise((resolve, reject) => {
-    const transaction = db.transaction([STORE_NAME], 'readonly');
-    const store = transaction.objectStore(STORE_NAME);
-    const index = store.index('url');
-    
-    const request = index.getAll(url);
-    
-    request.onsuccess = () => {
-      resolve(request.result);
-    };
-    
-    request.onerror = () => {
-      console.error('Failed to get notes by URL:', request.error);
-      reject(request.error);
-    };
-    
-    transaction.oncomplete = () => {
-      db.close();
-    };
-  });
+  try {
+    const notes = await runTransaction([STORE_NAME], 'readonly', (transaction) =>
+      transaction.objectStore(STORE_NAME).index('url').getAll(url)
+    );
+    return notes.filter(note => !note.deletedAt);
+  } catch (error) {
+    console.error('Failed to get notes by URL:', error);
+    throw error;
+  }
 }
 
 /**
  * Gets all notes with a specific tag
  * @param {string} tag - The tag to filter by
+ * @param {Object} [options]
+ * @param {boolean} [options.includeTrashed] - Include notes in the trash,
+ *   e.g. when renaming a tag so restored notes come back renamed too
+ * @param {boolean} [options.includeDescendants] - Also include notes with
+ *   a tag nested under it ("project" finds "project/crazynote")
  * @returns {Promise<Array>} Array of notes with that tag
  */
-export async function getNotesByTag(tag) {
-  const db = await openDatabase();
-  
-  return new Promise((resolve, reject) => {
-    const transaction = db.transaction([STORE_NAME], 'readonly');
-    const store = transaction.objectStore(STORE_NAME);
-    const index = store.index('tags');
-    
-    const request = index.getAll(tag);
-    
-    request.onsuccess = () => {
-      resolve(request.result);
-    };
+export async function getNotesByTag(tag, { includeTrashed = false, includeDescendants = false } = {}) {
+  try {
+    const requests = await runTransaction([STORE_NAME], 'readonly', (transaction) => {
+      const index = transaction.objectStore(STORE_NAME).index('tags');
+      const found = [index.getAll(tag)];
+      
+      // Every nested tag sorts between "tag/" and "tag0" ("0" follows "/")
+      if (includeDescendants) {
+        const nextChar = String.fromCharCode(TAG_SEPARATOR.charCodeAt(0) + 1);
+        found.push(index.getAll(IDBKeyRange.bound(tag + TAG_SEPARATOR, tag + nextChar, false, true)));
+      }
+      return found;
+    });
     
-    request.onerror = () => {
-      console.error('Failed to get notes by tag:', request.error);
-      reject(request.error);
-    };
+    // A note with several nested tags is found once per tag
+    const notesById = new Map();
+    requests.forEach(request => {
+      request.result.forEach(note => notesById.set(note.id, note));
+    });
     
-    transaction.oncomplete = () => {
-      db.close();
-    };
-  });
+    const notes = [...notesById.values()];
+    return includeTrashed ? notes : notes.filter(note => !note.deletedAt);
+  } catch (error) {
+    console.error('Failed to get notes by tag:', error);
+    throw error;
+  }
+}
+
+/**
+ * Gets all notes filed in a notebook
+ * @param {string} notebookId - The notebook ID
+ * @param {Object} [options]
+ * @param {boolean} [options.includeTrashed] - Include notes in the trash
+ * @returns {Promise<Array>} The notebook's notes
+ */
+export async function getNotesByNotebook(notebookId, { includeTrashed = false } = {}) {
+  try {
+    const notes = await runTransaction([STORE_NAME], 'readonly', (transaction) =>
+      transaction.objectStore(STORE_NAME).index('notebookId').getAll(notebookId)
+    );
+    return includeTrashed ? notes : notes.filter(note => !note.deletedAt);
+  } catch (error) {
+    console.error('Failed to get notes by notebook:', error);
+    throw error;
+  }
 }
 
 /**
@@ -243,27 +506,54 @@ export async function getNotesByTag(tag) {
  * @returns {Promise<void>}
  */
 export async function deleteNote(noteId) {
-  const db = await openDatabase();
-  
-  return new Promise((resolve, reject) => {
-    const transaction = db.transaction([STORE_NAME], 'readwrite');
-    const store = transaction.objectStore(STORE_NAME);
-    
-    const request = store.delete(noteId);
-    
-    request.onsuccess = () => {
-      resolve();
-    };
-    
-    request.onerror = () => {
-      console.error('Failed to delete note:', request.error);
-      reject(request.error);
-    };
+  await deleteNotes([noteId]);
+}
+
+/**
+ * Permanently deletes several notes, and their history, in a single
+ * transaction. Deleting from the popup moves notes to the trash instead.
+ * @param {Array<string>} noteIds - The note IDs to delete
+ * @returns {Promise<void>}
+ */
+export async function deleteNotes(noteIds) {
+  try {
+    await runTransaction([STORE_NAME, REVISIONS_STORE], 'readwrite', (transaction) => {
+      const store = transaction.objectStore(STORE_NAME);
+      const revisionsByNote = transaction.objectStore(REVISIONS_STORE).index('noteId');
+      
+      noteIds.forEach(noteId => {
+        store.delete(noteId);
+        revisionsByNote.openCursor(noteId).onsuccess = (event) => {
+          const cursor = event.target.result;
+          if (!cursor) return;
+          cursor.delete();
+          cursor.continue();
+        };
+      });
+    });
+  } catch (error) {
+    console.error('Failed to delete notes:', error);
+    throw error;
+  }
+}
+
+/**
+ * Gets a note's revisions
+ * @param {string} noteId - The note ID
+ * @returns {Promise<Array<Object>>} Revisions, newest first
+ */
+export async function getRevisions(noteId) {
+  try {
+    const revisions = await runTransaction([REVISIONS_STORE], 'readonly', (transaction) =>
+      transaction.objectStore(REVISIONS_STORE).index('noteId').getAll(noteId)
+    );
     
-    transaction.oncomplete = () => {
-      db.close();
-    };
-  });
+    // Ids grow with every write, so they order revisions saved in one instant
+    return revisions.sort((a, b) => b.id - a.id);
+  } catch (error) {
+    console.error('Failed to get revisions:', error);
+    throw error;
+  }
 }
 
 /**
@@ -284,82 +574,41 @@ export async function getAllTags() {
 }
 
 /**
- * Searches notes by text content
- * @param {string} query - Search query
- * @returns {Promise<Array>} Matching notes
+ * Counts how many notes (outside the trash) use each tag. Parents of
+ * nested tags are listed too, even if no note has the parent itself.
+ * @returns {Promise<Array<{tag: string, count: number, total: number}>>}
+ *   Tags with the notes tagged exactly with them (count) and the notes
+ *   tagged with them or a tag nested under them (total), in tree order
  */
-export async function searchNotes(query) {
+export async function getTagCounts() {
   const notes = await getAllNotes();
-  const lowerQuery = query.toLowerCase();
+  const counts = new Map();
+  const entry = (tag) => {
+    if (!counts.has(tag)) counts.set(tag, { tag, count: 0, total: 0 });
+    return counts.get(tag);
+  };
+  
+  notes.forEach(note => {
+    const tags = note.tags || [];
+    tags.forEach(tag => entry(tag).count++);
+    new Set(tags.flatMap(tagAncestry)).forEach(tag => entry(tag).total++);
+  });
   
-  return notes.filter(note => 
-    note.text.toLowerCase().includes(lowerQuery) ||
-    note.title.toLowerCase().includes(lowerQuery) ||
-    (note.comment && note.comment.toLowerCase().includes(lowerQuery)) ||
-    (note.tags && note.tags.some(tag => tag.toLowerCase().includes(lowerQuery)))
-  );
+  return [...counts.values()].sort((a, b) => compareTagPaths(a.tag, b.tag));
 }
 
 /**
- * Clears all notes from the database
+ * Clears all notes, their history and the search index built from them
  * @returns {Promise<void>}
  */
 export async function clearAllNotes() {
-  const db = await openDatabase();
-  
-  return new Promise((resolve, reject) => {
-    const transaction = db.transaction([STORE_NAME], 'readwrite');
-    const store = transaction.objectStore(STORE_NAME);
-    
-    const request = store.clear();
-    
-    request.onsuccess = () => {
-      resolve();
-    };
-    
-    request.onerror = () => {
-      console.error('Failed to clear notes:', request.error);
-      reject(request.error);
-    };
-    
-    transaction.oncomplete = () => {
-      db.close();
-    };
-  });
-}
-
-/**
- * Exports all notes as JSON
- * @returns {Promise<string>} JSON string of all notes
- */
-export async function exportNotes() {
-  const notes = await getAllNotes();
-  return JSON.stringify(notes, null, 2);
-}
-
-/**
- * Imports notes from JSON
- * @param {string} jsonData - JSON string of notes
- * @returns {Promise<number>} Number of notes imported
- */
-export async function importNotes(jsonData) {
-  const notes = JSON.parse(jsonData);
-  let importedCount = 0;
-  
-  for (const note of notes) {
-    try {
-      await saveNote(note);
-      importedCount++;
-    } catch (error) {
-      // Note might already exist, try updating
-      try {
-        await updateNote(note);
-        importedCount++;
-      } catch (updateError) {
-        console.error('Failed to import note:', note.id, updateError);
-      }
-    }
+  const storeNames = [STORE_NAME, REVISIONS_STORE, SEARCH_TERMS_STORE, SEARCH_DOCS_STORE, META_STORE];
+  try {
+    await runTransaction(storeNames, 'readwrite', (transaction) => {
+      storeNames.forEach(name => transaction.objectStore(name).clear());
+    });
+  } catch (error) {
+    console.error('Failed to clear notes:', error);
+    throw error;
   }
-  
-  return importedCount;
 }
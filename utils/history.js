@@ -0,0 +1,127 @@
+/**
+ * History Utility Module
+ * Turns stored revisions into readable field-level changes and rebuilds
+ * earlier versions of a note for restoring
+ */
+
+import { HISTORY_FIELDS } from './database.js';
+
+// Fields shown as a word-by-word diff
+const TEXT_FIELDS = ['text', 'comment', 'title', 'source', 'sourceUrl', 'url'];
+
+// Longest texts (in words and spaces) diffed word by word; longer ones are
+// shown as replaced outright
+const MAX_DIFF_TOKENS = 600;
+
+/**
+ * Compares two texts word by word
+ * @param {string} from - Earlier text
+ * @param {string} to - Later text
+ * @returns {Array<{type: 'same'|'added'|'removed', text: string}>} Runs of
+ *   unchanged, added and removed text, in reading order
+ */
+export function diffWords(from, to) {
+  const a = (from || '').split(/(\s+)/).filter(Boolean);
+  const b = (to || '').split(/(\s+)/).filter(Boolean);
+  const runs = [];
+  const push = (type, text) => {
+    const last = runs[runs.length - 1];
+    if (last && last.type === type) {
+      last.text += text;
+    } else {
+      runs.push({ type, text });
+    }
+  };
+  
+  if (a.length > MAX_DIFF_TOKENS || b.length > MAX_DIFF_TOKENS) {
+    if (from) push('removed', from);
+    if (to) push('added', to);
+    return runs;
+  }
+  
+  // Longest common subsequence lengths of every pair of suffixes
+  const width = b.length + 1;
+  const lengths = new Uint16Array((a.length + 1) * width);
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i * width + j] = a[i] === b[j]
+        ? lengths[(i + 1) * width + j + 1] + 1
+        : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+    }
+  }
+  
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push('same', a[i]);
+      i++;
+      j++;
+    } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+      push('removed', a[i++]);
+    } else {
+      push('added', b[j++]);
+    }
+  }
+  while (i < a.length) push('removed', a[i++]);
+  while (j < b.length) push('added', b[j++]);
+  
+  return runs;
+}
+
+/**
+ * Returns the recorded fields of a note
+ * @param {Object} note - The note
+ * @returns {Object}
+ */
+function snapshot(note) {
+  return Object.fromEntries(HISTORY_FIELDS.map(field => [field, note[field] ?? null]));
+}
+
+/**
+ * Describes each revision as the changes its update made
+ * @param {Object} note - The note as it is now
+ * @param {Array<Object>} revisions - Its revisions, newest first
+ * @returns {Array<{id: number, timestamp: string, changes: Array<Object>}>}
+ *   One entry per revision, newest first. Each change is {field, from, to},
+ *   plus a word diff for text fields.
+ */
+export function buildHistory(note, revisions) {
+  let after = snapshot(note);
+  
+  return revisions.map(revision => {
+    const before = { ...after, ...revision.previous };
+    
+    const changes = revision.fields.map(field => {
+      const change = { field, from: before[field], to: after[field] };
+      if (TEXT_FIELDS.includes(field)) {
+        change.diff = diffWords(before[field], after[field]);
+      }
+      return change;
+    });
+    
+    after = before;
+    return { id: revision.id, timestamp: revision.timestamp, changes };
+  });
+}
+
+/**
+ * Rebuilds the recorded fields of a note as they were just before one of
+ * its revisions was saved
+ * @param {Object} note - The note as it is now
+ * @param {Array<Object>} revisions - Its revisions, newest first
+ * @param {number} revisionId - The revision to go back to
+ * @returns {Object|null} The fields to restore, or null if the revision
+ *   doesn't belong to the note
+ */
+export function versionBefore(note, revisions, revisionId) {
+  const index = revisions.findIndex(revision => revision.id === revisionId);
+  if (index === -1) {
+    return null;
+  }
+  
+  // Undo every later update, newest first, down to and including this one
+  return revisions
+    .slice(0, index + 1)
+    .reduce((version, revision) => ({ ...version, ...revision.previous }), snapshot(note));
+}
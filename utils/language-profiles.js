@@ -0,0 +1,36 @@
+/**
+ * Language Profiles
+ * Character trigram profiles for telling apart languages that share a script.
+ * Each profile lists the language's most frequent trigrams, most frequent
+ * first, separated by "|". Words are padded with one space on each side, so
+ * " th" is "th" at the start of a word.
+ */
+
+export const TRIGRAM_PROFILES = {
+  // English
+  en: ' th|the|he | an|nd |and| to| wh|ing| of|at |hat|ng |re |rs | be|en |ent|er |her|tha|ver|ers|eve|in |is |of |to | ha| in|as |es |ive|ve | co| is| ma|ed |ill|ld |le |ts | a | ar| bu| fo| li| pr| sh| we| wi|ay |ear|ere|ese|his|hou|ies|ll |lt |men|nin|nts|on |oul|ow |res|rie|ry |sho|thi|tor|uld| ba| ce| di| fa| fr| gr| he| ho| mo| ne| on| pl| re| st| vi| wa| wo|al |are|be |bou|ce |cen|ct |der|ect|et |ew |ffi|fic|for|ge |has|hil|ir |ist|lie|ls |ly |me |ne |ns |one|or |own|pla|ple|pro|riv|rou|se |st |ten|tow|tur|ved|whe|whi|wn | as| br| ch| do| ea| ev| hi| le| lo| mu| op| or| ot| pe| ri| sa| sm| so| tr|ace|act|age|ain|ake|all|als|ant|any|ark|arr|ary|ave|bel|bui|ch |cha|cia|cou|cul|de |dif|din|eas|eci|een|eir|eli|eop|ern|ery|est|fte|gh |gin|gra|gre|gs |han|hav|hei|hen|hes|hin|ho |hro|ial|icu|ide',
+  // French
+  fr: 'es | le| de|nt |ent|le | qu|de |les|que|et | la| et|la |ue |re |rs | po| vi|ill|lle|ns |ouv|des|est|eur| es| ma|ant|men|uve| co| en|ts |ur | l |aie|ain|end|ien|it |nts|our|pou|qui|st |urs|us |ux |vil| ce| fa| no| pa| pe| un|and|er |nou|oit|ous|tre|ui |ven|ver| au| av| ch| di| lo| pr| si| ét|ais|aux|ave|cha|che|com|dan|ens|ers|gra|in |ins|is |ite|leu|ndr|ons|ont|pen|rai|rch|ren|res|rt |tai|tan|tou|ut | do| du| gr| hi| il| pl| se| su| to| tr| vo| éc|age|ang|arc|aut|ce |dro|du |eau|ert|ge |han|il |iqu|ir |ire|ita|mai|mar|nde|ne |omm|ord|ort|out|par|por|pro|rd |riv|roi|sen|sin|sur|tes|tra|ues|ure|vai|viè|ès | a | ap| bo| d | da| dè| ha| on| ou| re| ri| so| ve| y | à | éq| êt|abi|ail|air|ans|app|ar |art|au |ava|bit|ble|ché|cil|cle|col|con|dev|dir|dis|doi|dès|ec |eme|en |enu|eux|ez |ger|hab|heu',
+  // German
+  de: 'en |ie | di|er |die|und|nd |der|sch| un|che| de|ich|ten| da|das|ein|nde| ge|ben|hen|ss |te | we| zu|ch | be| ei| si|ass|den| le|cht|gen|zu | ha| ma| me| sc| st| wa| wi|ach|am |as |bes|eit|ers|es |fen|ft |her|hre|ht |ine|leb|lei|lte|men|nen|nte|ren| do| fr| gl| ne| so| ve|adt|dt |ebe|ern|ert|haf|hal|in |ist|it |le |lic|neu|nge|nn |oll|rde|re |rt |sta|tad|uch|ver|wen| al| am| an| au| br| fü| he| im| of| sa| wo|abe|alt|an |aus|ber|des|eic|em |end|enn|erd|esc|ese|eue|für|ges|hte|ier|ies|ig |isc|lle|llt|mei|mme|ng |nsc|ort|rie|rn |rte|sen|sic|sie|sol|ste|suc|ung|uss|wer|wie|änd|ür | ar| bi| er| fa| fl| fo| hi| ih| in| is| ja| ka| la| mi| mu| na| or| um| vi| vo| wu| wä| ze| üb|aft|age|ahr|alb|all|amm|and|ang|arb|ark|aub|bau|bei|bri|cha|chs|de |dor|eht|eis|ens|ent|ere|erh|eso|eun|fer|ffe|flu|fte',
+  // Spanish
+  es: 'os |que|ue | de| la| qu|as |el | el| es| co|la | y |es | lo|de |los|an |do |en |est|ien|con|nte| pa|ra | en| po| si| ti| vi|ar |eci|lo |na |tie| a | ha| pe|aba|ad |ado|ant|dad|ent|ier|nos|on |or |ran|to |tra|uda| ca| ci| in| me| pu| so| tr| un|al |ara|bre|cin|ciu|com|emp|end|erc|ero|ert|esc|iud|ivi|no |nue|par|por|pue|re |res|ro |se |te |uer|uev|vie|viv| al| cr| ma| mu| nu| pr| su| to|ana|ano|bie|cad|cam|cre|ene|equ|er |era|esp|gra|gun|iem|il |ina|ios|ita|jo |las|le |les|lle|mer|ndo|ne |nta|obr|odo|ore|per|po |pre|rca|rec|ric|rio|rto|sig|sob|tas|tes|tod|tos|uel|una|vir| ab| an| di| do| du| eq| fu| fá| gr| hi| ho| le| ll| lu| mi| or| re| rí| se| ve|ajo|alg|amb|ami|and|arr|ay |ba |baj|bia|ble|blo|bri|cal|car|cer|cho|cia|cil|cio|cto|cue|da |das|deb|del|der|dif|dor|dos|dur|ebe|ebl|ech|eja|ejo',
+  // Italian
+  it: 'no |to |che|he |re | ch| e | il|il | co| di| la| pe|la |le |per| vi|ni |te | de| i |ano|ere|ti | po| qu| st|ato|er |ono| è |con|di |ent|ess|ici|ori|ri |ro |sto| ci| fa| pr| sp|att|del|erc|est|gli|io |itt|li |lla|ove|ran|rca|ta |tat|tor|tà |ver| do| in| le| lo| ma| me| ne| ri| sc| so| un|and|ann|cat|ci |cit|col|de |do |ers|ggi|ia |ini|ita|iva|ma |me |na |ne |nno|nta|nti|pro|que|ser|so |son|spe|ttà|ues| al| ap| ar| ca| es| gr| ha| nu| pa| se| su|agg|ale|amb|ant|are|cam|cer|com|ebb|el |ell|esc|ett|fic|gio|gra|ile|ive|lio|lo |mbi|men|mer|mo |nde|ndo|nuo|on |one|ont|oro|ort|ote|pes|po |por|pos|ra |res|ric|riv|rso|rto|se |si |sse|sso|str|sul|tte|tti|tto|tut|ume|uni|uov|utt|van|ve |viv|zio| a | ab| ce| cr| da| er| fi| fo| fu| l | lu| mo| og| si| te| tu|abi|arr|art|ata|ate|ava|ave|avo|azi|ba |bba',
+  // Portuguese
+  pt: 'as |os | co| qu|que| a |de |ue | de| e | o | es|am |es |em |er |res| se|com|do |est|ita|ra | ma| mu| os| pe|ar |esc|tas|ver|ão | no| pa| po| vi|ade|ant|ida|to | tr|ado|con|dad|ent|inh|mui|nte|pre|rio|uit| al| ci| do| me| pr| te|ara|bre|bri|cid|da |ho |ia |ive|lho|ma |no |nov|nta|obr|ore|par|por|ran|ria|ser|te |tes|tra|tro|uma| ab| as| ca| ce| da| di| lo| so| to| um| ve|ais|al |cad|cam|cer|cri|cul|dei|dev|dor|dos|eir|emp|equ|erc|esp|ess|eve|eze|ham|io |ios|ira|is |ist|ito|mer|na |nde|nha|nto|om |or |ora|ou |pes|qui|re |ric|ro |ros|rta|sco|se |sob|sso|sta|tem|tos|tór|viv|óri| ac| ch| cr| du| em| en| eq| fo| fá| hi| ho| in| lu| mo| nã| ri| sa| si| sé| ti| é |aba|abe|abr|ada|ald|alg|alh|ami|and|bal|car|che|cia|cil|col|cor|cos|cre|dam|das|dif|diz|dur|eci|edi|eia|elh|era|ere|ern|for|fíc|gar|gem',
+  // Dutch
+  nl: 'en | de|de | en|et | he|nde| ge|er | da|den|oor|ver|at |een|het|ren| te|aar|an |dat|der|ers|ken|te |ven| be| ma| ve|ere|gen|rs |sch| di| do| ee| mo| st| va| wa|ar |eve|ijk|in |lij|men|or | in| me| wi|die|eli|ens|euw|ie |is |len|moe|sta|ten|uwe| gr| is| le| op| vo| wo|ad |and|bes|cht|ede|eer|eke|end|ent|est|ied|jk |lle|nen|nne|oet|ove|pen|tad|uit|van|voo|wij|won|ze | br| er| hi| ni| ui| vi| vr| we| zi|aan|ame|dez|doo|ege|esc|eze|gel|gem|gro|hie|ht |ien|ier|ieu|ing|ker|kke|kt |maa|mak|mee|nee|nge|nie|nte|oei|oek|ond|one|op |ope|ord|rie|roe|rt |we | an| bi| bu| ha| hu| ie| ko| kw| la| lo| ne| on| ov| pl| pr| ri| ru| ti| to| ze| zo| zu|aak|aat|ak |ake|akk|am |ann|ant|ark|bew|bli|bou|bri|che|chi|ct |del|dor|ebo|eef|eeu|eg |egg|ek |ele|eme|enw|erk|ert|erz|ete|ewo|ge |geb|ges|gge|heb|hee|hun|iek',
+  // Swedish
+  sv: 'en |er | de|tt |ar |de | at|att|om | oc|ch |för|och|den|et | fö|na |är |ör | me| so| st| vi|som| ha|and|ara|der|la |nde|ns |or |rna|sta|ta |var| i | ko| sa| va| är|ade|ats|dra|ker|med|ndr|ra |ran|rar|te |tor| by| en| fl| ny| om| sk| ti|are|arn|ed |ga |har|isk|lat|lig|nar|pla|re |sam|ska|sto|tad|tid|und| ar| av| ba| bo| bö| fo| fr| li| lä| pl| på| si| sä| vä| öv|ala|ans|det|ens|fta|gen|gt |igt|kar|kom|ll |men|män|nad|nni|nya|oft|på |sa |sen|sko|ssa|ts |tse|ver|ya |öve| al| an| be| br| do| dä| fa| fi| ga| ge| gr| hi| hj| hu| in| ma| mä| må| nä| of| sp| sv| så| öp|all|alt|aml|amt|ann|arb|ark|art|as |at |av |bet|byg|bör|des|dig|där|ent|era|ess|eva|fle|flo|for|frå|gra|his|hjä|hun|ia |ide|idi|ig |iga|ike|ill|ing|int|ist|jär|ka |ket|kna|kon|kor|let|lev|liv|lla|lod|lt |mar|mti|nen|nga|nis|nli|ntr',
+  // Polish
+  pl: ' pr|rze| po|em | mi| że| i |dzi|ie |wie|że | je| na|ch |cy |ją |li |prz|to |we | wi|ają|mie|rzy|sto| a | od| si|ast|dla|est|ied|ię |jes|ka |któ|nie|owe|pow|się|st |tór|ze | dl| kt| ro| sp| st| te| w | ży|ach|ać |ci |cza|ias|ki |la |le |mia|now|owi|szy|tar|wać|ym |zie| by| cz| do| dz| ki| ma| no| rz| sz| ta| z | za|ak |ale|ce |cze|dy |ej |ejs|eka|ez |iaj|iej|iek|iem|inn|ios|jsc|kie|liw|na |owa|pac|pra|rac|spo|sta|szk|ych|yli|zaj|zas|zez|zka|zy |zys|ów |ła | al| bi| ch| du| gd| in| ja| lu| mo| mu| ni| ot| ra| sk| so| są| to| tr| ws| wy| zb| ze| zw|aby|acy|acz|ada|adz|ali|ani|arg|as |asz|bem|by |chl|czy|czę|dcz|dot|dza|eci|ecz|edy|edz|ego|ekt|ent|era|esz|etr|go |ia |ich|ier|ies|ist|iwe|ić |jak|kań|ko |kow|ktu|lep|lud|mi |my |nad|ne |ni |nia|nki|ny |obi|odc|oje|osk|osł|otw|ołe|ośc|pod|poz|poł',
+  // Turkish
+  tr: 'lar|ler|in | ve|eri|rin| ge|en |ve |ın | bu|ar |arı|rın| bi|bir|da |ele|nla| ko|anl| in| ye| yü|ak |aya|ekt|er |ere|gel|ir |iği|ni |rke| an| de| ha| ya|de |den|le |man|or |rek|tiğ|unu|uğu|yor|ğin|ğı |ığı| ka| kı| ol| ta| şe|ama|an |anı|ard|ası|bu |di |ehr|eni|erk|esi|eti|ger|hri|ile|ind|kti|nca|nda|nde|nu |oru|yen|yüz|çin|ğun|ıla| aç| ba| iç| sa| za| ço|alı|are|bur|cak|duğ|dığ|eld|ell|eği|ikl|ina|ine|ini|içi|kal|ken|kle|ldi|lik|lma|mek|ne |ri |si |un |unc|ura|ya |yer|yle|zam|ze |üze|ğu |ınd|ıyo|ışı|şeh| ay| bo| bü| da| dü| ed| ek| en| he| kö| kü| me| ne| pa| si| so| uz| va| ça| öz| üz|aba|ada|ahı|aki|ala|anc|ane|ara|ari|aza|aşa|aşt|boy|büy|ca |car|cıl|değ|diğ|ece|ede|edi|ek |el |erd|ett|eva|her|hi |ihi|inc|ins|irl|iyo|kes|ki |kla|kol|kor|kte|ktu|köy|ldu|lel|lla|lle|lli|lun|lış|mak|mas|may',
+  // Indonesian
+  id: 'an |ang|ng | me| se| da| be|ah |dan| ba| pa|ara|ber|yan| pe| te| ya|at |kan|ela|mem|men| di|ni |wa |ar |bah|ini|ntu|ra | in| ka| ke|ahw|aka|emb|hwa|ka |tu |ung| ko|ada|ama|aru|ban|di |emp|ga |gan|ing|itu|nga|per|ran|sem|ta |tuk| de| ha| ja| or| un|aga|ala|asa|da |eri|eta|kot|lah|ora|ota|par|pat|ri |sa |tan|uk |uka|unt| it| mu| sa| su|aha|ai |apa|eka|emu|eng|enj|era|ere|eru|esa|har|jal|jar|lan|ma |mah|mba|mer|nja|pan|pi |rin|rus|sar|ua |us | ad| an| ma| si| ti| tu|aan|aba|ad |ami|ana|ant|api|ari|awa|aya|bad|bar|buk|epa|erb|erj|gai|gar|gga|gi |gun|han|ika|iki|in |it |ker|mas|mbu|mi |mpa|mua|ngg|ngi|ngu|nta|pad|rah|ram|rek|rja|ru |seb|tem|ter|tet|ti |ya | ab| ak| bi| do| ga| ne| pu| ra| ro| ru| wa|adi|agi|aik|aja|ak |al |ali|alu|and|arg|ata|bag|bai|beb|bel|bes|bil|bua|buh|cay|dag|dal|dar|den',
+  // Russian
+  ru: 'то | и |ть | пр| чт|ест|ли |что| по|но |сто|тор| ко| ра|оль|ые | в | го| до| со|ают|ем |ить|ото|сь | де| жи| на| но|гор|ие |мес|нов|оро|про|ран|ся |ют | ме| не| об| ос| св| се| эт|ани|аст|бол|да |ере|жит|им |кот|мен|ой |ом |род|сть|тел|ти |тся|это| бо| во| вс| дл| др| ес| зд| из| ис| от| с | ст| то|ая |вре|гов|для|дол|дру|ей |ела|ели|ени|енн|есь|ет |жил|жно|или|ите|их |ия |ки |кол|ла |лас|льш|ля |ми |нит|нны|обы|овы|од |оры|осо|пре|при|рев|рем|руг|рые|сво|соб|ста|хра|час|ый | а | бу| бы| ве| вр| ка| лю| мо| мы| ре| ры| сч| ча|або|ает|айт|ак |али|ас |ате|ах |бен|бот|буд|бы |ват|ваю|век|во |все|вые|гда|гих|гу |дел|дер|дес|ди |дно|ебо|евн|ека|еке|еко|еме|ент|еск|есл|ети|жал|жел|жен|зде|ий |ина|иса|ист|ись|ита|йти|как|ке |ко |ког|кры|лед|льк|льн|люд|мог|му |мы |на |нем|нес|нно|ны |ные|ным|ня ',
+  // Ukrainian
+  uk: 'ти | що| і |сто|ть |ся | мі| пр|ли |міс|що | як|ми |іст| до| на|від|то |це |ють| бу| за| ма| по|ере|им |ка |ки |ові|ом |тьс|час|ься| ві| жи| з | ко| се| це| ча|ага|али|ают|ди |жит|ити|кол|кі |ла |му |нов|ого|одн|ому|про|сце|тор|ці |які|іль|ісц| а | ви| де| дл| зв| но| ра| ро| рі| св| ст| та| то| у |але|ас |ати|ає |аєт|бер|буд|важ|ві |для|ина|их |лив|ля |маг|має|най|ні |обл|оли|ома|пов|при|роз|рі |сел|ста|та |ува|єть| ал| бі| в | ва| вв| во| вс| ву| зб| зр| лю| ме| ми| не| од| ос| пе| ри| ту| є | іс|ажа|айт|ами|анн|анц|апи|аст|ах |бли|бут|ват|вва|ве |вел|вно|вча|го |год|гти|дно|дос|дув|егт|ей |ека|ели|ент|зал|збе|зро|ий |ики|или|ило|ими|ися|иця|иша|йти|кар|ким|кра|ку |ле |лек|лик|лис|ло |лос|льк|люд|лід|літ|мо |на |нам|не |ни |ння|но |ном|нці|ня |об |олі|орг|ори|осо|ост|ося|осі|ою |пра|раз'
+};
@@ -0,0 +1,238 @@
+/**
+ * Language Detection Utility Module
+ * Offline language detection: script counts pick the writing system, and
+ * bundled character trigram profiles tell apart languages that share one
+ */
+
+import { TRIGRAM_PROFILES } from './language-profiles.js';
+
+// Only the start of long notes is examined
+const MAX_SAMPLE_LENGTH = 2000;
+
+// Trigrams of the text compared against each profile
+const MAX_TEXT_TRIGRAMS = 300;
+
+// Below this many trigrams a profile match is little better than a guess,
+// and below the minimum profiles are not compared at all
+const MIN_CONFIDENT_TRIGRAMS = 60;
+const MIN_PROFILE_TRIGRAMS = 16;
+
+// A profile match less certain than this is reported as undetermined: a
+// sentence of five or six words is as likely to pick a neighbouring
+// language (Spanish read as Portuguese or Italian) as the right one
+const MIN_PROFILE_CERTAINTY = 0.4;
+
+// ISO 639 code for a language that could not be determined
+export const UNDETERMINED = 'und';
+
+// One CJK character carries about as much as a short Latin word
+const CJK_WEIGHT = 2;
+
+// Share of kana among Han + kana above which CJK text is Japanese
+const KANA_JAPANESE_SHARE = 0.1;
+
+/**
+ * Scripts and the language each implies on its own. Latin and Cyrillic are
+ * shared by several languages and are resolved with trigram profiles.
+ */
+const SCRIPTS = [
+  { script: 'Latin', pattern: /\p{Script=Latin}/u, profiles: ['en', 'fr', 'de', 'es', 'it', 'pt', 'nl', 'sv', 'pl', 'tr', 'id'] },
+  { script: 'Cyrillic', pattern: /\p{Script=Cyrillic}/u, profiles: ['ru', 'uk'] },
+  { script: 'Han', pattern: /\p{Script=Han}/u, cjk: true },
+  { script: 'Kana', pattern: /[\p{Script=Hiragana}\p{Script=Katakana}]/u, cjk: true },
+  { script: 'Hangul', pattern: /\p{Script=Hangul}/u, cjk: true },
+  { script: 'Arabic', pattern: /\p{Script=Arabic}/u, language: 'ar' },
+  { script: 'Hebrew', pattern: /\p{Script=Hebrew}/u, language: 'he' },
+  { script: 'Greek', pattern: /\p{Script=Greek}/u, language: 'el' },
+  { script: 'Thai', pattern: /\p{Script=Thai}/u, language: 'th' },
+  { script: 'Lao', pattern: /\p{Script=Lao}/u, language: 'lo' },
+  { script: 'Khmer', pattern: /\p{Script=Khmer}/u, language: 'km' },
+  { script: 'Myanmar', pattern: /\p{Script=Myanmar}/u, language: 'my' },
+  { script: 'Devanagari', pattern: /\p{Script=Devanagari}/u, language: 'hi' },
+  { script: 'Bengali', pattern: /\p{Script=Bengali}/u, language: 'bn' },
+  { script: 'Tamil', pattern: /\p{Script=Tamil}/u, language: 'ta' },
+  { script: 'Telugu', pattern: /\p{Script=Telugu}/u, language: 'te' },
+  { script: 'Kannada', pattern: /\p{Script=Kannada}/u, language: 'kn' },
+  { script: 'Malayalam', pattern: /\p{Script=Malayalam}/u, language: 'ml' },
+  { script: 'Gujarati', pattern: /\p{Script=Gujarati}/u, language: 'gu' },
+  { script: 'Gurmukhi', pattern: /\p{Script=Gurmukhi}/u, language: 'pa' },
+  { script: 'Oriya', pattern: /\p{Script=Oriya}/u, language: 'or' },
+  { script: 'Sinhala', pattern: /\p{Script=Sinhala}/u, language: 'si' },
+  { script: 'Georgian', pattern: /\p{Script=Georgian}/u, language: 'ka' },
+  { script: 'Armenian', pattern: /\p{Script=Armenian}/u, language: 'hy' }
+];
+
+// Letters only Persian or Urdu add to the Arabic alphabet
+const PERSIAN_LETTERS = /[\u067E\u0686\u0698\u06AF\u06A9\u06CC]/;
+const URDU_LETTERS = /[\u0679\u0688\u0691\u06BA\u06D2]/;
+
+// Profiles parsed on first use: language -> Map(trigram -> rank)
+let parsedProfiles = null;
+
+/**
+ * Returns the trigram profiles as rank lookups
+ * @returns {Map<string, Map<string, number>>}
+ */
+function getProfiles() {
+  if (!parsedProfiles) {
+    parsedProfiles = new Map(Object.entries(TRIGRAM_PROFILES).map(([language, profile]) => [
+      language,
+      new Map(profile.split('|').map((trigram, rank) => [trigram, rank]))
+    ]));
+  }
+  return parsedProfiles;
+}
+
+/**
+ * Counts the letters of each script in a text
+ * @param {string} text - The text
+ * @returns {Map<Object, number>} Script entry to letter count
+ */
+function countScripts(text) {
+  const counts = new Map();
+  
+  for (const char of text) {
+    if (!/\p{L}/u.test(char)) continue;
+    const entry = SCRIPTS.find(({ pattern }) => pattern.test(char));
+    if (entry) {
+      counts.set(entry, (counts.get(entry) || 0) + 1);
+    }
+  }
+  
+  return counts;
+}
+
+/**
+ * Ranks the character trigrams of the words written in one script
+ * @param {string} text - The text
+ * @param {RegExp} pattern - Matches a letter of the script
+ * @returns {Array<string>} Trigrams, most frequent first
+ */
+function rankTrigrams(text, pattern) {
+  const counts = new Map();
+  const words = text.toLowerCase().match(/[\p{L}\p{M}]+/gu) || [];
+  
+  words.forEach(word => {
+    if (!pattern.test(word)) return;
+    const padded = ` ${word} `;
+    for (let i = 0; i < padded.length - 2; i++) {
+      const trigram = padded.slice(i, i + 3);
+      counts.set(trigram, (counts.get(trigram) || 0) + 1);
+    }
+  });
+  
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1] || (a[0] < b[0] ? -1 : 1))
+    .slice(0, MAX_TEXT_TRIGRAMS)
+    .map(([trigram]) => trigram);
+}
+
+/**
+ * Picks the closest profile by "out of place" distance: how far each of
+ * the text's trigrams sits from its rank in the profile
+ * @param {Array<string>} trigrams - Ranked trigrams of the text
+ * @param {Array<string>} languages - Candidate profiles
+ * @returns {{language: string, certainty: number}|null} certainty is 0-1;
+ *   null when there is too little text to compare
+ */
+function matchProfiles(trigrams, languages) {
+  if (trigrams.length < MIN_PROFILE_TRIGRAMS) return null;
+  
+  const profiles = getProfiles();
+  const scores = languages.map(language => {
+    const profile = profiles.get(language);
+    const maxPenalty = profile.size;
+    let distance = 0;
+    
+    trigrams.forEach((trigram, rank) => {
+      const profileRank = profile.get(trigram);
+      distance += profileRank === undefined
+        ? maxPenalty
+        : Math.min(Math.abs(profileRank - rank), maxPenalty);
+    });
+    
+    return { language, similarity: 1 - distance / (trigrams.length * maxPenalty) };
+  }).sort((a, b) => b.similarity - a.similarity);
+  
+  const [best, runnerUp] = scores;
+  const margin = runnerUp ? (best.similarity - runnerUp.similarity) / best.similarity : 1;
+  const sampleSize = Math.min(1, trigrams.length / MIN_CONFIDENT_TRIGRAMS);
+  
+  return {
+    language: best.language,
+    certainty: Math.min(1, margin * 10) * sampleSize
+  };
+}
+
+/**
+ * Detects the language of a text
+ * @param {string} text - The text to analyze
+ * @returns {{language: string, confidence: number}} ISO 639-1 code and a
+ *   confidence from 0 to 1. Text with no letters, or Latin or Cyrillic
+ *   text too short to tell its language, is reported as UNDETERMINED.
+ */
+export function detectLanguage(text) {
+  const sample = (text || '').slice(0, MAX_SAMPLE_LENGTH);
+  const counts = countScripts(sample);
+  
+  // CJK scripts compete as one writing system
+  let cjkTotal = 0;
+  const weighted = [];
+  counts.forEach((count, entry) => {
+    if (entry.cjk) {
+      cjkTotal += count * CJK_WEIGHT;
+    } else {
+      weighted.push({ entry, weight: count });
+    }
+  });
+  if (cjkTotal > 0) {
+    weighted.push({ entry: { script: 'CJK' }, weight: cjkTotal });
+  }
+  
+  const total = weighted.reduce((sum, { weight }) => sum + weight, 0);
+  if (total === 0) {
+    return { language: UNDETERMINED, confidence: 0 };
+  }
+  
+  const { entry, weight } = weighted.sort((a, b) => b.weight - a.weight)[0];
+  const share = weight / total;
+  let language;
+  let certainty = 1;
+  
+  if (entry.script === 'CJK') {
+    const countOf = script => counts.get(SCRIPTS.find(item => item.script === script)) || 0;
+    const han = countOf('Han');
+    const kana = countOf('Kana');
+    const hangul = countOf('Hangul');
+    
+    if (hangul > han + kana) {
+      language = 'ko';
+    } else if (kana > (han + kana) * KANA_JAPANESE_SHARE) {
+      language = 'ja';
+    } else {
+      language = 'zh';
+    }
+  } else if (entry.profiles) {
+    const match = matchProfiles(rankTrigrams(sample, entry.pattern), entry.profiles);
+    if (!match || match.certainty < MIN_PROFILE_CERTAINTY) {
+      return { language: UNDETERMINED, confidence: 0 };
+    }
+    language = match.language;
+    certainty = match.certainty;
+  } else if (entry.language === 'ar') {
+    if (URDU_LETTERS.test(sample)) {
+      language = 'ur';
+    } else if (PERSIAN_LETTERS.test(sample)) {
+      language = 'fa';
+    } else {
+      language = 'ar';
+    }
+  } else {
+    language = entry.language;
+  }
+  
+  return {
+    language,
+    confidence: Math.round(share * certainty * 100) / 100
+  };
+}
@@ -0,0 +1,365 @@
+/**
+ * Markdown Utility Module
+ * Renders notes as Markdown, grouped by the page or source they came from:
+ * as one document, or as a vault of one file per source
+ */
+
+import { UNDETERMINED } from './language.js';
+
+// Words of the quote used for the start and end of a text fragment link
+const FRAGMENT_EDGE_WORDS = 4;
+
+// Words of surrounding page text used to disambiguate a text fragment
+const FRAGMENT_CONTEXT_WORDS = 3;
+
+// Quotes shorter than this many words link to the whole quote
+const FRAGMENT_MAX_EXACT_WORDS = 10;
+
+// Folder the vault export's files are placed in
+const VAULT_FOLDER = 'CrazyNote';
+
+// Longest file name (without extension) used for a vault file
+const MAX_FILE_NAME_LENGTH = 100;
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Encodes a piece of a text fragment directive. Besides the usual URL
+ * escaping, "-", "," and "&" are reserved by the directive syntax, and
+ * "(" and ")" would end the Markdown link the fragment sits in.
+ * @param {string} text - Plain text
+ * @returns {string}
+ */
+function encodeFragmentText(text) {
+  return encodeURIComponent(text).replace(/[-,&()]/g, char =>
+    '%' + char.charCodeAt(0).toString(16).toUpperCase()
+  );
+}
+
+/**
+ * Splits text into whitespace-separated words
+ * @param {string} text - The text
+ * @returns {Array<string>}
+ */
+function words(text) {
+  return (text || '').trim().split(/\s+/).filter(Boolean);
+}
+
+/**
+ * Builds a link that opens a note's page scrolled to its passage, using a
+ * URL text fragment (#:~:text=prefix-,start,end,-suffix)
+ * @param {Object} note - A web note
+ * @returns {string} The link, or the plain page URL if there's no text
+ */
+export function textFragmentUrl(note) {
+  const quoteWords = words(note.text);
+  if (!note.url || quoteWords.length === 0) return note.url || '';
+  
+  const pageUrl = note.url.split('#')[0];
+  const quote = (note.selectors || []).find(selector => selector.type === 'TextQuoteSelector');
+  const parts = [];
+  
+  const prefixWords = words(quote?.prefix).slice(-FRAGMENT_CONTEXT_WORDS);
+  if (prefixWords.length > 0) {
+    parts.push(encodeFragmentText(prefixWords.join(' ')) + '-');
+  }
+  
+  if (quoteWords.length <= FRAGMENT_MAX_EXACT_WORDS) {
+    parts.push(encodeFragmentText(quoteWords.join(' ')));
+  } else {
+    parts.push(encodeFragmentText(quoteWords.slice(0, FRAGMENT_EDGE_WORDS).join(' ')));
+    parts.push(encodeFragmentText(quoteWords.slice(-FRAGMENT_EDGE_WORDS).join(' ')));
+  }
+  
+  const suffixWords = words(quote?.suffix).slice(0, FRAGMENT_CONTEXT_WORDS);
+  if (suffixWords.length > 0) {
+    parts.push('-' + encodeFragmentText(suffixWords.join(' ')));
+  }
+  
+  return `${pageUrl}#:~:text=${parts.join(',')}`;
+}
+
+/**
+ * Formats a tag as a Markdown/Obsidian hashtag (no spaces allowed)
+ * @param {string} tag - The tag
+ * @returns {string} e.g. "#machine-learning"
+ */
+export function formatTag(tag) {
+  return '#' + tag.trim().replace(/\s+/g, '-').replace(/[#,]/g, '');
+}
+
+/**
+ * Returns a note's block anchor, derived from its id so it stays the same
+ * across exports (Obsidian block ids allow letters, digits and dashes)
+ * @param {Object} note - The note
+ * @returns {string} e.g. "cn-3f2a9c1e-..."
+ */
+export function noteAnchor(note) {
+  return 'cn-' + String(note.id).replace(/[^A-Za-z0-9-]/g, '-');
+}
+
+/**
+ * Escapes text used inside a Markdown link label
+ * @param {string} text - The text
+ * @returns {string}
+ */
+function escapeLinkText(text) {
+  return text.replace(/([\\[\]])/g, '\\$1');
+}
+
+/**
+ * Writes a URL as a Markdown link destination, in angle brackets when it
+ * has parentheses or spaces that would otherwise end the link early
+ * @param {string} url - The URL
+ * @returns {string}
+ */
+function linkDestination(url) {
+  if (!/[()\s<>]/.test(url)) return url;
+  return `<${url.replace(/</g, '%3C').replace(/>/g, '%3E')}>`;
+}
+
+/**
+ * Formats an ISO timestamp as YYYY-MM-DD
+ * @param {string} timestamp - ISO timestamp
+ * @returns {string}
+ */
+export function formatDate(timestamp) {
+  const date = new Date(timestamp);
+  return isNaN(date) ? '' : date.toISOString().slice(0, 10);
+}
+
+/**
+ * Renders text as a Markdown blockquote, keeping its line breaks
+ * @param {string} text - The text
+ * @returns {string}
+ */
+function blockquote(text) {
+  return text.trim().split(/\r?\n/).map(line => line.trim() ? `> ${line.trim()}` : '>').join('\n');
+}
+
+/**
+ * Returns where on its page a note sits, for ordering notes of one page
+ * @param {Object} note - The note
+ * @returns {number} Character offset, or Infinity if unknown
+ */
+function pagePosition(note) {
+  const position = (note.selectors || []).find(selector => selector.type === 'TextPositionSelector');
+  return position ? position.start : Infinity;
+}
+
+// ============================================
+// GROUPING
+// ============================================
+
+/**
+ * Groups notes by source: the page URL for web notes, the source text for
+ * manual notes. Groups keep the order in which their first note appears;
+ * notes within a group are in page order, then oldest first.
+ * @param {Array<Object>} notes - The notes
+ * @returns {Array<{key: string, title: string, url: string, notes: Array<Object>}>}
+ */
+export function groupBySource(notes) {
+  const groups = new Map();
+  
+  notes.forEach(note => {
+    const url = note.isManual ? (note.sourceUrl || '') : (note.url || '').split('#')[0];
+    const key = note.isManual ? `source:${note.source || note.title || ''}` : `url:${url}`;
+    
+    if (!groups.has(key)) {
+      groups.set(key, {
+        key,
+        title: (note.isManual ? note.source : note.title) || note.title || url || 'Manual Notes',
+        url,
+        notes: []
+      });
+    }
+    groups.get(key).notes.push(note);
+  });
+  
+  groups.forEach(group => {
+    group.notes.sort((a, b) =>
+      (pagePosition(a) - pagePosition(b)) || (new Date(a.timestamp) - new Date(b.timestamp))
+    );
+  });
+  
+  return [...groups.values()];
+}
+
+// ============================================
+// RENDERING
+// ============================================
+
+/**
+ * Renders one note: its quote, comment and a metadata line
+ * @param {Object} note - The note
+ * @param {Object} [options]
+ * @param {boolean} [options.anchor] - End the metadata line with the
+ *   note's block anchor ("^cn-...")
+ * @param {Object<string, string>} [options.meanings] - What highlight
+ *   colors mean, by upper case color (see colorMeanings)
+ * @returns {string}
+ */
+export function renderNote(note, { anchor = false, meanings = {} } = {}) {
+  const lines = [blockquote(note.text)];
+  
+  if (note.comment) {
+    lines.push('', note.comment.trim());
+  }
+  
+  const meta = [];
+  if (note.location) {
+    meta.push(note.location);
+  }
+  const meaning = meanings[(note.highlightColor || '').toUpperCase()];
+  if (meaning) {
+    meta.push(`🖍️ ${meaning}`);
+  }
+  if (note.tags && note.tags.length > 0) {
+    meta.push(note.tags.map(formatTag).join(' '));
+  }
+  meta.push(`Saved ${formatDate(note.timestamp)}`);
+  if (!note.isManual && note.url) {
+    meta.push(`[Open passage](${linkDestination(textFragmentUrl(note))})`);
+  }
+  
+  lines.push('', meta.join(' · ') + (anchor ? ` ^${noteAnchor(note)}` : ''));
+  return lines.join('\n');
+}
+
+/**
+ * Renders notes as one Markdown document, one section per source
+ * @param {Array<Object>} notes - The notes, in the order to show sources
+ * @param {Object} [options]
+ * @param {string} [options.scope] - Description of the filters applied
+ * @param {Object<string, string>} [options.meanings] - Color meanings
+ *   (see renderNote)
+ * @returns {string} Markdown text
+ */
+export function renderMarkdown(notes, { scope, meanings } = {}) {
+  const count = `${notes.length} note${notes.length === 1 ? '' : 's'}`;
+  const sections = [
+    '# CrazyNote Export',
+    `Exported ${formatDate(new Date().toISOString())} · ${count}${scope ? ` · ${scope}` : ''}`
+  ];
+  
+  groupBySource(notes).forEach(group => {
+    const heading = group.url
+      ? `## [${escapeLinkText(group.title)}](${linkDestination(group.url)})`
+      : `## ${group.title}`;
+    
+    sections.push(heading, ...group.notes.map(note => renderNote(note, { meanings })));
+  });
+  
+  return sections.join('\n\n') + '\n';
+}
+
+// ============================================
+// VAULT
+// ============================================
+
+/**
+ * Short, stable hash of a string (FNV-1a), used to give each source's
+ * file a name that doesn't depend on what else is exported
+ * @param {string} text - The text
+ * @returns {string} Six hex digits
+ */
+function shortHash(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0').slice(0, 6);
+}
+
+/**
+ * Turns a source title into a file name that Obsidian, Logseq and every
+ * common file system accept
+ * @param {string} title - The title
+ * @returns {string} File name without extension
+ */
+function toFileName(title) {
+  const name = title
+    .replace(/[\\/:*?"<>|#^[\]\u0000-\u001F]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, MAX_FILE_NAME_LENGTH)
+    .replace(/^\.+|[. ]+$/g, '');
+  return name || 'Untitled';
+}
+
+/**
+ * Renders a source's YAML front matter
+ * @param {Object} group - A group from groupBySource
+ * @returns {string}
+ */
+function renderFrontMatter(group) {
+  const notes = group.notes;
+  const times = notes.map(note => new Date(note.timestamp).getTime()).filter(time => !isNaN(time));
+  const changed = notes
+    .map(note => new Date(note.updatedAt || note.timestamp).getTime())
+    .filter(time => !isNaN(time));
+  
+  const tags = [...new Set(notes.flatMap(note => note.tags || []).map(tag => formatTag(tag).slice(1)))]
+    .filter(Boolean);
+  
+  const languageCounts = new Map();
+  notes.forEach(note => {
+    if (note.language && note.language !== UNDETERMINED) {
+      languageCounts.set(note.language, (languageCounts.get(note.language) || 0) + 1);
+    }
+  });
+  const language = [...languageCounts.entries()].sort((a, b) => b[1] - a[1])[0]?.[0];
+  
+  // JSON strings are valid YAML double-quoted scalars
+  const lines = ['---', `title: ${JSON.stringify(group.title)}`];
+  if (group.url) lines.push(`url: ${JSON.stringify(group.url)}`);
+  if (group.key.startsWith('source:')) lines.push(`source: ${JSON.stringify(group.title)}`);
+  if (tags.length > 0) {
+    lines.push('tags:', ...tags.map(tag => `  - ${JSON.stringify(tag)}`));
+  }
+  if (times.length > 0) {
+    lines.push(`captured: ${formatDate(new Date(Math.min(...times)).toISOString())}`);
+    lines.push(`updated: ${formatDate(new Date(Math.max(...changed)).toISOString())}`);
+  }
+  if (language) lines.push(`language: ${language}`);
+  lines.push(`notes: ${notes.length}`, '---');
+  
+  return lines.join('\n');
+}
+
+/**
+ * Renders notes as a vault: one Markdown file per source, with YAML front
+ * matter and a block anchor per note. File names are the source title plus
+ * a hash of the source's URL (or name), and anchors come from note ids, so
+ * exporting again over the same folder updates files in place instead of
+ * duplicating them, whichever other notes are exported alongside.
+ * @param {Array<Object>} notes - The notes
+ * @param {Object} [options]
+ * @param {string} [options.folder] - Subfolder to place the files in, such
+ *   as the notebook being exported
+ * @param {Object<string, string>} [options.meanings] - Color meanings
+ *   (see renderNote)
+ * @returns {Array<{name: string, content: string}>} Paths and file contents
+ */
+export function renderVault(notes, { folder, meanings } = {}) {
+  const root = folder ? `${VAULT_FOLDER}/${toFileName(folder)}` : VAULT_FOLDER;
+  
+  return groupBySource(notes).map(group => {
+    const fileName = `${toFileName(group.title)} (${shortHash(group.key)})`;
+    
+    const sections = [
+      renderFrontMatter(group),
+      `# ${group.title}`
+    ];
+    if (group.url) sections.push(`<${group.url}>`);
+    sections.push(...group.notes.map(note => renderNote(note, { anchor: true, meanings })));
+    
+    return {
+      name: `${root}/${fileName}.md`,
+      content: sections.join('\n\n') + '\n'
+    };
+  });
+}
@@ -0,0 +1,196 @@
+/**
+ * Notebooks Utility Module
+ * Stores the notebooks notes can be filed in: a name, an optional
+ * description, a colour and their position in the notebook list
+ */
+
+import { runTransaction, NOTEBOOKS_STORE } from './database.js';
+import { generateUUID } from './uuid.js';
+
+// Colour given to notebooks created without one
+export const DEFAULT_NOTEBOOK_COLOR = '#667eea';
+
+// Longest notebook name and description kept
+const MAX_NAME_LENGTH = 60;
+const MAX_DESCRIPTION_LENGTH = 300;
+
+/**
+ * Gets every notebook, in list order (then by name)
+ * @returns {Promise<Array<Object>>} The notebooks
+ */
+export async function getNotebooks() {
+  try {
+    const notebooks = await runTransaction([NOTEBOOKS_STORE], 'readonly', (transaction) =>
+      transaction.objectStore(NOTEBOOKS_STORE).getAll()
+    );
+    return notebooks.sort((a, b) => (a.order - b.order) || a.name.localeCompare(b.name));
+  } catch (error) {
+    console.error('Failed to get notebooks:', error);
+    throw error;
+  }
+}
+
+/**
+ * Checks a notebook's fields and normalises them
+ * @param {*} raw - The notebook as sent or imported
+ * @returns {{notebook: Object}|{error: string}} The cleaned fields (name,
+ *   description, color and order where given)
+ */
+export function validateNotebook(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { error: 'not a notebook object' };
+  }
+  
+  const name = typeof raw.name === 'string' ? raw.name.replace(/\s+/g, ' ').trim() : '';
+  if (!name) {
+    return { error: 'Notebook name is required' };
+  }
+  
+  const notebook = {
+    name: name.slice(0, MAX_NAME_LENGTH),
+    description: typeof raw.description === 'string'
+      ? raw.description.trim().slice(0, MAX_DESCRIPTION_LENGTH)
+      : '',
+    color: typeof raw.color === 'string' && /^#[0-9a-f]{6}$/i.test(raw.color)
+      ? raw.color.toLowerCase()
+      : DEFAULT_NOTEBOOK_COLOR
+  };
+  if (Number.isFinite(raw.order)) {
+    notebook.order = raw.order;
+  }
+  
+  return { notebook };
+}
+
+/**
+ * Creates a notebook, or updates one when an existing id is given
+ * @param {Object} data - {id?, name, description?, color?}
+ * @returns {Promise<Object>} The saved notebook
+ * @throws {Error} If the fields are invalid, the id is unknown or another
+ *   notebook already has the name
+ */
+export async function saveNotebook(data) {
+  const result = validateNotebook(data);
+  if (result.error) {
+    throw new Error(result.error);
+  }
+  
+  const notebooks = await getNotebooks();
+  const existing = data.id ? notebooks.find(notebook => notebook.id === data.id) : null;
+  if (data.id && !existing) {
+    throw new Error('Notebook not found');
+  }
+  
+  const nameTaken = notebooks.some(notebook =>
+    notebook.id !== data.id && notebook.name.toLowerCase() === result.notebook.name.toLowerCase()
+  );
+  if (nameTaken) {
+    throw new Error(`A notebook named "${result.notebook.name}" already exists`);
+  }
+  
+  const now = new Date().toISOString();
+  const notebook = existing
+    ? { ...existing, ...result.notebook, order: existing.order, updatedAt: now }
+    : {
+        ...result.notebook,
+        id: generateUUID(),
+        order: notebooks.reduce((max, notebook) => Math.max(max, notebook.order), -1) + 1,
+        createdAt: now,
+        updatedAt: now
+      };
+  
+  await runTransaction([NOTEBOOKS_STORE], 'readwrite', (transaction) => {
+    transaction.objectStore(NOTEBOOKS_STORE).put(notebook);
+  });
+  return notebook;
+}
+
+/**
+ * Deletes a notebook. Its notes are left to the caller.
+ * @param {string} notebookId - The notebook ID
+ * @returns {Promise<void>}
+ */
+export async function deleteNotebook(notebookId) {
+  try {
+    await runTransaction([NOTEBOOKS_STORE], 'readwrite', (transaction) => {
+      transaction.objectStore(NOTEBOOKS_STORE).delete(notebookId);
+    });
+  } catch (error) {
+    console.error('Failed to delete notebook:', error);
+    throw error;
+  }
+}
+
+/**
+ * Puts notebooks in a new order. Notebooks missing from the list keep
+ * their relative order after the listed ones.
+ * @param {Array<string>} notebookIds - Notebook IDs, first to last
+ * @returns {Promise<Array<Object>>} Every notebook, in the new order
+ */
+export async function reorderNotebooks(notebookIds) {
+  const notebooks = await getNotebooks();
+  const position = (notebook) => {
+    const index = notebookIds.indexOf(notebook.id);
+    return index === -1 ? notebookIds.length : index;
+  };
+  
+  const ordered = [...notebooks]
+    .sort((a, b) => position(a) - position(b))
+    .map((notebook, order) => ({ ...notebook, order }));
+  
+  await runTransaction([NOTEBOOKS_STORE], 'readwrite', (transaction) => {
+    const store = transaction.objectStore(NOTEBOOKS_STORE);
+    ordered.forEach(notebook => store.put(notebook));
+  });
+  return ordered;
+}
+
+/**
+ * Adds notebooks from an export file. Notebooks that already exist (by id)
+ * are kept as they are, so notes filed in them stay filed. A notebook
+ * named like an existing one (ignoring case) is merged into it, as names
+ * are unique.
+ * @param {Array<*>} entries - Raw notebook entries
+ * @returns {Promise<{added: number, merged: Map<string, string>}>} How
+ *   many notebooks were added, and the existing notebook ID each merged
+ *   one's ID now stands for
+ */
+export async function importNotebooks(entries) {
+  const notebooks = await getNotebooks();
+  const existingIds = new Set(notebooks.map(notebook => notebook.id));
+  const idsByName = new Map(notebooks.map(notebook => [notebook.name.toLowerCase(), notebook.id]));
+  let order = notebooks.reduce((max, notebook) => Math.max(max, notebook.order), -1) + 1;
+  
+  const toAdd = [];
+  const merged = new Map();
+  entries.forEach(entry => {
+    const result = validateNotebook(entry);
+    if (result.error || typeof entry.id !== 'string' || !entry.id || existingIds.has(entry.id)) {
+      return;
+    }
+    
+    const sameName = idsByName.get(result.notebook.name.toLowerCase());
+    if (sameName) {
+      merged.set(entry.id, sameName);
+      return;
+    }
+    
+    existingIds.add(entry.id);
+    idsByName.set(result.notebook.name.toLowerCase(), entry.id);
+    toAdd.push({
+      ...result.notebook,
+      id: entry.id,
+      order: order++,
+      createdAt: typeof entry.createdAt === 'string' ? entry.createdAt : new Date().toISOString(),
+      updatedAt: typeof entry.updatedAt === 'string' ? entry.updatedAt : new Date().toISOString()
+    });
+  });
+  
+  if (toAdd.length > 0) {
+    await runTransaction([NOTEBOOKS_STORE], 'readwrite', (transaction) => {
+      const store = transaction.objectStore(NOTEBOOKS_STORE);
+      toAdd.forEach(notebook => store.put(notebook));
+    });
+  }
+  return { added: toAdd.length, merged };
+}
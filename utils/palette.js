@@ -0,0 +1,125 @@
+/**
+ * Palette Utility Module
+ * The highlight colors offered when saving and editing notes, each with a
+ * name and an optional meaning the user gives it (e.g. green = key fact,
+ * red = disagree). The first color is the one new notes get by default.
+ */
+
+// chrome.storage.local key holding the user's palette
+const PALETTE_KEY = 'highlightPalette';
+
+// Palette used until the user changes it
+export const DEFAULT_PALETTE = [
+  { color: '#FFEB3B', name: 'Yellow', meaning: '' },
+  { color: '#A5D6A7', name: 'Green', meaning: '' },
+  { color: '#90CAF9', name: 'Blue', meaning: '' },
+  { color: '#F48FB1', name: 'Pink', meaning: '' },
+  { color: '#FFCC80', name: 'Orange', meaning: '' },
+  { color: '#CE93D8', name: 'Purple', meaning: '' }
+];
+
+// Most colors a palette holds, and the longest name and meaning kept
+const MAX_PALETTE_SIZE = 10;
+const MAX_NAME_LENGTH = 30;
+const MAX_MEANING_LENGTH = 60;
+
+/**
+ * Checks a palette and normalises its entries
+ * @param {*} raw - The palette as sent or imported
+ * @returns {{palette: Array<Object>}|{error: string}} The cleaned entries
+ *   ({color, name, meaning}, colors upper case)
+ */
+export function validatePalette(raw) {
+  if (!Array.isArray(raw) || raw.length === 0) {
+    return { error: 'The palette needs at least one color' };
+  }
+  if (raw.length > MAX_PALETTE_SIZE) {
+    return { error: `The palette holds at most ${MAX_PALETTE_SIZE} colors` };
+  }
+  
+  const palette = [];
+  for (const entry of raw) {
+    if (!entry || typeof entry.color !== 'string' || !/^#[0-9a-f]{6}$/i.test(entry.color)) {
+      return { error: 'Every palette entry needs a color such as #FFEB3B' };
+    }
+    
+    const color = entry.color.toUpperCase();
+    if (palette.some(existing => existing.color === color)) {
+      return { error: `${color} is in the palette twice` };
+    }
+    
+    const name = typeof entry.name === 'string' ? entry.name.replace(/\s+/g, ' ').trim() : '';
+    palette.push({
+      color,
+      name: (name || color).slice(0, MAX_NAME_LENGTH),
+      meaning: typeof entry.meaning === 'string'
+        ? entry.meaning.replace(/\s+/g, ' ').trim().slice(0, MAX_MEANING_LENGTH)
+        : ''
+    });
+  }
+  
+  return { palette };
+}
+
+/**
+ * Reads the user's palette
+ * @returns {Promise<Array<Object>>} The palette, or the default one
+ */
+export async function getPalette() {
+  const { [PALETTE_KEY]: stored } = await chrome.storage.local.get(PALETTE_KEY);
+  const result = validatePalette(stored);
+  return result.error ? DEFAULT_PALETTE.map(entry => ({ ...entry })) : result.palette;
+}
+
+/**
+ * Replaces the user's palette
+ * @param {Array<Object>} entries - {color, name, meaning} in palette order
+ * @returns {Promise<Array<Object>>} The saved palette
+ * @throws {Error} If the palette is invalid
+ */
+export async function savePalette(entries) {
+  const result = validatePalette(entries);
+  if (result.error) {
+    throw new Error(result.error);
+  }
+  
+  await chrome.storage.local.set({ [PALETTE_KEY]: result.palette });
+  return result.palette;
+}
+
+/**
+ * Goes back to the default palette
+ * @returns {Promise<Array<Object>>} The default palette
+ */
+export async function resetPalette() {
+  await chrome.storage.local.remove(PALETTE_KEY);
+  return getPalette();
+}
+
+/**
+ * Adopts the palette of an export file, unless the user already made
+ * their own, which is kept
+ * @param {*} entries - The palette from the file
+ * @returns {Promise<boolean>} Whether the palette was adopted
+ */
+export async function importPalette(entries) {
+  const { [PALETTE_KEY]: stored } = await chrome.storage.local.get(PALETTE_KEY);
+  const result = validatePalette(entries);
+  if (stored || result.error || JSON.stringify(result.palette) === JSON.stringify(DEFAULT_PALETTE)) {
+    return false;
+  }
+  
+  await chrome.storage.local.set({ [PALETTE_KEY]: result.palette });
+  return true;
+}
+
+/**
+ * Maps each color that has a meaning to that meaning
+ * @param {Array<Object>} palette - The palette
+ * @returns {Object<string, string>} Meaning by upper case color
+ */
+export function colorMeanings(palette) {
+  return Object.fromEntries(
+    palette.filter(entry => entry.meaning).map(entry => [entry.color.toUpperCase(), entry.meaning])
+  );
+}
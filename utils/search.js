@@ -0,0 +1,680 @@
+/**
+ * Search Utility Module
+ * Maintains a persistent inverted index over notes and answers ranked
+ * full-text queries against it
+ */
+
+import {
+  runTransaction,
+  getAllNotes,
+  getNotesByIds,
+  SEARCH_TERMS_STORE,
+  SEARCH_DOCS_STORE,
+  META_STORE
+} from './database.js';
+import { tokenize } from './tokenizer.js';
+import { isTagOrDescendant, normalizeTag } from './tags.js';
+
+// Bump whenever tokenisation or the stored index format changes; an index
+// built by another version is rebuilt from scratch on first use
+const INDEX_VERSION = 3;
+const META_KEY = 'searchIndex';
+
+// How much one occurrence of a term counts towards a note's score, by field
+const FIELD_WEIGHTS = {
+  title: 2,
+  text: 1,
+  comment: 1,
+  source: 1,
+  tags: 3
+};
+
+// BM25 tuning
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Prefix matches rank below exact matches of the same query term
+const PREFIX_MATCH_WEIGHT = 0.6;
+const MAX_PREFIX_EXPANSIONS = 64;
+
+// Fields a result snippet may come from, in order of preference
+const SNIPPET_FIELDS = ['text', 'comment', 'title'];
+const SNIPPET_LENGTH = 160;
+const SNIPPET_LEAD = 40;
+
+const QUERY_PATTERN = /(-?)(?:(tag|site|before|after):)?(?:"([^"]*)"?|(\S+))/gi;
+
+// ============================================
+// DOCUMENTS
+// ============================================
+
+/**
+ * Returns the text of each indexed field of a note
+ * @param {Object} note - The note
+ * @returns {Object<string, string>} Field name to text
+ */
+function getNoteFields(note) {
+  return {
+    title: note.title || '',
+    text: note.text || '',
+    comment: note.comment || '',
+    source: note.source || '',
+    tags: Array.isArray(note.tags) ? note.tags.join(' ') : ''
+  };
+}
+
+/**
+ * Builds the index document for a note: weighted term frequencies and length
+ * @param {Object} note - The note
+ * @returns {{id: string, terms: Object<string, number>, length: number}}
+ */
+function buildDocument(note) {
+  const terms = {};
+  let length = 0;
+  
+  Object.entries(getNoteFields(note)).forEach(([field, value]) => {
+    const weight = FIELD_WEIGHTS[field];
+    tokenize(value, { forIndex: true }).forEach(({ term }) => {
+      terms[term] = (terms[term] || 0) + weight;
+      length += weight;
+    });
+  });
+  
+  return { id: note.id, terms, length };
+}
+
+// ============================================
+// INDEX MAINTENANCE
+// ============================================
+
+// Index writes run one at a time so each sees the previous one's result
+let indexQueue = Promise.resolve();
+
+// Resolves once the stored index matches INDEX_VERSION
+let readyPromise = null;
+
+/**
+ * Queues an index task behind any that are already running
+ * @param {function(): Promise<*>} task - The task
+ * @returns {Promise<*>} The task's result
+ */
+function enqueue(task) {
+  const run = indexQueue.then(task);
+  indexQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Reads several records from one store in a single transaction
+ * @param {string} storeName - The object store
+ * @param {Array<string>} keys - The keys to read
+ * @returns {Promise<Array<Object|undefined>>} Records in key order
+ */
+async function getRecords(storeName, keys) {
+  const records = [];
+  await runTransaction([storeName], 'readonly', (transaction) => {
+    const store = transaction.objectStore(storeName);
+    keys.forEach((key, i) => {
+      store.get(key).onsuccess = (event) => {
+        records[i] = event.target.result;
+      };
+    });
+  });
+  return records;
+}
+
+/**
+ * Reads the index bookkeeping record
+ * @returns {Promise<Object|undefined>}
+ */
+function getMeta() {
+  return runTransaction([META_STORE], 'readonly', (transaction) =>
+    transaction.objectStore(META_STORE).get(META_KEY)
+  );
+}
+
+/**
+ * Builds the whole index from the notes store, replacing what was there
+ * @returns {Promise<void>}
+ */
+async function rebuildIndex() {
+  const notes = await getAllNotes();
+  const postings = new Map();
+  let totalLength = 0;
+  
+  const docs = notes.map(buildDocument);
+  docs.forEach(doc => {
+    totalLength += doc.length;
+    Object.entries(doc.terms).forEach(([term, frequency]) => {
+      if (!postings.has(term)) postings.set(term, {});
+      postings.get(term)[doc.id] = frequency;
+    });
+  });
+  
+  const storeNames = [SEARCH_TERMS_STORE, SEARCH_DOCS_STORE, META_STORE];
+  await runTransaction(storeNames, 'readwrite', (transaction) => {
+    const termStore = transaction.objectStore(SEARCH_TERMS_STORE);
+    const docStore = transaction.objectStore(SEARCH_DOCS_STORE);
+    
+    termStore.clear();
+    docStore.clear();
+    postings.forEach((notePostings, term) => termStore.put({ term, postings: notePostings }));
+    docs.forEach(doc => docStore.put(doc));
+    transaction.objectStore(META_STORE).put({
+      key: META_KEY,
+      version: INDEX_VERSION,
+      docCount: docs.length,
+      totalLength
+    });
+  });
+  
+  console.log(`Search index rebuilt for ${docs.length} notes`);
+}
+
+/**
+ * Makes sure the stored index is complete and current, rebuilding it if not
+ * @returns {Promise<void>}
+ */
+export function ensureIndex() {
+  if (!readyPromise) {
+    readyPromise = enqueue(async () => {
+      const meta = await getMeta();
+      if (!meta || meta.version !== INDEX_VERSION) {
+        await rebuildIndex();
+      }
+    }).catch((error) => {
+      readyPromise = null;
+      throw error;
+    });
+  }
+  return readyPromise;
+}
+
+/**
+ * Marks the index as out of date so the next search rebuilds it.
+ * Used when an incremental update fails.
+ * @returns {Promise<void>}
+ */
+export async function invalidateIndex() {
+  readyPromise = null;
+  await runTransaction([META_STORE], 'readwrite', (transaction) => {
+    transaction.objectStore(META_STORE).delete(META_KEY);
+  });
+}
+
+/**
+ * Replaces the index entries of some notes and drops others
+ * @param {Array<Object>} notes - Notes to (re)index
+ * @param {Array<string>} removedIds - IDs of notes to drop
+ * @returns {Promise<void>}
+ */
+async function updateIndex(notes, removedIds) {
+  const ids = [...new Set([...notes.map(note => note.id), ...removedIds])];
+  const [oldDocs, [meta]] = await Promise.all([
+    getRecords(SEARCH_DOCS_STORE, ids),
+    getRecords(META_STORE, [META_KEY])
+  ]);
+  
+  const newDocs = notes.map(buildDocument);
+  const affectedTerms = new Set();
+  oldDocs.forEach(doc => doc && Object.keys(doc.terms).forEach(term => affectedTerms.add(term)));
+  newDocs.forEach(doc => Object.keys(doc.terms).forEach(term => affectedTerms.add(term)));
+  
+  const terms = [...affectedTerms];
+  const termRecords = await getRecords(SEARCH_TERMS_STORE, terms);
+  const postingsByTerm = new Map(terms.map((term, i) => [
+    term,
+    termRecords[i] ? termRecords[i].postings : {}
+  ]));
+  
+  let docCount = meta ? meta.docCount : 0;
+  let totalLength = meta ? meta.totalLength : 0;
+  
+  oldDocs.forEach(doc => {
+    if (!doc) return;
+    docCount--;
+    totalLength -= doc.length;
+    Object.keys(doc.terms).forEach(term => delete postingsByTerm.get(term)[doc.id]);
+  });
+  
+  newDocs.forEach(doc => {
+    docCount++;
+    totalLength += doc.length;
+    Object.entries(doc.terms).forEach(([term, frequency]) => {
+      postingsByTerm.get(term)[doc.id] = frequency;
+    });
+  });
+  
+  const storeNames = [SEARCH_TERMS_STORE, SEARCH_DOCS_STORE, META_STORE];
+  await runTransaction(storeNames, 'readwrite', (transaction) => {
+    const termStore = transaction.objectStore(SEARCH_TERMS_STORE);
+    const docStore = transaction.objectStore(SEARCH_DOCS_STORE);
+    
+    postingsByTerm.forEach((postings, term) => {
+      if (Object.keys(postings).length > 0) {
+        termStore.put({ term, postings });
+      } else {
+        termStore.delete(term);
+      }
+    });
+    
+    removedIds.forEach(id => docStore.delete(id));
+    newDocs.forEach(doc => docStore.put(doc));
+    
+    transaction.objectStore(META_STORE).put({
+      key: META_KEY,
+      version: INDEX_VERSION,
+      docCount,
+      totalLength
+    });
+  });
+}
+
+/**
+ * Adds or refreshes notes in the index. Call after notes are saved or updated.
+ * @param {Array<Object>} notes - The notes as stored
+ * @returns {Promise<void>}
+ */
+export async function indexNotes(notes) {
+  await ensureIndex();
+  await enqueue(() => updateIndex(notes, []));
+}
+
+/**
+ * Drops notes from the index. Call after notes are deleted.
+ * @param {Array<string>} noteIds - The deleted note IDs
+ * @returns {Promise<void>}
+ */
+export async function removeNotes(noteIds) {
+  await ensureIndex();
+  await enqueue(() => updateIndex([], noteIds));
+}
+
+// ============================================
+// QUERY PARSING
+// ============================================
+
+/**
+ * Parses a date filter value: YYYY, YYYY-MM or YYYY-MM-DD (local time)
+ * @param {string} value - The value after before: or after:
+ * @returns {{start: Date, end: Date}|null} The period, end exclusive
+ */
+function parseDatePeriod(value) {
+  const match = /^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/.exec(value);
+  if (!match) return null;
+  
+  const year = Number(match[1]);
+  const month = match[2] ? Number(match[2]) - 1 : null;
+  const day = match[3] ? Number(match[3]) : null;
+  
+  if (month === null) {
+    return { start: new Date(year, 0, 1), end: new Date(year + 1, 0, 1) };
+  }
+  if (day === null) {
+    return { start: new Date(year, month, 1), end: new Date(year, month + 1, 1) };
+  }
+  return { start: new Date(year, month, day), end: new Date(year, month, day + 1) };
+}
+
+/**
+ * Normalises a site: filter value to a bare hostname
+ * @param {string} value - e.g. "github.com" or "https://www.github.com/x"
+ * @returns {string}
+ */
+function normalizeSite(value) {
+  return value.toLowerCase()
+    .replace(/^[a-z]+:\/\//, '')
+    .split('/')[0]
+    .replace(/^www\./, '');
+}
+
+/**
+ * Parses the search box syntax:
+ *   words              all must match (as a word or word prefix)
+ *   "exact phrase"     consecutive words
+ *   -word, -"phrase"   must not match
+ *   tag:research       has the tag, or one nested under it (quote values
+ *                      with spaces)
+ *   site:github.com    saved from that site or a subdomain
+ *   before:2024-05, after:2024-05-01   saved before/after that period
+ * Any filter can be negated with a leading "-".
+ * @param {string} input - The raw query
+ * @returns {Object} The parsed query
+ */
+export function parseQuery(input) {
+  const query = {
+    terms: [],
+    phrases: [],
+    excludedTerms: [],
+    excludedPhrases: [],
+    tags: [],
+    excludedTags: [],
+    sites: [],
+    excludedSites: [],
+    before: null,
+    after: null
+  };
+  
+  for (const match of (input || '').matchAll(QUERY_PATTERN)) {
+    const [raw, negate, field, quoted, bare] = match;
+    const value = quoted !== undefined ? quoted : bare;
+    const excluded = negate === '-';
+    if (!value) continue;
+    
+    switch (field?.toLowerCase()) {
+      case 'tag': {
+        // Normalised the way stored tags are, so "#Research" finds "research"
+        const tag = normalizeTag(value);
+        if (tag) {
+          (excluded ? query.excludedTags : query.tags).push(tag);
+        }
+        break;
+      }
+      
+      case 'site':
+        (excluded ? query.excludedSites : query.sites).push(normalizeSite(value));
+        break;
+      
+      case 'before':
+      case 'after': {
+        const period = parseDatePeriod(value);
+        if (period) {
+          // before:X ends where X starts and after:X starts where X ends.
+          // Negated, the bound flips side but keeps its edge of X:
+          // -before:X starts where X starts, -after:X ends where X ends.
+          const edge = field.toLowerCase() === 'before' ? period.start : period.end;
+          if ((field.toLowerCase() === 'before') !== excluded) {
+            query.before = edge;
+          } else {
+            query.after = edge;
+          }
+          break;
+        }
+        // Not a date: search for the text as typed
+        query.terms.push(...tokenize(raw).map(token => token.term));
+        break;
+      }
+      
+      default: {
+        const terms = tokenize(value).map(token => token.term);
+        if (terms.length === 0) break;
+        
+        if (quoted !== undefined) {
+          (excluded ? query.excludedPhrases : query.phrases).push(terms);
+        } else {
+          (excluded ? query.excludedTerms : query.terms).push(...terms);
+        }
+      }
+    }
+  }
+  
+  return query;
+}
+
+// ============================================
+// SEARCH
+// ============================================
+
+/**
+ * Looks up the postings for each query term, expanding plain terms to every
+ * indexed term they are a prefix of
+ * @param {Array<{term: string, prefix: boolean}>} queryTerms
+ * @returns {Promise<Array<Array<{term: string, postings: Object}>>>} Matching
+ *   term records for each query term
+ */
+async function getPostings(queryTerms) {
+  const results = queryTerms.map(() => []);
+  
+  await runTransaction([SEARCH_TERMS_STORE], 'readonly', (transaction) => {
+    const store = transaction.objectStore(SEARCH_TERMS_STORE);
+    queryTerms.forEach(({ term, prefix }, i) => {
+      if (prefix) {
+        const range = IDBKeyRange.bound(term, term + '\uffff');
+        store.getAll(range, MAX_PREFIX_EXPANSIONS).onsuccess = (event) => {
+          results[i] = event.target.result;
+        };
+      } else {
+        store.get(term).onsuccess = (event) => {
+          results[i] = event.target.result ? [event.target.result] : [];
+        };
+      }
+    });
+  });
+  
+  return results;
+}
+
+/**
+ * Scores the notes containing every query term with BM25
+ * @param {Array<{term: string, prefix: boolean}>} queryTerms
+ * @returns {Promise<Map<string, number>>} Note ID to score
+ */
+async function rankCandidates(queryTerms) {
+  const [postingsPerTerm, meta] = await Promise.all([getPostings(queryTerms), getMeta()]);
+  
+  // Best-scoring expansion of each query term, per note
+  const termScores = postingsPerTerm.map((records, i) => {
+    const scores = new Map();
+    records.forEach(({ term, postings }) => {
+      const weight = term === queryTerms[i].term ? 1 : PREFIX_MATCH_WEIGHT;
+      Object.entries(postings).forEach(([noteId, frequency]) => {
+        const current = scores.get(noteId);
+        const entry = { frequency, weight, df: Object.keys(postings).length };
+        if (!current || entry.weight * entry.frequency > current.weight * current.frequency) {
+          scores.set(noteId, entry);
+        }
+      });
+    });
+    return scores;
+  });
+  
+  // Notes must match every term; start from the rarest
+  const ordered = [...termScores].sort((a, b) => a.size - b.size);
+  const candidates = [...(ordered[0] || new Map()).keys()]
+    .filter(noteId => ordered.every(scores => scores.has(noteId)));
+  if (candidates.length === 0) return new Map();
+  
+  const docs = await getRecords(SEARCH_DOCS_STORE, candidates);
+  const docCount = Math.max(meta?.docCount || 0, 1);
+  const avgLength = (meta?.totalLength || 0) / docCount || 1;
+  
+  const ranked = new Map();
+  candidates.forEach((noteId, i) => {
+    const length = docs[i] ? docs[i].length : avgLength;
+    let score = 0;
+    
+    termScores.forEach(scores => {
+      const { frequency, weight, df } = scores.get(noteId);
+      const idf = Math.log(1 + (docCount - df + 0.5) / (df + 0.5));
+      const tf = (frequency * (BM25_K1 + 1)) /
+        (frequency + BM25_K1 * (1 - BM25_B + BM25_B * length / avgLength));
+      score += weight * idf * tf;
+    });
+    
+    ranked.set(noteId, score);
+  });
+  
+  return ranked;
+}
+
+/**
+ * Checks whether a token list contains a phrase as consecutive terms
+ * @param {Array<string>} terms - Tokenised field
+ * @param {Array<string>} phrase - Tokenised phrase
+ * @returns {boolean}
+ */
+function containsPhrase(terms, phrase) {
+  for (let i = 0; i + phrase.length <= terms.length; i++) {
+    if (phrase.every((term, j) => terms[i + j] === term)) return true;
+  }
+  return false;
+}
+
+/**
+ * Returns the hostname a note was saved from, without "www."
+ * @param {Object} note - The note
+ * @returns {string}
+ */
+function getNoteHost(note) {
+  const url = note.url || note.sourceUrl || note.source;
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * Applies the query's phrase, exclusion, tag, site and date filters
+ * @param {Object} note - The note
+ * @param {Object} query - Parsed query
+ * @returns {boolean} True if the note passes every filter
+ */
+function matchesFilters(note, query) {
+  const timestamp = new Date(note.timestamp);
+  if (query.before && !(timestamp < query.before)) return false;
+  if (query.after && !(timestamp >= query.after)) return false;
+  
+  // A tag filter also matches the tags nested under it
+  const tags = (note.tags || []).map(tag => tag.toLowerCase());
+  const hasTag = (wanted) => tags.some(tag => isTagOrDescendant(tag, wanted));
+  if (!query.tags.every(hasTag)) return false;
+  if (query.excludedTags.some(hasTag)) return false;
+  
+  if (query.sites.length > 0 || query.excludedSites.length > 0) {
+    const host = getNoteHost(note);
+    const onSite = site => host === site || host.endsWith('.' + site);
+    if (query.sites.length > 0 && !query.sites.some(onSite)) return false;
+    if (query.excludedSites.some(onSite)) return false;
+  }
+  
+  const needsTokens = query.phrases.length > 0 ||
+    query.excludedTerms.length > 0 || query.excludedPhrases.length > 0;
+  if (!needsTokens) return true;
+  
+  const fields = Object.values(getNoteFields(note))
+    .map(value => tokenize(value).map(token => token.term));
+  
+  if (!query.phrases.every(phrase => fields.some(terms => containsPhrase(terms, phrase)))) {
+    return false;
+  }
+  if (query.excludedPhrases.some(phrase => fields.some(terms => containsPhrase(terms, phrase)))) {
+    return false;
+  }
+  if (query.excludedTerms.some(excluded => fields.some(terms => terms.includes(excluded)))) {
+    return false;
+  }
+  
+  return true;
+}
+
+/**
+ * Picks the passage of a note that best shows why it matched
+ * @param {Object} note - The note
+ * @param {Object} query - Parsed query
+ * @returns {{field: string, text: string, ranges: Array<Array<number>>}|null}
+ *   Snippet text with the [start, end) offsets of matched words
+ */
+function buildSnippet(note, query) {
+  const phraseTerms = new Set(query.phrases.flat());
+  const isHit = term => phraseTerms.has(term) ||
+    query.terms.some(queryTerm => term.startsWith(queryTerm));
+  
+  for (const field of SNIPPET_FIELDS) {
+    const value = note[field];
+    if (!value) continue;
+    
+    const hits = tokenize(value, { forIndex: true }).filter(token => isHit(token.term));
+    if (hits.length === 0) continue;
+    
+    // Window that shows the most distinct matched words
+    let best = hits[0];
+    let bestCount = 0;
+    hits.forEach(hit => {
+      const inWindow = hits.filter(other =>
+        other.start >= hit.start && other.end <= hit.start + SNIPPET_LENGTH
+      );
+      const count = new Set(inWindow.map(other => other.term)).size;
+      if (count > bestCount) {
+        best = hit;
+        bestCount = count;
+      }
+    });
+    
+    // Start a little before the first hit, on a word boundary
+    let start = Math.max(0, best.start - SNIPPET_LEAD);
+    if (start > 0) {
+      const space = value.indexOf(' ', start);
+      start = space !== -1 && space < best.start ? space + 1 : best.start;
+    }
+    
+    let end = Math.min(value.length, start + SNIPPET_LENGTH);
+    if (end < value.length) {
+      const space = value.lastIndexOf(' ', end);
+      if (space > best.end) end = space;
+    }
+    
+    const prefix = start > 0 ? '…' : '';
+    const suffix = end < value.length ? '…' : '';
+    // CJK bigrams overlap, so merge touching ranges
+    const ranges = [];
+    hits
+      .filter(hit => hit.start >= start && hit.end <= end)
+      .forEach(hit => {
+        const range = [hit.start - start + prefix.length, hit.end - start + prefix.length];
+        const last = ranges[ranges.length - 1];
+        if (last && range[0] <= last[1]) {
+          last[1] = Math.max(last[1], range[1]);
+        } else {
+          ranges.push(range);
+        }
+      });
+    
+    return { field, text: prefix + value.slice(start, end) + suffix, ranges };
+  }
+  
+  return null;
+}
+
+/**
+ * Runs a search box query
+ * @param {string} input - The raw query (see parseQuery for the syntax)
+ * @param {Object} [options]
+ * @param {string} [options.notebookId] - Only search notes in this notebook
+ * @returns {Promise<Array<{noteId: string, score: number, snippet: Object|null}>>}
+ *   Matching notes, best first. Queries made only of filters are ordered
+ *   newest first.
+ */
+export async function searchNotes(input, { notebookId } = {}) {
+  await ensureIndex();
+  const query = parseQuery(input);
+  
+  const queryTerms = [
+    ...query.terms.map(term => ({ term, prefix: true })),
+    ...query.phrases.flat().map(term => ({ term, prefix: false }))
+  ];
+  
+  let notes;
+  let scores = new Map();
+  
+  if (queryTerms.length > 0) {
+    scores = await rankCandidates(queryTerms);
+    notes = await getNotesByIds([...scores.keys()]);
+  } else {
+    notes = await getAllNotes();
+  }
+  
+  return notes
+    .filter(note => !note.deletedAt && matchesFilters(note, query))
+    .filter(note => !notebookId || note.notebookId === notebookId)
+    .map(note => ({
+      noteId: note.id,
+      score: scores.get(note.id) || 0,
+      timestamp: note.timestamp,
+      snippet: buildSnippet(note, query)
+    }))
+    .sort((a, b) =>
+      (b.score - a.score) || (new Date(b.timestamp) - new Date(a.timestamp))
+    )
+    .map(({ noteId, score, snippet }) => ({ noteId, score, snippet }));
+}
@@ -0,0 +1,80 @@
+/**
+ * Tags Utility Module
+ * Normalises tags, so "Research", "research" and "research " are stored
+ * as one tag however they were typed or imported, and works with nested
+ * tag paths such as "project/crazynote/anchoring"
+ */
+
+// Separates the levels of a nested tag
+export const TAG_SEPARATOR = '/';
+
+/**
+ * Normalises one tag: lower case, single spaces and no surrounding
+ * whitespace, leading "#" or commas (commas separate tags while typing).
+ * Each level of a nested tag is trimmed and empty levels are dropped, so
+ * " Project / CrazyNote/ " becomes "project/crazynote".
+ * @param {string} tag - The tag as typed
+ * @returns {string} The normalised tag, or '' if nothing is left
+ */
+export function normalizeTag(tag) {
+  if (typeof tag !== 'string') return '';
+  
+  return tag
+    .replace(/,/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/^#+\s*/, '')
+    .toLowerCase()
+    .split(TAG_SEPARATOR)
+    .map(level => level.trim())
+    .filter(Boolean)
+    .join(TAG_SEPARATOR);
+}
+
+/**
+ * Normalises a list of tags, dropping empty ones and duplicates
+ * @param {Array<string>} tags - The tags
+ * @returns {Array<string>} Normalised tags, in their original order
+ */
+export function normalizeTags(tags) {
+  if (!Array.isArray(tags)) return [];
+  return [...new Set(tags.map(normalizeTag).filter(Boolean))];
+}
+
+/**
+ * Checks whether a tag is another tag or nested anywhere under it
+ * @param {string} tag - The tag to check
+ * @param {string} ancestor - The tag it may be under
+ * @returns {boolean}
+ */
+export function isTagOrDescendant(tag, ancestor) {
+  return tag === ancestor || tag.startsWith(ancestor + TAG_SEPARATOR);
+}
+
+/**
+ * Lists a tag and every tag above it
+ * @param {string} tag - The tag
+ * @returns {Array<string>} e.g. "a/b/c" -> ["a", "a/b", "a/b/c"]
+ */
+export function tagAncestry(tag) {
+  const levels = tag.split(TAG_SEPARATOR);
+  return levels.map((level, i) => levels.slice(0, i + 1).join(TAG_SEPARATOR));
+}
+
+/**
+ * Orders tags level by level, so nested tags directly follow their parent
+ * ("a", "a/b", "a-c" rather than the plain string order "a", "a-c", "a/b")
+ * @param {string} a - A tag
+ * @param {string} b - Another tag
+ * @returns {number}
+ */
+export function compareTagPaths(a, b) {
+  const levelsA = a.split(TAG_SEPARATOR);
+  const levelsB = b.split(TAG_SEPARATOR);
+  
+  for (let i = 0; i < Math.min(levelsA.length, levelsB.length); i++) {
+    const order = levelsA[i].localeCompare(levelsB[i]);
+    if (order !== 0) return order;
+  }
+  return levelsA.length - levelsB.length;
+}
@@ -0,0 +1,179 @@
+/**
+ * Tokenizer Utility Module
+ * Splits note text into search terms, choosing a segmentation strategy for
+ * each script and folding away differences readers don't type. Like
+ * folding, the strategy follows the characters rather than the note's
+ * detected language.
+ */
+
+// Han, kana and Hangul: no reliable word boundaries, so index overlapping
+// character bigrams. Includes the prolonged sound mark and iteration mark.
+const CJK_CHARS = '\\p{Script=Han}\\p{Script=Hiragana}\\p{Script=Katakana}\\p{Script=Hangul}\\u30FC\\u3005';
+
+// Scripts written without spaces that Intl.Segmenter can split into words
+const UNSPACED_CHARS = '\\p{Script=Thai}\\p{Script=Lao}\\p{Script=Khmer}\\p{Script=Myanmar}';
+
+// Letters, marks and digits (marks matter: Indic vowel signs are marks)
+const WORD_CHAR = '[\\p{L}\\p{M}\\p{N}]';
+
+// One run per match: a CJK run, an unspaced-script run, or an ordinary word
+const RUN_PATTERN = new RegExp(
+  `([${CJK_CHARS}]+)|([${UNSPACED_CHARS}]+)|((?:(?![${CJK_CHARS}${UNSPACED_CHARS}])${WORD_CHAR})+)`,
+  'gu'
+);
+
+// Segmenter locale for each unspaced script
+const UNSPACED_LOCALES = [
+  [/\p{Script=Thai}/u, 'th'],
+  [/\p{Script=Lao}/u, 'lo'],
+  [/\p{Script=Khmer}/u, 'km'],
+  [/\p{Script=Myanmar}/u, 'my']
+];
+
+// Arabic harakat, Quranic marks and tatweel; Hebrew niqqud and cantillation
+const ARABIC_MARKS = /[\u0610-\u061A\u064B-\u065F\u0670\u06D6-\u06ED\u0640]/g;
+const HEBREW_MARKS = /[\u0591-\u05BD\u05BF\u05C1\u05C2\u05C4\u05C5\u05C7]/g;
+
+// Arabic letter variants that are commonly typed interchangeably
+const ARABIC_LETTERS = {
+  'أ': 'ا', 'إ': 'ا', 'آ': 'ا', 'ٱ': 'ا',
+  'ى': 'ي', 'ئ': 'ي', 'ؤ': 'و', 'ة': 'ه'
+};
+
+const segmenters = new Map();
+
+/**
+ * Returns a cached word segmenter for a locale, if the browser has one
+ * @param {string} locale - BCP 47 locale
+ * @returns {Intl.Segmenter|null}
+ */
+function getSegmenter(locale) {
+  if (typeof Intl === 'undefined' || !Intl.Segmenter) return null;
+  
+  if (!segmenters.has(locale)) {
+    segmenters.set(locale, new Intl.Segmenter(locale, { granularity: 'word' }));
+  }
+  return segmenters.get(locale);
+}
+
+/**
+ * Normalises one token to its search term. Folding is decided by the
+ * characters themselves, never by the note's language, so a query (which
+ * has no language) folds to the same terms as the notes it should find.
+ * @param {string} token - Raw token text
+ * @returns {string} The term
+ */
+export function foldTerm(token) {
+  let term = token.normalize('NFKC').toLowerCase();
+  
+  if (/[\u0600-\u06FF]/.test(term)) {
+    term = term.replace(ARABIC_MARKS, '').replace(/[أإآٱىئؤة]/g, char => ARABIC_LETTERS[char]);
+  }
+  if (/[\u0590-\u05FF]/.test(term)) {
+    term = term.replace(HEBREW_MARKS, '');
+  }
+  if (/[\u0400-\u04FF]/.test(term)) {
+    term = term.replace(/ё/g, 'е');
+  }
+  if (/[\u0370-\u03FF]/.test(term)) {
+    term = term.replace(/ς/g, 'σ');
+  }
+  
+  return term;
+}
+
+/**
+ * Emits overlapping character bigrams for a CJK run (a lone character is
+ * kept as a unigram so it can still be found by prefix)
+ * @param {string} run - The run text
+ * @param {number} offset - Offset of the run in the full text
+ * @param {boolean} forIndex - Also emit the run's last character on its own
+ * @param {Array} tokens - Output list
+ */
+function addBigrams(run, offset, forIndex, tokens) {
+  const chars = Array.from(run);
+  
+  if (chars.length === 1) {
+    tokens.push({ term: foldTerm(run), start: offset, end: offset + run.length });
+    return;
+  }
+  
+  let position = offset;
+  for (let i = 0; i < chars.length - 1; i++) {
+    const bigram = chars[i] + chars[i + 1];
+    tokens.push({ term: foldTerm(bigram), start: position, end: position + bigram.length });
+    position += chars[i].length;
+  }
+  
+  // Every other character starts a bigram, so with this one a single
+  // character query finds any run containing it by prefix
+  if (forIndex) {
+    const last = chars[chars.length - 1];
+    tokens.push({ term: foldTerm(last), start: position, end: position + last.length });
+  }
+}
+
+/**
+ * Splits a run of an unspaced script into words with Intl.Segmenter,
+ * falling back to bigrams where it isn't available
+ * @param {string} run - The run text
+ * @param {number} offset - Offset of the run in the full text
+ * @param {boolean} forIndex - See addBigrams
+ * @param {Array} tokens - Output list
+ */
+function addSegmentedWords(run, offset, forIndex, tokens) {
+  const [, locale] = UNSPACED_LOCALES.find(([pattern]) => pattern.test(run)) || [];
+  const segmenter = getSegmenter(locale || 'und');
+  
+  if (!segmenter) {
+    addBigrams(run, offset, forIndex, tokens);
+    return;
+  }
+  
+  for (const { segment, index, isWordLike } of segmenter.segment(run)) {
+    if (!isWordLike) continue;
+    tokens.push({
+      term: foldTerm(segment),
+      start: offset + index,
+      end: offset + index + segment.length
+    });
+  }
+}
+
+/**
+ * Splits text into search terms
+ *   Han, kana, Hangul         overlapping character bigrams
+ *   Thai, Lao, Khmer, Burmese dictionary words via Intl.Segmenter
+ *   everything else           runs of letters, marks and digits
+ * Every term is NFKC-normalised and lowercased; Arabic and Hebrew lose
+ * their vowel marks, Cyrillic ё folds to е.
+ * @param {string} text - The text to tokenise
+ * @param {Object} [options]
+ * @param {boolean} [options.forIndex=false] - Tokenising note text for the
+ *   index rather than a query or phrase: each bigram run also gets its
+ *   last character as a unigram. Those extra terms aren't consecutive
+ *   with the bigrams, so phrase matching must not use them.
+ * @returns {Array<{term: string, start: number, end: number}>} Terms with
+ *   their offsets in the original text, in order
+ */
+export function tokenize(text, { forIndex = false } = {}) {
+  const tokens = [];
+  if (!text) return tokens;
+  
+  for (const match of text.matchAll(RUN_PATTERN)) {
+    const [run, cjk, unspaced] = match;
+    
+    if (cjk) {
+      addBigrams(run, match.index, forIndex, tokens);
+    } else if (unspaced) {
+      addSegmentedWords(run, match.index, forIndex, tokens);
+    } else {
+      const term = foldTerm(run);
+      if (term) {
+        tokens.push({ term, start: match.index, end: match.index + run.length });
+      }
+    }
+  }
+  
+  return tokens;
+}
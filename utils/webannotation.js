@@ -0,0 +1,416 @@
+/**
+ * Web Annotation Utility Module
+ * Converts between notes and the W3C Web Annotation data model (JSON-LD),
+ * the format Hypothesis and other annotation tools export
+ */
+
+import { getAllNotes } from './database.js';
+import { importNoteEntries } from './backup.js';
+import { generateUUID } from './uuid.js';
+
+const ANNOTATION_CONTEXT = 'http://www.w3.org/ns/anno.jsonld';
+
+// Manual notes have no page; their source is identified by this IRI scheme
+const MANUAL_SOURCE_PREFIX = 'urn:crazynote:source:';
+
+// Body purposes whose text becomes the note's comment
+const COMMENT_PURPOSES = ['commenting', 'describing', 'replying', 'editing'];
+
+// CSS class carrying a note's highlight color in its annotation's stylesheet
+const HIGHLIGHT_STYLE_CLASS = 'crazynote-highlight';
+
+// ============================================
+// EXPORT
+// ============================================
+
+/**
+ * Converts a stored RangeSelector (XPaths with character offsets) to the
+ * standard form: XPathSelectors refined by TextPositionSelectors
+ * @param {Object} selector - {startContainer, startOffset, endContainer, endOffset}
+ * @returns {Object}
+ */
+function toStandardRangeSelector(selector) {
+  const point = (xpath, offset) => ({
+    type: 'XPathSelector',
+    value: xpath,
+    refinedBy: { type: 'TextPositionSelector', start: offset, end: offset }
+  });
+  
+  return {
+    type: 'RangeSelector',
+    startSelector: point(selector.startContainer, selector.startOffset),
+    endSelector: point(selector.endContainer, selector.endOffset)
+  };
+}
+
+/**
+ * Builds the target of a note's annotation
+ * @param {Object} note - The note
+ * @returns {Object}
+ */
+function buildTarget(note) {
+  if (note.isManual) {
+    return {
+      source: {
+        id: note.sourceUrl || MANUAL_SOURCE_PREFIX + encodeURIComponent(note.source || note.title || ''),
+        type: 'Text',
+        label: note.source || note.title || 'Manual Note'
+      },
+      selector: { type: 'TextQuoteSelector', exact: note.text }
+    };
+  }
+  
+  const stored = Array.isArray(note.selectors) && note.selectors.length > 0
+    ? note.selectors
+    : [{ type: 'TextQuoteSelector', exact: note.text, prefix: '', suffix: '' }];
+  
+  const selector = stored.map(item => {
+    if (item.type === 'RangeSelector' && item.startContainer) {
+      return toStandardRangeSelector(item);
+    }
+    if (item.type === 'TextQuoteSelector') {
+      return {
+        type: item.type,
+        exact: item.exact,
+        ...(item.prefix ? { prefix: item.prefix } : {}),
+        ...(item.suffix ? { suffix: item.suffix } : {})
+      };
+    }
+    return { ...item };
+  });
+  
+  return {
+    source: { id: note.url, type: 'Text', format: 'text/html', label: note.title || note.url },
+    selector
+  };
+}
+
+/**
+ * Converts a note to a Web Annotation
+ * @param {Object} note - The note
+ * @returns {Object} The annotation
+ */
+export function noteToAnnotation(note) {
+  const body = [];
+  
+  if (note.comment) {
+    body.push({
+      type: 'TextualBody',
+      value: note.comment,
+      format: 'text/plain',
+      purpose: 'commenting'
+    });
+  }
+  (note.tags || []).forEach(tag => {
+    body.push({ type: 'TextualBody', value: tag, purpose: 'tagging' });
+  });
+  
+  const annotation = {
+    id: `urn:uuid:${note.id}`,
+    type: 'Annotation',
+    motivation: note.comment ? 'commenting' : 'highlighting',
+    created: note.timestamp
+  };
+  if (note.updatedAt) annotation.modified = note.updatedAt;
+  if (body.length > 0) annotation.body = body;
+  annotation.target = buildTarget(note);
+  
+  // The model's way of styling a target keeps the highlight color
+  if (note.highlightColor && !note.isManual) {
+    annotation.stylesheet = {
+      type: 'CssStylesheet',
+      value: `.${HIGHLIGHT_STYLE_CLASS} { background-color: ${note.highlightColor}; }`
+    };
+    annotation.target.styleClass = HIGHLIGHT_STYLE_CLASS;
+  }
+  
+  return annotation;
+}
+
+/**
+ * Builds a Web Annotation collection (JSON-LD) holding notes
+ * @param {Array<Object>} notes - The notes
+ * @returns {string} JSON text
+ */
+export function exportAnnotations(notes) {
+  return JSON.stringify({
+    '@context': ANNOTATION_CONTEXT,
+    id: `urn:uuid:${generateUUID()}`,
+    type: 'AnnotationCollection',
+    label: 'CrazyNote export',
+    total: notes.length,
+    first: {
+      type: 'AnnotationPage',
+      startIndex: 0,
+      items: notes.map(noteToAnnotation)
+    }
+  }, null, 2);
+}
+
+// ============================================
+// IMPORT
+// ============================================
+
+/**
+ * Returns a value as an array (JSON-LD allows one value or several)
+ * @param {*} value - The value
+ * @returns {Array}
+ */
+function asArray(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Reads the annotations out of a file, if it holds any: a single
+ * annotation, an AnnotationPage or AnnotationCollection with embedded
+ * pages, a Hypothesis export, or a plain list of annotations
+ * @param {string} json - File contents
+ * @returns {Array<Object>|null} The annotations, or null if the file isn't
+ *   a Web Annotation or Hypothesis file
+ * @throws {Error} If it is one, but can't be read
+ */
+export function parseAnnotationFile(json) {
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch {
+    return null;
+  }
+  
+  const isAnnotation = item => item && typeof item === 'object' && item.target !== undefined;
+  const types = asArray(data?.type);
+  
+  if (Array.isArray(data)) {
+    return data.length > 0 && data.every(isAnnotation) ? data : null;
+  }
+  if (Array.isArray(data?.annotations)) {
+    // Hypothesis "export_userid" wrapper
+    return data.annotations;
+  }
+  if (types.includes('Annotation')) {
+    return [data];
+  }
+  if (types.includes('AnnotationPage')) {
+    return asArray(data.items);
+  }
+  if (types.includes('AnnotationCollection')) {
+    const annotations = [];
+    let page = data.first;
+    while (page) {
+      if (typeof page === 'string') {
+        throw new Error('The collection links to pages that are not included in the file');
+      }
+      annotations.push(...asArray(page.items));
+      page = page.next;
+    }
+    return annotations;
+  }
+  
+  return null;
+}
+
+/**
+ * Makes an XPath usable with document.evaluate. Hypothesis writes paths
+ * relative to <body> ("/div[1]/p[2]").
+ * @param {string} xpath - The XPath
+ * @returns {string}
+ */
+function fromBodyRelativeXPath(xpath) {
+  if (xpath.startsWith('/html') || xpath.startsWith('//') || !xpath.startsWith('/')) {
+    return xpath;
+  }
+  return `/html/body${xpath}`;
+}
+
+/**
+ * Converts a target's selectors to the ones the content script resolves
+ * @param {Array<Object>} selectors - Selectors from the annotation
+ * @returns {Array<Object>}
+ */
+function convertSelectors(selectors) {
+  const result = [];
+  
+  selectors.forEach(selector => {
+    if (!selector || typeof selector !== 'object') return;
+    
+    if (selector.type === 'TextQuoteSelector' && typeof selector.exact === 'string') {
+      result.push({
+        type: 'TextQuoteSelector',
+        exact: selector.exact,
+        prefix: typeof selector.prefix === 'string' ? selector.prefix : '',
+        suffix: typeof selector.suffix === 'string' ? selector.suffix : ''
+      });
+    } else if (selector.type === 'TextPositionSelector' &&
+        Number.isFinite(selector.start) && Number.isFinite(selector.end)) {
+      result.push({ type: 'TextPositionSelector', start: selector.start, end: selector.end });
+    } else if (selector.type === 'RangeSelector') {
+      // Hypothesis form: XPaths and offsets on the selector itself
+      let range = selector.startContainer !== undefined ? selector : null;
+      
+      // Standard form: XPathSelectors refined by TextPositionSelectors
+      const start = selector.startSelector;
+      const end = selector.endSelector;
+      if (!range && start?.type === 'XPathSelector' && end?.type === 'XPathSelector') {
+        range = {
+          startContainer: start.value,
+          startOffset: start.refinedBy?.start ?? 0,
+          endContainer: end.value,
+          endOffset: end.refinedBy?.start ?? 0
+        };
+      }
+      
+      if (range && typeof range.startContainer === 'string' && typeof range.endContainer === 'string' &&
+          Number.isFinite(range.startOffset) && Number.isFinite(range.endOffset)) {
+        result.push({
+          type: 'RangeSelector',
+          startContainer: fromBodyRelativeXPath(range.startContainer),
+          startOffset: range.startOffset,
+          endContainer: fromBodyRelativeXPath(range.endContainer),
+          endOffset: range.endOffset
+        });
+      }
+    }
+  });
+  
+  return result;
+}
+
+/**
+ * Splits an annotation's bodies into comment text and tags
+ * @param {Object} annotation - The annotation
+ * @returns {{comment: string, tags: Array<string>}}
+ */
+function readBodies(annotation) {
+  const comments = [];
+  const tags = [...asArray(annotation.tags).filter(tag => typeof tag === 'string')];
+  
+  // Hypothesis keeps the comment in "text"; the model's shorthand is "bodyValue"
+  if (typeof annotation.text === 'string' && annotation.text.trim()) comments.push(annotation.text);
+  if (typeof annotation.bodyValue === 'string' && annotation.bodyValue.trim()) comments.push(annotation.bodyValue);
+  
+  asArray(annotation.body).forEach(body => {
+    if (typeof body === 'string') return; // a link to an external body
+    if (!body || typeof body.value !== 'string' || !body.value.trim()) return;
+    
+    const purposes = asArray(body.purpose);
+    if (purposes.includes('tagging')) {
+      tags.push(body.value);
+    } else if (purposes.length === 0 || purposes.some(purpose => COMMENT_PURPOSES.includes(purpose))) {
+      comments.push(body.value);
+    }
+  });
+  
+  return { comment: comments.map(text => text.trim()).join('\n\n'), tags };
+}
+
+/**
+ * Reads the highlight color an annotation's stylesheet gives its target
+ * @param {Object} annotation - The annotation
+ * @param {Object} target - Its target
+ * @returns {string|undefined} A hex color
+ */
+function readHighlightColor(annotation, target) {
+  const css = typeof annotation.stylesheet === 'string'
+    ? annotation.stylesheet
+    : annotation.stylesheet?.value;
+  if (typeof css !== 'string' || typeof target.styleClass !== 'string') return undefined;
+  
+  const rule = css.split('}').find(block => block.includes(`.${target.styleClass}`));
+  return rule?.match(/background(?:-color)?\s*:\s*(#[0-9a-f]{6})\b/i)?.[1];
+}
+
+/**
+ * Converts an annotation to a raw note for importNoteEntries
+ * @param {Object} annotation - The annotation
+ * @param {Map<string, string>} idsByAnnotation - Note ids of annotations
+ *   imported before, keyed by annotation id
+ * @returns {Object|null} The raw note, or null for replies to other annotations
+ */
+function annotationToNote(annotation, idsByAnnotation) {
+  if (!annotation || typeof annotation !== 'object') return annotation;
+  if (asArray(annotation.references).length > 0) return null;
+  
+  const target = asArray(annotation.target).find(item => item && typeof item === 'object') ||
+    (typeof annotation.target === 'string' ? { source: annotation.target } : {});
+  const sourceValue = target.source ?? annotation.uri ?? '';
+  const source = typeof sourceValue === 'string' ? { id: sourceValue } : sourceValue;
+  const sourceId = typeof source.id === 'string' ? source.id : '';
+  const title = asArray(annotation.document?.title)[0] || source.label || '';
+  
+  const selectors = convertSelectors(asArray(target.selector));
+  const quote = selectors.find(selector => selector.type === 'TextQuoteSelector');
+  const { comment, tags } = readBodies(annotation);
+  
+  const annotationId = typeof annotation.id === 'string' ? annotation.id : '';
+  const ownId = annotationId.match(/^urn:uuid:([0-9a-f-]{36})$/i)?.[1];
+  
+  const note = {
+    id: ownId || idsByAnnotation.get(annotationId) || undefined,
+    annotationId: ownId ? undefined : annotationId || undefined,
+    comment,
+    tags,
+    timestamp: annotation.created,
+    updatedAt: annotation.modified || annotation.updated,
+    highlightColor: readHighlightColor(annotation, target)
+  };
+  
+  const isWebPage = /^https?:/i.test(sourceId);
+  
+  if (quote && isWebPage && !sourceId.startsWith(MANUAL_SOURCE_PREFIX)) {
+    // A highlight the content script can anchor again
+    return {
+      ...note,
+      text: quote.exact,
+      url: sourceId,
+      title: title || sourceId,
+      isManual: false,
+      selectors
+    };
+  }
+  
+  // Page notes and annotations on non-web resources are kept as manual notes
+  const sourceName = sourceId.startsWith(MANUAL_SOURCE_PREFIX)
+    ? decodeURIComponent(sourceId.slice(MANUAL_SOURCE_PREFIX.length))
+    : title || sourceId;
+  
+  return {
+    ...note,
+    text: quote ? quote.exact : comment,
+    comment: quote ? comment : '',
+    url: '',
+    title: source.label || sourceName || 'Manual Note',
+    source: source.label || sourceName,
+    sourceUrl: isWebPage ? sourceId : '',
+    isManual: true
+  };
+}
+
+/**
+ * Imports annotations as notes. Annotations exported by CrazyNote keep
+ * their note ids; others are matched to earlier imports by annotation id,
+ * so importing a file again goes through the usual conflict handling.
+ * @param {Array<Object>} annotations - Result of parseAnnotationFile
+ * @param {string} conflict - 'newer', 'both' or 'skip'
+ * @returns {Promise<{report: Object, notes: Array<Object>}>}
+ */
+export async function importAnnotations(annotations, conflict = 'newer') {
+  const idsByAnnotation = new Map();
+  (await getAllNotes()).forEach(note => {
+    if (note.annotationId) idsByAnnotation.set(note.annotationId, note.id);
+  });
+  
+  const converted = annotations.map(annotation => annotationToNote(annotation, idsByAnnotation));
+  const replies = converted.filter(note => note === null).length;
+  
+  // Strip the undefined placeholders so validation sees missing fields
+  const entries = converted.filter(note => note !== null).map(note =>
+    note && typeof note === 'object'
+      ? Object.fromEntries(Object.entries(note).filter(([, value]) => value !== undefined))
+      : note
+  );
+  
+  const result = await importNoteEntries(entries, conflict);
+  result.report.skipped += replies;
+  return result;
+}
@@ -0,0 +1,135 @@
+/**
+ * Zip Utility Module
+ * Writes uncompressed (stored) zip archives, enough for exporting a
+ * folder of text files without a compression library
+ */
+
+const LOCAL_FILE_HEADER = 0x04034b50;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+
+// Version 2.0 of the format; bit 11 marks names as UTF-8
+const ZIP_VERSION = 20;
+const UTF8_FLAG = 0x0800;
+
+let crcTable = null;
+
+/**
+ * Computes the CRC-32 checksum the zip format requires
+ * @param {Uint8Array} bytes - The data
+ * @returns {number} Unsigned 32-bit checksum
+ */
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+  
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Packs a date into the MS-DOS time and date fields
+ * @param {Date} date - The date
+ * @returns {{time: number, date: number}}
+ */
+function dosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+/**
+ * Builds a zip archive
+ * @param {Array<{name: string, content: string}>} files - Paths inside the
+ *   archive ("/" separated) and their text, written as UTF-8
+ * @param {Date} [modified] - Modification time stamped on every file
+ * @returns {Uint8Array} The archive bytes
+ */
+export function createZip(files, modified = new Date()) {
+  const encoder = new TextEncoder();
+  const { time, date } = dosDateTime(modified);
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+  
+  files.forEach(file => {
+    const name = encoder.encode(file.name);
+    const data = encoder.encode(file.content);
+    const crc = crc32(data);
+    
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, LOCAL_FILE_HEADER, true);
+    local.setUint16(4, ZIP_VERSION, true);
+    local.setUint16(6, UTF8_FLAG, true);
+    local.setUint16(8, 0, true); // stored, no compression
+    local.setUint16(10, time, true);
+    local.setUint16(12, date, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, 0, true);
+    
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, CENTRAL_DIRECTORY_HEADER, true);
+    central.setUint16(4, ZIP_VERSION, true);
+    central.setUint16(6, ZIP_VERSION, true);
+    central.setUint16(8, UTF8_FLAG, true);
+    central.setUint16(10, 0, true);
+    central.setUint16(12, time, true);
+    central.setUint16(14, date, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, name.length, true);
+    central.setUint32(42, offset, true);
+    
+    localParts.push(new Uint8Array(local.buffer), name, data);
+    centralParts.push(new Uint8Array(central.buffer), name);
+    offset += 30 + name.length + data.length;
+  });
+  
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, END_OF_CENTRAL_DIRECTORY, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+  
+  const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+  const archive = new Uint8Array(offset + centralSize + 22);
+  let position = 0;
+  parts.forEach(part => {
+    archive.set(part, position);
+    position += part.length;
+  });
+  
+  return archive;
+}
+
+/**
+ * Encodes bytes as base64, so binary files can cross extension messaging
+ * @param {Uint8Array} bytes - The bytes
+ * @returns {string}
+ */
+export function toBase64(bytes) {
+  let binary = '';
+  const chunkSize = 0x8000;
+  for (let i = 0; i < bytes.length; i += chunkSize) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + chunkSize));
+  }
+  return btoa(binary);
+}